@@ -0,0 +1,88 @@
+// Service worker keeping the app shell available offline.
+// Forecasts are cached by the app itself (src/utils/forecastCache.js), so API requests to
+// Bright Sky and Nominatim are not touched here.
+
+// Bump this whenever the caching logic changes, so old caches are dropped on activation
+const CACHE_VERSION = 1;
+const SHELL_CACHE = `skycast-shell-v${CACHE_VERSION}`;
+
+// Resolved against the registration scope, which is the app's base path
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// Function to cache the page and every same-origin asset it references (the hashed script and style bundles)
+const precacheShell = async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const response = await fetch(scopeUrl('./'), { cache: 'reload' });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch the app shell (${response.status})`);
+    }
+    const html = await response.clone().text();
+    const assets = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+        .map(match => new URL(match[1], scopeUrl('./')))
+        .filter(url => url.origin === self.location.origin)
+        .map(url => url.href);
+    await cache.put(scopeUrl('./'), response);
+    await cache.addAll([...new Set(assets)]);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('skycast-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Function to load the page from the network, keeping the cached shell up to date and falling back to it offline
+const handleNavigation = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(scopeUrl('./'), response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(scopeUrl('./'));
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+// Function to answer asset requests from the cache and refresh the cached copy in the background.
+// Bundles have hashed names, so a cached copy is never outdated; other files update on the next load.
+const handleAsset = async (request, event) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(network.catch(() => undefined));
+        return cached;
+    }
+    return network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // Only the app's own files; API requests go straight to the network
+    if (url.origin !== self.location.origin || !request.url.startsWith(self.registration.scope)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else {
+        event.respondWith(handleAsset(request, event));
+    }
+});
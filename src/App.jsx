@@ -1,104 +1,51 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Sun, Moon, CloudSun, CloudMoon, Cloud, CloudFog, Wind, CloudRain, CloudSnow, Snowflake, CloudHail, CloudLightning, HelpCircle, Thermometer, Droplet, Gauge, Eye, ThermometerSun } from 'lucide-react'; // Import Lucide icons
-
-// Function to find the weather data for the current hour
-const getCurrentHourWeather = (hourlyData) => {
-    if (!hourlyData || hourlyData.length === 0) return null;
-
-    const now = new Date();
-    let closestHourData = null;
-    let minDiff = Infinity;
-
-    hourlyData.forEach(hour => {
-        const hourTime = new Date(hour.timestamp);
-        const diff = Math.abs(hourTime.getTime() - now.getTime());
-
-        if (diff < minDiff) {
-            minDiff = diff;
-            closestHourData = hour;
-        }
-    });
-    return closestHourData;
-};
-
-// Function to calculate relative humidity from temperature (K) and dew point (K)
-const calculateRelativeHumidity = (temperatureK, dewPointK) => {
-    if (temperatureK === null || dewPointK === null || temperatureK === undefined || dewPointK === undefined) {
-        return null;
-    }
-
-    // Convert Kelvin to Celsius for the formula
-    const T = temperatureK - 273.15; // Temperature in Celsius
-    const Td = dewPointK - 273.15; // Dew point in Celsius
-
-    // Magnus formula constants (for temperature in Celsius)
-    const A = 17.62;
-    const B = 243.12;
-
-    // Calculate saturation vapor pressure at temperature T
-    const es = 6.112 * Math.exp((A * T) / (B + T));
-    // Calculate actual vapor pressure at dew point Td
-    const ea = 6.112 * Math.exp((A * Td) / (B + Td));
-
-    // Calculate relative humidity
-    const rh = (ea / es) * 100;
-
-    // Ensure RH is within a valid range [0, 100]
-    return Math.min(100, Math.max(0, rh));
-};
-
-// Function to calculate apparent temperature (Heat Index or Wind Chill)
-// Based on common approximations. Requires Kelvin for temp, percentage for humidity, m/s for wind_speed.
-const calculateApparentTemperature = (temperatureK, humidityFromAPI, windSpeedMs, dewPointK) => {
-    if (temperatureK === null || temperatureK === undefined) return null;
-
-    let actualHumidity = humidityFromAPI;
-    // If humidity is not provided by API, try to calculate it from dewPointK
-    if ((actualHumidity === null || actualHumidity === undefined || isNaN(actualHumidity)) && dewPointK !== null && dewPointK !== undefined) {
-        actualHumidity = calculateRelativeHumidity(temperatureK, dewPointK);
-    }
-
-    // If humidity is still not available or invalid, or windSpeed is invalid, return null
-    if (actualHumidity === null || actualHumidity === undefined || isNaN(actualHumidity) ||
-        windSpeedMs === null || windSpeedMs === undefined || isNaN(windSpeedMs)) {
-        return null;
-    }
-
-    const T_c = temperatureK - 273.15; // Convert Kelvin to Celsius
-
-    // Wind Chill (for cold temperatures and wind)
-    // Formula valid for T_c <= 10°C and windSpeedMs >= 1.3 m/s
-    if (T_c <= 10 && windSpeedMs >= 1.3) {
-        const V_kmh = windSpeedMs * 3.6; // Convert m/s to km/h for the formula
-        const windChill_c = 13.12 + (0.6215 * T_c) - (11.37 * Math.pow(V_kmh, 0.16)) + (0.3965 * T_c * Math.pow(V_kmh, 0.16));
-        return windChill_c + 273.15; // Convert back to Kelvin for consistency before formatting
-    }
-
-    // Heat Index (for warm temperatures and humidity)
-    // Steadman (1984) formula, simplified for Celsius
-    // Valid for T_c >= 20°C and RH >= 40% (approx)
-    if (T_c >= 20 && actualHumidity !== null) {
-        const T_f = (T_c * 9/5) + 32; // Convert Celsius to Fahrenheit for heat index formula
-        const RH = actualHumidity;
-
-        // NOAA Heat Index formula (in Fahrenheit)
-        let heatIndex_f = -42.379 + 2.04901523 * T_f + 10.14333127 * RH - 0.22475541 * T_f * RH - 0.00683783 * T_f * T_f - 0.05481717 * RH * RH + 0.00122874 * T_f * T_f * RH + 0.00085252 * T_f * RH * RH - 0.00000199 * T_f * T_f * RH * RH;
-
-        // Adjustments for very low/high humidity (simplified)
-        if (RH < 13 && T_f >= 80 && T_f <= 112) {
-            heatIndex_f -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T_f - 95)) / 17);
-        } else if (RH > 85 && T_f >= 80 && T_f <= 87) {
-            heatIndex_f += ((RH - 85) / 10) * ((87 - T_f) / 5);
-        }
-
-        const heatIndex_c = (heatIndex_f - 32) * 5/9; // Convert back to Celsius
-        return heatIndex_c + 273.15; // Convert back to Kelvin
-    }
-
-    // If neither wind chill nor heat index conditions are met, apparent temperature is just the air temperature
-    return temperatureK;
-};
-
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { LocateFixed, Sun, Moon, CloudSun, CloudMoon, Cloud, CloudFog, Wind, CloudRain, CloudSnow, Snowflake, CloudHail, CloudLightning, HelpCircle, Thermometer, Droplet, Gauge, Eye, ThermometerSun, AlertTriangle, Star, SunDim, WifiOff } from 'lucide-react'; // Import Lucide icons
+import { brightSky } from './api/brightSky';
+import { ApiErrorCode, isApiError } from './api/errors';
+import AlertsBanner from './components/AlertsBanner';
+import AstronomyDetails from './components/AstronomyDetails';
+import ClimatePanel from './components/ClimatePanel';
+import DailyForecastRow from './components/DailyForecastRow';
+import ComparisonPanel from './components/ComparisonPanel';
+import FavoritesDashboard from './components/FavoritesDashboard';
+import HistoryControls from './components/HistoryControls';
+import HourlyCharts from './components/HourlyCharts';
+import LocationSearch from './components/LocationSearch';
+import NotificationCenter, { describeNotification } from './components/NotificationCenter';
+import NowcastCard from './components/NowcastCard';
+import RadarPanel from './components/RadarPanel';
+import RefreshStatus from './components/RefreshStatus';
+import SourcesPanel from './components/SourcesPanel';
+import UnitsSettings from './components/UnitsSettings';
+import UvPanel, { UvBadge } from './components/UvPanel';
+import useClimateHistory from './hooks/useClimateHistory';
+import useAutoRefresh from './hooks/useAutoRefresh';
+import useFavorites from './hooks/useFavorites';
+import useLocationSearch, { MIN_QUERY_LENGTH, searchLocations } from './hooks/useLocationSearch';
+import useNotifications from './hooks/useNotifications';
+import useNow from './hooks/useNow';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import usePreferences from './hooks/usePreferences';
+import useRadar from './hooks/useRadar';
+import useSavedForecasts from './hooks/useSavedForecasts';
+import useSameDayHistory from './hooks/useSameDayHistory';
+import { LANGUAGES, createI18n } from './i18n';
+import { I18nContext } from './i18n/context';
+import { geocoder, geocoderAttribution } from './geocoder';
+import { DEFAULT_WEATHER_PROVIDER, WEATHER_PROVIDERS, getForecast, getWeatherProvider, isCoveredByBrightSky } from './weatherProviders';
+import { isNight } from './utils/astronomy';
+import { getPeriodLength } from './utils/climate';
+import { getCurrentConditions, getCurrentHourWeather, getObservationAgeMinutes } from './utils/currentWeather';
+import { getDailyForecast, getDateKey, getForecastRequestDates } from './utils/dailyForecast';
+import { getFavoriteId } from './utils/favorites';
+import { GeolocationErrorCode, getCurrentPosition, getGeolocationPermission, isGeolocationError, isGeolocationSupported } from './utils/geolocation';
+import { readCachedForecast, writeCachedForecast } from './utils/forecastCache';
+import { addDays } from './utils/history';
+import { getTimeZoneAt } from './utils/timeZone';
+import { formatQuantity, getCompassPoint } from './utils/units';
+import { calculateApparentTemperature, calculateRelativeHumidity } from './utils/apparentTemperature';
+import { getUvIndex } from './utils/uv';
+import { getActiveAlerts, getAlertsInRange, getAlertSeverityStyle, getAlertText, getMostSevereAlert } from './utils/alerts';
 
 // Main App component
 const App = () => {
@@ -106,37 +53,61 @@ const App = () => {
     const [location, setLocation] = useState('');
     const [weatherData, setWeatherData] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [locating, setLocating] = useState(false); // Waiting for the device position and its place name
+    // Current error as { messageKey, cause } so it can be rendered in the active language
     const [error, setError] = useState(null);
     const [currentLocation, setCurrentLocation] = useState('');
+    // Coordinates of the currently displayed location ({ lat, lon })
+    const [currentCoords, setCurrentCoords] = useState(null);
     const [showLocationInput, setShowLocationInput] = useState(true);
-    // New state for units: 'metric' or 'imperial'
-    const [units, setUnits] = useState('metric'); // Default to metric
-    // New states for search suggestions
-    const [suggestions, setSuggestions] = useState([]);
-    const debounceTimerRef = useRef(null); // Ref to hold the debounce timer
+    // Persisted user preferences (units, last viewed location, ...)
+    const { preferences, updatePreferences } = usePreferences();
+    // Selected display unit per quantity ({ temperature: 'celsius', wind_speed: 'kmh', ... })
+    const units = preferences.units;
+    const setUnits = (value) => updatePreferences({ units: value });
+    // Translation helpers for the chosen language (null follows the browser)
+    const i18n = useMemo(() => createI18n(preferences.language), [preferences.language]);
+    const { t, locale, formatDate, formatDuration } = i18n;
+    const restoredLastLocationRef = useRef(false); // Whether the last location has been restored on startup
+    // Text the suggestions are searched for: what the user typed, cleared once a place is picked or the list is closed
+    const [suggestionQuery, setSuggestionQuery] = useState('');
+    const locationSearch = useLocationSearch(suggestionQuery, i18n.language);
     // New state to store the timezone of the queried location
     const [locationTimeZone, setLocationTimeZone] = useState(null);
+    // DWD warnings for the queried location ({ alerts, location } from Bright Sky /alerts)
+    const [alertsData, setAlertsData] = useState(null);
+    // Latest station observation ({ weather, sources } from Bright Sky /current_weather)
+    const [currentWeatherData, setCurrentWeatherData] = useState(null);
+    // Bumped by every refresh of the displayed location, so the radar frames are reloaded together with the forecast
+    const [radarRefreshKey, setRadarRefreshKey] = useState(0);
+    // Radar frames around the displayed location, shared by the radar panel and the nowcast
+    const radar = useRadar(currentCoords ? currentCoords.lat : null, currentCoords ? currentCoords.lon : null, radarRefreshKey);
+    // Saved locations, persisted to localStorage
+    const { favorites, add: addFavorite, remove: removeFavorite, move: moveFavorite } = useFavorites();
+    // Notification rules and the notification center; texts follow the chosen language
+    const describeEntry = useCallback((entry) => describeNotification(entry, i18n), [i18n]);
+    const notifier = useNotifications(describeEntry);
+    // Whether the browser has a network connection; cached forecasts are shown while it has none
+    const online = useOnlineStatus();
+    // Current time, ticking every minute so the current hour and the hourly view move on while the page is open
+    const now = useNow();
+    // Name being entered for a new saved location (null while the save form is closed)
+    const [favoriteNameDraft, setFavoriteNameDraft] = useState(null);
+    // How the hourly forecast is shown: 'cards' for the next 24 hours or 'charts' for the full range
+    const [hourlyView, setHourlyView] = useState('cards');
+    // Date key ('YYYY-MM-DD') of the daily forecast row whose details are open
+    const [expandedDay, setExpandedDay] = useState(null);
+    // Past date range shown instead of the forecast ({ start, end } date keys), null while the forecast is shown
+    const [historyRange, setHistoryRange] = useState(null);
+    // Archived hourly records for the history range ({ weather, sources } from Bright Sky /weather)
+    const [historyData, setHistoryData] = useState(null);
+    const [historyLoading, setHistoryLoading] = useState(false);
+    // Whether the comparison with previous years and the climate statistics have been opened;
+    // their archive data is only loaded from then on
+    const [comparisonOpen, setComparisonOpen] = useState(false);
+    const [climateOpen, setClimateOpen] = useState(false);
 
 
-    // Mapping from Bright Sky icon names to more descriptive condition strings
-    const iconToConditionMap = {
-        'clear-day': 'Sunny',
-        'clear-night': 'Clear',
-        'partly-cloudy-day': 'Partly Cloudy',
-        'partly-cloudy-night': 'Partly Cloudy',
-        'cloudy': 'Cloudy',
-        'fog': 'Foggy',
-        'wind': 'Windy',
-        'rain': 'Rainy',
-        'sleet': 'Sleety',
-        'snow': 'Snowy',
-        'hail': 'Hail',
-        'thunderstorm': 'Thunderstorm',
-        'null': 'N/A', // Handle explicit 'null' icon
-        'dry': 'Dry',
-        'partly-cloudy': 'Partly Cloudy' // Generic partly cloudy
-    };
-
     // Mapping from Bright Sky icon names to Lucide React components
     const iconNameToLucideComponent = {
         'clear-day': <Sun />,
@@ -374,298 +345,371 @@ const App = () => {
         return `bg-gradient-to-br ${weatherBackgrounds[iconName] || defaultBackground}`;
     };
 
-    // Function to fetch coordinates and suggestions from Nominatim Geocoding API (OpenStreetMap)
-    const getCoordinatesAndSuggestions = useCallback(async (query) => {
-        if (query.length < 3) { // Only search for suggestions if query is at least 3 characters
-            setSuggestions([]);
+    // Function to find the best match for the typed text with the geocoder (Nominatim or Photon, OpenStreetMap data),
+    // for searching without picking a suggestion
+    const getCoordinates = useCallback(async (query) => {
+        if (query.trim().length < MIN_QUERY_LENGTH) return null;
+        try {
+            const results = await searchLocations(query, { language: i18n.language });
+            return results.length > 0 ? results[0] : null;
+        } catch (err) {
+            console.error("Error fetching coordinates:", err);
+            setError({ messageKey: 'errors.suggestions', cause: err });
             return null;
         }
+    }, [i18n.language]);
+
+    // Function to fetch the forecast from the chosen weather provider (null picks one by location, see weatherProviders.js),
+    // from the pinned station when there is one. `provider` in the result tells which provider answered.
+    // Successful forecasts are cached per location; without a connection the cached one is returned
+    // with `fromCache` set, and `fetchedAt` tells how old it is.
+    // Every request takes the location's timezone, so dates and timestamps are in local time there.
+    const getWeatherData = useCallback(async (lat, lon, station, timeZone, provider) => {
         try {
-            const encodedQuery = encodeURIComponent(query);
-            // Request up to 5 suggestions
-            const nominatimApiUrl = `https://nominatim.openstreetmap.org/search?q=${encodedQuery}&format=json&limit=5`;
-
-            // Nominatim requests a valid User-Agent
-            const response = await fetch(nominatimApiUrl, {
-                headers: {
-                    'User-Agent': 'WeatherApp/1.0 (your-email@example.com)' // Replace with your app name and email
-                }
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Nominatim API error: ${response.status} - ${errorText}`);
-            }
-            const data = await response.json();
-            // Extract timezone from Nominatim response
-            const timezone = data.length > 0 && data[0].timezone ? data[0].timezone : null;
-            setLocationTimeZone(timezone); // Store timezone in state
-
-            setSuggestions(data); // Set suggestions for display
-            if (data && data.length > 0) {
-                // Return the first result as the primary coordinate for direct search if needed
-                return {
-                    lat: parseFloat(data[0].lat),
-                    lon: parseFloat(data[0].lon),
-                    display_name: data[0].display_name
-                };
-            } else {
-                return null;
-            }
+            // Request data for today + next 7 full days
+            const data = await getForecast({ lat, lon, station, ...getForecastRequestDates(new Date(), timeZone), tz: timeZone }, { provider });
+            const fetchedAt = Date.now();
+            writeCachedForecast(lat, lon, data, { fetchedAt });
+            return { ...data, fetchedAt, fromCache: false };
         } catch (err) {
-            console.error("Error fetching coordinates/suggestions:", err);
-            setError(`Failed to get location suggestions: ${err.message}`);
-            setSuggestions([]); // Clear suggestions on error
+            const cached = isApiError(err, ApiErrorCode.NETWORK) ? readCachedForecast(lat, lon) : null;
+            if (cached) {
+                console.warn("Weather data unavailable, showing the cached forecast:", err);
+                return { ...cached, fromCache: true };
+            }
+            console.error("Error fetching weather data:", err);
+            setError({ messageKey: 'errors.weather', cause: err });
             return null;
         }
     }, []);
 
-    // Function to fetch weather data from Bright Sky API
-    const getWeatherData = useCallback(async (lat, lon) => {
+    // Function to fetch archived weather for a past date range from Bright Sky API.
+    // The range is inclusive, while Bright Sky's last_date is exclusive.
+    const getHistoryData = useCallback(async (lat, lon, range, station, timeZone) => {
         try {
-            // Get today's date and a date for the next 7 days for forecast
-            const today = new Date();
-            const sevenDaysFromNow = new Date();
-            sevenDaysFromNow.setDate(today.getDate() + 7); // Request data for today + next 7 full days
-
-            const formatDate = (date) => {
-                const year = date.getFullYear();
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const day = String(date.getDate()).padStart(2, '0');
-                return `${year}-${month}-${day}`;
-            };
-
-            const formattedDate = formatDate(today);
-            const formattedLastDate = formatDate(sevenDaysFromNow); // Request up to 7 full days
-
-            // Bright Sky API base URL with required date parameters
-            // Bright Sky returns temperature in Kelvin, other units are SI.
-            let brightSkyApiUrl = `https://api.brightsky.dev/weather?lat=${lat}&lon=${lon}&date=${formattedDate}&last_date=${formattedLastDate}&units=si`;
-
-            // Add timezone parameter if available
-            if (locationTimeZone) {
-                brightSkyApiUrl += `&tz=${locationTimeZone}`;
-            }
+            return await brightSky.getWeather({ lat, lon, station, date: range.start, lastDate: addDays(range.end, 1), tz: timeZone });
+        } catch (err) {
+            console.error("Error fetching historical weather data:", err);
+            setError({ messageKey: 'errors.history', cause: err });
+            return null;
+        }
+    }, []);
 
-            const response = await fetch(brightSkyApiUrl);
-            if (!response.ok) {
-                const errorText = await response.text();
-                const errorJson = JSON.parse(errorText);
-                if (errorJson.detail && errorJson.detail.includes("No sources match your criteria")) {
-                    throw new Error("Weather data not available for this location or date range. Please try a different location.");
-                }
-                throw new Error(`Bright Sky API error: ${response.status} - ${errorText}`);
-            }
-            const data = await response.json();
-            return data;
+    // Function to fetch official DWD warnings from Bright Sky API, only requested within Bright Sky's coverage.
+    // Warnings are supplementary, so a failure is only logged and does not replace the forecast with an error.
+    const getAlertsData = useCallback(async (lat, lon, timeZone) => {
+        if (!isCoveredByBrightSky(lat, lon)) return null;
+        try {
+            return await brightSky.getAlerts({ lat, lon, tz: timeZone });
         } catch (err) {
-            console.error("Error fetching weather data:", err);
-            setError(`Failed to fetch weather data: ${err.message}`);
+            console.error("Error fetching weather alerts:", err);
             return null;
         }
-    }, [locationTimeZone]); // Added locationTimeZone to dependencies
+    }, []);
 
 
+    // Function to fetch the latest station observation from Bright Sky API, only within Bright Sky's coverage
+    // or from a pinned station, so no DWD reading appears next to another provider's forecast.
+    // When no station reports current data the app falls back to the forecast hour, so failures are only logged.
+    const getCurrentWeatherData = useCallback(async (lat, lon, station, timeZone) => {
+        if (!isCoveredByBrightSky(lat, lon, station)) return null;
+        try {
+            return await brightSky.getCurrentWeather({ lat, lon, station, tz: timeZone });
+        } catch (err) {
+            console.error("Error fetching current weather:", err);
+            return null;
+        }
+    }, []);
+
     // Function to handle the search for weather data
     const handleSearch = useCallback(async (lat = null, lon = null, displayName = null) => {
         setLoading(true);
         setError(null);
         setWeatherData(null); // Clear previous weather data
-        setSuggestions([]); // Clear suggestions after search
+        setAlertsData(null);
+        setCurrentWeatherData(null);
+        setHistoryRange(null);
+        setHistoryData(null);
+        setSuggestionQuery(''); // Close suggestions after search
 
         let coords = null;
         if (lat && lon) { // If lat/lon are provided (e.g., from suggestion click)
-            coords = { lat, lon, display_name: displayName };
+            coords = { lat, lon, displayName };
         } else { // Otherwise, get coordinates from the current location input
-            coords = await getCoordinatesAndSuggestions(location);
+            coords = await getCoordinates(location);
         }
 
         if (coords) {
-            setCurrentLocation(coords.display_name);
-            // Fetch weather data after timezone is potentially set by getCoordinatesAndSuggestions
-            const weather = await getWeatherData(coords.lat, coords.lon);
+            setCurrentLocation(coords.displayName);
+            // A station pinned for this location replaces the nearest-station lookup
+            const station = preferences.pinnedStations[getFavoriteId(coords.lat, coords.lon)] || null;
+            // Geocoders rarely return a timezone, so it is looked up from the coordinates
+            const timeZone = getTimeZoneAt(coords.lat, coords.lon);
+            const [weather, alerts, current] = await Promise.all([
+                getWeatherData(coords.lat, coords.lon, station, timeZone, preferences.weatherProvider),
+                getAlertsData(coords.lat, coords.lon, timeZone),
+                getCurrentWeatherData(coords.lat, coords.lon, station, timeZone)
+            ]);
             if (weather) {
                 setWeatherData(weather);
+                setAlertsData(alerts);
+                setCurrentWeatherData(current);
+                setCurrentCoords({ lat: coords.lat, lon: coords.lon });
+                setLocationTimeZone(timeZone);
+                // Remember the location so the next session opens straight to its forecast
+                updatePreferences({
+                    lastLocation: { displayName: coords.displayName, lat: coords.lat, lon: coords.lon, timezone: timeZone }
+                });
                 setShowLocationInput(false); // Hide input after successful search
             }
         }
         setLoading(false);
-    }, [location, getCoordinatesAndSuggestions, getWeatherData]);
+    }, [location, getCoordinates, getWeatherData, getAlertsData, getCurrentWeatherData, preferences.pinnedStations, preferences.weatherProvider, updatePreferences]);
+
+    // Function to reload the displayed location's data in the background, keeping what is shown until new data arrives.
+    // Resolves with whether fresh data arrived (a cached forecast while offline does not count).
+    const refreshWeather = useCallback(async () => {
+        if (!currentCoords) return false;
+        const station = preferences.pinnedStations[getFavoriteId(currentCoords.lat, currentCoords.lon)] || null;
+        const [weather, alerts, current] = await Promise.all([
+            getWeatherData(currentCoords.lat, currentCoords.lon, station, locationTimeZone, preferences.weatherProvider),
+            getAlertsData(currentCoords.lat, currentCoords.lon, locationTimeZone),
+            getCurrentWeatherData(currentCoords.lat, currentCoords.lon, station, locationTimeZone)
+        ]);
+        if (!weather) return false;
+        setWeatherData(weather);
+        if (!weather.fromCache) setRadarRefreshKey(key => key + 1);
+        // Warnings and observations that failed to load keep their previous values
+        if (alerts) setAlertsData(alerts);
+        if (current) setCurrentWeatherData(current);
+        if (!weather.fromCache) setError(null);
+        return !weather.fromCache;
+    }, [currentCoords, locationTimeZone, preferences.pinnedStations, preferences.weatherProvider, getWeatherData, getAlertsData, getCurrentWeatherData]);
+
+    // Refresh at the chosen interval and on returning to the tab, and a cached forecast as soon as the connection returns
+    const autoRefresh = useAutoRefresh(refreshWeather, {
+        intervalMinutes: preferences.refreshInterval,
+        lastUpdated: weatherData ? weatherData.fetchedAt : null,
+        stale: Boolean(weatherData && weatherData.fromCache)
+    });
 
-    // Handle input change with debouncing for suggestions
+    // Handle input change; useLocationSearch debounces the suggestions
     const handleLocationInputChange = (e) => {
         const value = e.target.value;
         setLocation(value);
+        setSuggestionQuery(value);
         setError(null); // Clear error when typing
+    };
+
+    // Handle picking a suggestion by click or keyboard
+    const handleSuggestionSelect = (suggestion) => {
+        setLocation(suggestion.displayName);
+        setSuggestionQuery('');
+        handleSearch(suggestion.lat, suggestion.lon, suggestion.displayName);
+    };
 
-        // Clear previous timer
-        if (debounceTimerRef.current) {
-            clearTimeout(debounceTimerRef.current);
+    // Effect to report suggestions that could not be loaded
+    useEffect(() => {
+        if (locationSearch.error) {
+            setError({ messageKey: 'errors.suggestions', cause: locationSearch.error });
         }
+    }, [locationSearch.error]);
+
+    // Forecasts of all saved locations, fetched in the background whatever is shown, for the dashboard
+    // and the notification rules, which are checked against every fresh one
+    const savedForecasts = useSavedForecasts(favorites, {
+        pinnedStations: preferences.pinnedStations,
+        weatherProvider: preferences.weatherProvider,
+        intervalMinutes: preferences.refreshInterval,
+        onForecast: notifier.evaluateForecast
+    });
 
-        // Set a new timer
-        debounceTimerRef.current = setTimeout(() => {
-            if (value.length >= 3) { // Only fetch suggestions if 3 or more characters
-                getCoordinatesAndSuggestions(value);
-            } else {
-                setSuggestions([]); // Clear suggestions if less than 3 characters
-            }
-        }, 500); // 500ms debounce delay
-    };
+    // Effect to keep the document language in sync for screen readers and hyphenation
+    useEffect(() => {
+        document.documentElement.lang = i18n.language;
+    }, [i18n.language]);
 
-    // Handle click on a suggestion
-    const handleSuggestionClick = (suggestion) => {
-        setLocation(suggestion.display_name);
-        setSuggestions([]); // Clear suggestions
-        // Directly set timezone from suggestion if available
-        if (suggestion.timezone) {
-            setLocationTimeZone(suggestion.timezone);
-        } else {
-            setLocationTimeZone(null); // Clear if not provided
+    // Function to open the forecast for the device's current position, named through the geocoder's reverse lookup.
+    // With `quiet` set failures are only logged; resolves with whether a position was found.
+    const locateDevice = useCallback(async ({ quiet = false } = {}) => {
+        setLocating(true);
+        setError(null);
+        let position;
+        try {
+            position = await getCurrentPosition();
+        } catch (err) {
+            console.error("Error getting the device position:", err);
+            if (!quiet) setError({ messageKey: 'errors.geolocation', cause: err });
+            setLocating(false);
+            return false;
         }
-        handleSearch(parseFloat(suggestion.lat), parseFloat(suggestion.lon), suggestion.display_name);
-    };
 
-    // Effect to handle pressing Enter key in the input field (for direct search without selecting suggestion)
+        // Without a place name the coordinates are shown, a failed lookup should not hold back the forecast
+        let place = null;
+        try {
+            place = await geocoder.reverse(position.lat, position.lon, { language: i18n.language });
+        } catch (err) {
+            console.error("Error looking up the device position:", err);
+        }
+        const formatCoordinate = (value) => value.toLocaleString(i18n.locale, { maximumFractionDigits: 3 });
+        const displayName = place
+            ? place.displayName
+            : i18n.t('geolocation.coordinates', { lat: formatCoordinate(position.lat), lon: formatCoordinate(position.lon) });
+        setLocation(displayName);
+        setLocating(false);
+        await handleSearch(position.lat, position.lon, displayName);
+        return true;
+    }, [i18n, handleSearch]);
+
+    // Effect to open a location once on startup: the device's position when the user opted in
+    // and the permission is not denied, otherwise (or when locating fails) the last viewed location
     useEffect(() => {
-        const handleKeyPress = (event) => {
-            if (event.key === 'Enter' && location.trim() !== '' && suggestions.length === 0) {
-                // Only trigger if no suggestions are currently shown (user intends a direct search)
-                handleSearch();
-            }
-        };
-        window.addEventListener('keypress', handleKeyPress);
-        return () => {
-            window.removeEventListener('keypress', handleKeyPress);
+        if (restoredLastLocationRef.current) return;
+        restoredLastLocationRef.current = true;
+        const { lastLocation, locateOnStartup } = preferences;
+        const openLastLocation = () => {
+            if (!lastLocation) return;
+            setLocation(lastLocation.displayName);
+            handleSearch(lastLocation.lat, lastLocation.lon, lastLocation.displayName);
         };
-    }, [location, suggestions, handleSearch]);
+        if (!locateOnStartup) {
+            openLastLocation();
+            return;
+        }
+        getGeolocationPermission()
+            .then(permission => (permission === 'denied' ? false : locateDevice({ quiet: true })))
+            .then(found => {
+                if (!found) openLastLocation();
+            });
+    }, [preferences, handleSearch, locateDevice]);
+
+    // Handle click on a saved location in the dashboard
+    const handleFavoriteSelect = (favorite) => {
+        setLocation(favorite.displayName);
+        handleSearch(favorite.lat, favorite.lon, favorite.name);
+    };
 
-    // Function to convert temperature from Celsius to Fahrenheit
-    const convertCelsiusToFahrenheit = (celsius) => {
-        return (celsius * 9 / 5) + 32;
+    // Save the displayed location under the name entered in the save form
+    const handleSaveFavorite = (e) => {
+        e.preventDefault();
+        if (!currentCoords || !favoriteNameDraft || favoriteNameDraft.trim() === '') return;
+        addFavorite({
+            name: favoriteNameDraft.trim(),
+            displayName: currentLocation,
+            lat: currentCoords.lat,
+            lon: currentCoords.lon,
+            timezone: locationTimeZone
+        });
+        setFavoriteNameDraft(null);
     };
 
-    // Function to convert millimeters to inches
-    const convertMmToInches = (mm) => {
-        return mm / 25.4;
+    // Switch the hourly and daily views to archived data for a past date range
+    const handleHistorySubmit = async (range) => {
+        if (!currentCoords) return;
+        setHistoryLoading(true);
+        setError(null);
+        const station = preferences.pinnedStations[getFavoriteId(currentCoords.lat, currentCoords.lon)] || null;
+        const data = await getHistoryData(currentCoords.lat, currentCoords.lon, range, station, locationTimeZone);
+        if (data) {
+            setHistoryData(data);
+            setHistoryRange(range);
+            setExpandedDay(null);
+        }
+        setHistoryLoading(false);
     };
 
-    // Function to convert meters/second to kilometers/hour
-    const convertMsToKmh = (ms) => {
-        return ms * 3.6; // 1 m/s = 3.6 km/h
+    // Pin a station for the displayed location (null returns to the nearest stations) and reload its data
+    const handlePinStation = async (station) => {
+        if (!currentCoords) return;
+        const id = getFavoriteId(currentCoords.lat, currentCoords.lon);
+        const others = Object.fromEntries(Object.entries(preferences.pinnedStations).filter(([key]) => key !== id));
+        updatePreferences({ pinnedStations: station ? { ...others, [id]: station } : others });
+
+        setLoading(true);
+        setError(null);
+        const [weather, current, history] = await Promise.all([
+            getWeatherData(currentCoords.lat, currentCoords.lon, station, locationTimeZone, preferences.weatherProvider),
+            getCurrentWeatherData(currentCoords.lat, currentCoords.lon, station, locationTimeZone),
+            historyRange ? getHistoryData(currentCoords.lat, currentCoords.lon, historyRange, station, locationTimeZone) : null
+        ]);
+        if (weather) {
+            setWeatherData(weather);
+            setCurrentWeatherData(current);
+        }
+        if (history) {
+            setHistoryData(history);
+        }
+        setLoading(false);
     };
 
-    // Function to convert meters/second to miles/hour
-    const convertMsToMph = (ms) => {
-        return ms * 2.23694;
+    // Choose the weather provider (null picks one by location) and reload the displayed forecast with it
+    const handleProviderChange = async (provider) => {
+        updatePreferences({ weatherProvider: provider });
+        if (!currentCoords) return;
+        const station = preferences.pinnedStations[getFavoriteId(currentCoords.lat, currentCoords.lon)] || null;
+
+        setLoading(true);
+        setError(null);
+        const weather = await getWeatherData(currentCoords.lat, currentCoords.lon, station, locationTimeZone, provider);
+        if (weather) {
+            setWeatherData(weather);
+        }
+        setLoading(false);
     };
 
-    // Function to convert hectopascals to inches of mercury
-    const convertHPaToInHg = (hPa) => {
-        return hPa * 0.02953;
+    // Return from history mode to the forecast
+    const handleHistoryExit = () => {
+        setHistoryRange(null);
+        setHistoryData(null);
+        setExpandedDay(null);
     };
 
     // Function to get cardinal wind direction from degrees
     const getCardinalDirection = (degrees) => {
-        if (degrees === null || degrees === undefined) return '';
-        const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-        const index = Math.round((degrees % 360) / 45);
-        return directions[index % 8];
+        const point = getCompassPoint(degrees);
+        return point ? t(`directions.${point}`) : '';
+    };
+
+    // Function to get the translated condition name for a Bright Sky icon
+    const getConditionLabel = (iconName) => {
+        const key = `conditions.${iconName}`;
+        const label = t(key);
+        return label === key ? t('common.notAvailable') : label;
     };
 
-    // Function to get formatted value based on current units
+    // Function to describe how long ago an observation was made ("observed 12 min ago")
+    const formatObservationAge = (observedAt) => {
+        const minutes = getObservationAgeMinutes(observedAt, now);
+        return minutes < 1 ? t('current.observedJustNow') : t('current.observedAgo', { duration: formatDuration(minutes) });
+    };
+
+    // Function to turn an error from the API clients or the Geolocation API into a readable reason
+    const describeError = (err) => {
+        if (isGeolocationError(err, GeolocationErrorCode.DENIED)) return t('geolocation.denied');
+        if (isGeolocationError(err, GeolocationErrorCode.TIMEOUT)) return t('geolocation.timeout');
+        if (isGeolocationError(err, GeolocationErrorCode.UNSUPPORTED)) return t('geolocation.unsupported');
+        if (isGeolocationError(err)) return t('geolocation.unavailable');
+        if (isApiError(err, ApiErrorCode.NO_SOURCES)) return t('errors.noSources');
+        if (isApiError(err, ApiErrorCode.NETWORK)) return t('errors.network');
+        if (isApiError(err, ApiErrorCode.HTTP)) return t('errors.http', { status: err.status });
+        if (isApiError(err, ApiErrorCode.INVALID_JSON)) return t('errors.invalidJson');
+        return err.message;
+    };
+
+    // Function to get formatted value based on the selected unit per quantity
     const getFormattedValue = (value, type, rawData = null) => { // Added rawData parameter
         if (value === null || value === undefined) {
             // Attempt to calculate humidity if it's missing but dew_point and temperature are available
             if (type === 'humidity' && rawData && rawData.temperature !== null && rawData.dew_point !== null) {
                 const calculatedRh = calculateRelativeHumidity(rawData.temperature, rawData.dew_point);
                 if (calculatedRh !== null) {
-                    return `${Math.round(calculatedRh)}%`;
+                    return formatQuantity(calculatedRh, 'humidity', units, { locale });
                 }
             }
-            return 'N/A';
-        }
-
-        let processedValue = value;
-        let unitSymbol = '';
-
-        // Step 1: Convert temperature from Kelvin to Celsius if it's temperature type
-        // Bright Sky provides temperature in Kelvin, so we always convert it to Celsius first.
-        if (type === 'temperature') {
-            processedValue = value - 273.15; // Convert Kelvin to Celsius
-        }
-
-        // Specific handling for pressure: assuming Bright Sky might return Pascals (Pa)
-        // and converting to hPa for metric display.
-        if (type === 'pressure') {
-            // If the value is very large (e.g., 100,000+), assume it's in Pascals and convert to hPa
-            // Otherwise, assume it's already in hPa. This is a heuristic based on observed error.
-            if (value > 2000) { // A pressure value significantly higher than typical hPa (e.g., > 2000 hPa)
-                processedValue = value / 100; // Convert Pa to hPa
-            } else {
-                processedValue = value; // Assume it's already hPa
-            }
+            return t('common.notAvailable');
         }
 
-        // Step 2: Apply unit-specific formatting based on 'units' state
-        if (units === 'metric') {
-            switch (type) {
-                case 'temperature':
-                    unitSymbol = '°C';
-                    break;
-                case 'precipitation':
-                    unitSymbol = 'mm';
-                    break;
-                case 'wind_speed':
-                    processedValue = convertMsToKmh(value); // Convert m/s to km/h
-                    unitSymbol = 'km/h';
-                    break;
-                case 'pressure':
-                    unitSymbol = 'hPa';
-                    break;
-                case 'visibility': // Added visibility type
-                    processedValue = value / 1000; // meters to kilometers
-                    unitSymbol = 'km';
-                    break;
-                case 'humidity':
-                case 'cloud_cover': // Added cloud_cover type
-                    unitSymbol = '%';
-                    break;
-                default:
-                    break;
-            }
-        } else { // Imperial
-            switch (type) {
-                case 'temperature':
-                    processedValue = convertCelsiusToFahrenheit(processedValue); // ProcessedValue is already Celsius
-                    unitSymbol = '°F';
-                    break;
-                case 'precipitation':
-                    processedValue = convertMmToInches(value); // Original value (mm) to inches
-                    unitSymbol = 'in';
-                    break;
-                case 'wind_speed':
-                    processedValue = convertMsToMph(value); // Original value (m/s) to mph
-                    unitSymbol = 'mph';
-                    break;
-                case 'pressure':
-                    processedValue = convertHPaToInHg(processedValue); // processedValue is already in hPa
-                    unitSymbol = 'inHg';
-                    break;
-                case 'visibility': // Added visibility type
-                    processedValue = (value / 1000) * 0.621371; // meters to miles
-                    unitSymbol = 'mi';
-                    break;
-                case 'humidity':
-                case 'cloud_cover': // Added cloud_cover type
-                    unitSymbol = '%';
-                    break;
-                default:
-                    break;
-            }
-        }
-        // Round all numbers to whole numbers as requested
-        return `${Math.round(processedValue)}${unitSymbol}`;
+        return formatQuantity(value, type, units, { locale });
     };
 
 
@@ -680,354 +724,600 @@ const App = () => {
     };
 
 
-    // Function to process hourly data into daily forecast
-    const getDailyForecast = useCallback((hourlyData) => {
-        const dailyForecast = {};
-
-        // Get the current date in the queried location's timezone
-        const nowInLocationTimezone = new Date(new Date().toLocaleString('en-US', { timeZone: locationTimeZone || undefined }));
-        // Normalize it to the start of the day
-        nowInLocationTimezone.setHours(0, 0, 0, 0);
-
-        hourlyData.forEach(hour => {
-            const date = new Date(hour.timestamp);
-            // Use local date string for grouping to avoid UTC/local day boundary issues
-            const dateString = date.toLocaleDateString('en-US', { year: 'numeric', month: 'numeric', day: 'numeric', timeZone: locationTimeZone || undefined });
-
-            if (!dailyForecast[dateString]) {
-                dailyForecast[dateString] = {
-                    date: date, // Keep original date for sorting, but use dateString for key
-                    minTemp: Infinity, // Store in Kelvin initially
-                    maxTemp: -Infinity, // Store in Kelvin initially
-                    icons: {}, // To count icon occurrences
-                    dominantIcon: null,
-                    totalPrecipitation: 0
-                };
-            }
-
-            // Update min/max temperature (store in Kelvin) only if temperature is a valid number
-            if (typeof hour.temperature === 'number' && !isNaN(hour.temperature)) {
-                if (hour.temperature < dailyForecast[dateString].minTemp) {
-                    dailyForecast[dateString].minTemp = hour.temperature;
-                }
-                if (hour.temperature > dailyForecast[dateString].maxTemp) {
-                    dailyForecast[dateString].maxTemp = hour.temperature;
-                }
-            }
-
-            // Count icon occurrences, converting night icons to day icons for daily summary
-            if (hour.icon) {
-                let processedIcon = hour.icon;
-                if (processedIcon.endsWith('-night')) {
-                    processedIcon = processedIcon.replace('-night', '-day');
-                }
-                dailyForecast[dateString].icons[processedIcon] = (dailyForecast[dateString].icons[processedIcon] || 0) + 1;
-            }
-
-            // Sum precipitation
-            dailyForecast[dateString].totalPrecipitation += hour.precipitation || 0;
-        });
-
-        // Determine dominant icon for each day
-        for (const dateString in dailyForecast) {
-            let maxCount = 0;
-            let dominantIcon = null;
-            for (const icon in dailyForecast[dateString].icons) {
-                if (dailyForecast[dateString].icons[icon] > maxCount) {
-                    maxCount = dailyForecast[dateString].icons[icon];
-                    dominantIcon = icon;
-                }
-            }
-            dailyForecast[dateString].dominantIcon = dominantIcon;
-
-            // If minTemp or maxTemp are still Infinity/-Infinity, it means no valid temperature data was found for the day
-            if (dailyForecast[dateString].minTemp === Infinity) {
-                dailyForecast[dateString].minTemp = null;
-            }
-            if (dailyForecast[dateString].maxTemp === -Infinity) {
-                dailyForecast[dateString].maxTemp = null;
-            }
-        }
-
-        // Convert object to sorted array
-        const sortedDailyForecast = Object.values(dailyForecast).sort((a, b) => a.date.getTime() - b.date.getTime());
-
-        // Filter out days that are strictly before today in the location's timezone
-        const filteredDailyForecast = sortedDailyForecast.filter(day => {
-            const dayStartInLocationTimezone = new Date(day.date.toLocaleDateString('en-US', { timeZone: locationTimeZone || undefined }));
-            dayStartInLocationTimezone.setHours(0, 0, 0, 0); // Normalize to midnight in local timezone
-            return dayStartInLocationTimezone.getTime() >= nowInLocationTimezone.getTime();
-        });
-
-        // Slice to get exactly 7 days
-        return filteredDailyForecast.slice(0, 7);
-    }, [locationTimeZone]); // Added locationTimeZone to dependencies
-
-
-    const currentHourWeather = weatherData ? getCurrentHourWeather(weatherData.weather) : null;
-    const dailyForecastData = weatherData ? getDailyForecast(weatherData.weather) : [];
+    const currentHourWeather = weatherData ? getCurrentHourWeather(weatherData.weather, now) : null;
+    // Observed conditions, falling back to the forecast hour when no observation is available
+    const currentConditions = getCurrentConditions(currentWeatherData, currentHourWeather);
+    const currentWeather = currentConditions ? currentConditions.weather : null;
+    const dailyForecastData = weatherData ? getDailyForecast(weatherData.weather, locationTimeZone, { now }) : [];
     const todayForecast = dailyForecastData.length > 0 ? dailyForecastData[0] : null;
+    // Station pinned for the displayed location, if any
+    const pinnedStation = currentCoords ? preferences.pinnedStations[getFavoriteId(currentCoords.lat, currentCoords.lon)] || null : null;
+    // Today's forecast next to the same date in previous years
+    const sameDayHistory = useSameDayHistory(
+        currentCoords ? currentCoords.lat : null,
+        currentCoords ? currentCoords.lon : null,
+        pinnedStation,
+        todayForecast ? todayForecast.dateKey : null,
+        locationTimeZone,
+        comparisonOpen
+    );
+    // The same calendar period as the daily forecast in previous years, for the climate statistics
+    const climateHistory = useClimateHistory(
+        currentCoords ? currentCoords.lat : null,
+        currentCoords ? currentCoords.lon : null,
+        pinnedStation,
+        todayForecast ? todayForecast.dateKey : null,
+        getPeriodLength(dailyForecastData),
+        locationTimeZone,
+        climateOpen
+    );
+    // In history mode the hourly and daily views show the archived records instead of the forecast
+    const isHistoryMode = Boolean(historyRange && historyData);
+    const displayedHours = isHistoryMode ? historyData.weather : (weatherData ? weatherData.weather : []);
+    const displayedDays = isHistoryMode
+        ? getDailyForecast(historyData.weather, locationTimeZone, { includePast: true, maxDays: null })
+        : dailyForecastData;
+    const activeAlerts = alertsData ? getActiveAlerts(alertsData.alerts, now) : [];
+    // Provider of the displayed records: archived data always comes from Bright Sky, forecasts from the provider that answered
+    const activeProvider = weatherData
+        ? getWeatherProvider(isHistoryMode ? 'brightsky' : weatherData.provider || DEFAULT_WEATHER_PROVIDER)
+        : null;
+    // A pinned station is only used with Bright Sky, which automatic selection includes
+    const stationsSupported = preferences.weatherProvider === null || getWeatherProvider(preferences.weatherProvider).stations;
+    const isCurrentLocationSaved = currentCoords
+        ? favorites.some(favorite => favorite.id === getFavoriteId(currentCoords.lat, currentCoords.lon))
+        : false;
+
+    // Function to get the most severe active alert within a time range
+    const getAlertForRange = (start, end) => getMostSevereAlert(getAlertsInRange(activeAlerts, start, end));
+
+    // Function to render a small warning marker for an alert
+    const renderAlertMarker = (alert, size = 16) => {
+        if (!alert) return null;
+        return (
+            <span
+                title={getAlertText(alert, 'headline', i18n.language) || getAlertText(alert, 'event', i18n.language) || t('alerts.fallbackHeadline')}
+                aria-label={t('alerts.fallbackHeadline')}
+            >
+                <AlertTriangle size={size} className={getAlertSeverityStyle(alert.severity).icon} />
+            </span>
+        );
+    };
 
     // Get themed classes based on current weather icon
-    const theme = currentHourWeather ? getThemedClasses(currentHourWeather.icon) : themedColors.default;
+    const theme = currentWeather ? getThemedClasses(currentWeather.icon) : themedColors.default;
 
 
     return (
-        <div className={`min-h-screen flex items-center justify-center p-4 font-inter transition-colors duration-500 ${currentHourWeather ? getBackgroundClasses(currentHourWeather.icon) : 'bg-gradient-to-br from-blue-400 to-purple-600'}`}>
-            <div className="bg-white bg-opacity-90 backdrop-blur-lg rounded-xl shadow-2xl p-8 max-w-2xl w-full border border-gray-200">
-                <h1 className={`text-4xl font-extrabold text-center mb-6 drop-shadow-sm text-gray-800`}> {/* Always dark text for main title */}
-                    SkyCast
-                </h1>
-
-                {showLocationInput ? (
-                    <div className="flex flex-col space-y-4 relative">
-                        <input
-                            type="text"
-                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition duration-200 shadow-sm text-gray-700"
-                            placeholder="Enter city or location"
-                            value={location}
-                            onChange={handleLocationInputChange}
-                            aria-label="Location input"
-                        />
-                        {suggestions.length > 0 && (
-                            <ul className="absolute z-10 w-full bg-white border border-gray-300 rounded-lg shadow-lg mt-1 max-h-60 overflow-y-auto">
-                                {suggestions.map((suggestion) => (
-                                    <li
-                                        key={suggestion.place_id}
-                                        className="p-3 cursor-pointer hover:bg-gray-100 border-b border-gray-200 text-gray-800"
-                                        onClick={() => handleSuggestionClick(suggestion)}
-                                    >
-                                        {suggestion.display_name}
-                                    </li>
-                                ))}
-                            </ul>
-                        )}
-                        <button
-                            onClick={() => handleSearch()}
-                            disabled={loading || location.trim() === ''}
-                            className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition duration-300 ease-in-out shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
-                            aria-label="Search weather"
+        <I18nContext.Provider value={i18n}>
+            <div className={`min-h-screen flex items-center justify-center p-4 font-inter transition-colors duration-500 ${currentWeather ? getBackgroundClasses(currentWeather.icon) : 'bg-gradient-to-br from-blue-400 to-purple-600'}`}>
+                <div className="bg-white bg-opacity-90 backdrop-blur-lg rounded-xl shadow-2xl p-8 max-w-2xl w-full border border-gray-200">
+                    <div className="flex justify-end items-center gap-2 mb-2">
+                        <NotificationCenter center={notifier} favorites={favorites} units={units} />
+                        <select
+                            value={preferences.language || ''}
+                            onChange={(e) => updatePreferences({ language: e.target.value || null })}
+                            className="text-sm p-1 border border-gray-300 rounded-lg text-gray-700 bg-white"
+                            aria-label={t('language.label')}
                         >
-                            {loading ? (
-                                <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                </svg>
-                            ) : (
-                                'Get Weather'
-                            )}
-                        </button>
-                    </div>
-                ) : (
-                    <div className="text-center mb-4">
-                        <h2 className={`text-2xl font-bold mb-2 text-gray-800`}>{currentLocation}</h2> {/* Always dark text for location name */}
-                        <button
-                            onClick={() => {
-                                setShowLocationInput(true);
-                                setWeatherData(null);
-                                setLocation('');
-                            }}
-                            className="bg-gray-300 text-gray-800 py-2 px-4 rounded-lg font-semibold hover:bg-gray-400 transition duration-300 ease-in-out shadow-sm"
+                            <option value="">{t('language.auto')}</option>
+                            {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                                <option key={code} value={code}>{label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={preferences.weatherProvider || ''}
+                            onChange={(e) => handleProviderChange(e.target.value || null)}
+                            disabled={loading}
+                            className="text-sm p-1 border border-gray-300 rounded-lg text-gray-700 bg-white"
+                            aria-label={t('provider.label')}
                         >
-                            Change Location
-                        </button>
-                    </div>
-                )}
-
-
-                {error && (
-                    <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative mt-6" role="alert">
-                        <strong className="font-bold">Error!</strong>
-                        <span className="block sm:inline"> {error}</span>
+                            <option value="">{t('provider.auto')}</option>
+                            {WEATHER_PROVIDERS.map(provider => (
+                                <option key={provider.id} value={provider.id}>{provider.name}</option>
+                            ))}
+                        </select>
                     </div>
-                )}
-
-                {weatherData && weatherData.weather && weatherData.weather.length > 0 && currentHourWeather && (
-                    <div className="mt-8">
-                        {/* Unit Toggle */}
-                        <div className="flex justify-center mb-4">
-                            <button
-                                onClick={() => setUnits('metric')}
-                                className={`px-4 py-2 rounded-l-lg font-semibold transition duration-300 ease-in-out ${
-                                    units === 'metric' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                }`}
-                            >
-                                Metric
-                            </button>
+                    <h1 className={`text-4xl font-extrabold text-center mb-6 drop-shadow-sm text-gray-800`}> {/* Always dark text for main title */}
+                        {t('app.title')}
+                    </h1>
+
+                    {showLocationInput ? (
+                        <div className="flex flex-col space-y-4 relative">
+                            <LocationSearch
+                                value={location}
+                                search={locationSearch}
+                                onChange={handleLocationInputChange}
+                                onSelect={handleSuggestionSelect}
+                                onSubmit={() => handleSearch()}
+                                onDismiss={() => setSuggestionQuery('')}
+                            />
                             <button
-                                onClick={() => setUnits('imperial')}
-                                className={`px-4 py-2 rounded-r-lg font-semibold transition duration-300 ease-in-out ${
-                                    units === 'imperial' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                }`}
+                                onClick={() => handleSearch()}
+                                disabled={loading || location.trim() === ''}
+                                className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition duration-300 ease-in-out shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+                                aria-label={t('search.buttonLabel')}
                             >
-                                Imperial
+                                {loading ? (
+                                    <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                    </svg>
+                                ) : (
+                                    t('search.button')
+                                )}
                             </button>
+                            {/* Device position, only offered when the browser can provide one */}
+                            {isGeolocationSupported() && (
+                                <div className="flex flex-wrap items-center justify-between gap-2">
+                                    <button
+                                        onClick={() => locateDevice()}
+                                        disabled={loading || locating}
+                                        className="flex items-center gap-2 py-2 px-3 rounded-lg border border-blue-600 text-blue-700 font-semibold hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        <LocateFixed size={18} className={locating ? 'animate-pulse' : ''} />
+                                        {locating ? t('geolocation.locating') : t('geolocation.useMyLocation')}
+                                    </button>
+                                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={preferences.locateOnStartup}
+                                            onChange={(e) => updatePreferences({ locateOnStartup: e.target.checked })}
+                                        />
+                                        {t('geolocation.locateOnStartup')}
+                                    </label>
+                                </div>
+                            )}
+                            {/* Saved locations */}
+                            <FavoritesDashboard
+                                favorites={favorites}
+                                forecasts={savedForecasts}
+                                onSelect={handleFavoriteSelect}
+                                onRemove={removeFavorite}
+                                onMove={moveFavorite}
+                                formatTemperature={(value) => getFormattedValue(value, 'temperature')}
+                                getWeatherIcon={getWeatherIcon}
+                            />
                         </div>
-
-                        {/* Main Current Weather Display (mimicking Dark Sky) */}
-                        <div className={`text-center mb-8 p-6 rounded-lg shadow-md ${theme.mainCardBg}`}>
-                            <h2 className={`text-3xl font-bold mb-2 ${theme.mainCardLabelText}`}>Current Weather</h2> {/* Used mainCardLabelText */}
-                            <p className={`text-6xl font-extrabold leading-none mb-2 ${theme.mainTempText}`}>
-                                {getFormattedValue(currentHourWeather.temperature, 'temperature')}
-                            </p>
-                            <p className={`text-2xl mb-4 flex items-center justify-center gap-2 ${theme.mainConditionText}`}>
-                                {iconToConditionMap[currentHourWeather.icon] || 'N/A'} {getWeatherIcon(currentHourWeather.icon, 48, theme.mainIconColor)} {/* Pass icon color */}
-                            </p>
-                            {/* Removed High/Low from here */}
+                    ) : (
+                        <div className="text-center mb-4">
+                            <h2 className={`text-2xl font-bold mb-2 text-gray-800`}>{currentLocation}</h2> {/* Always dark text for location name */}
+                            <div className="flex items-center justify-center gap-2">
+                                <button
+                                    onClick={() => {
+                                        setShowLocationInput(true);
+                                        setWeatherData(null);
+                                        setAlertsData(null);
+                                        setCurrentCoords(null);
+                                        setCurrentWeatherData(null);
+                                        setFavoriteNameDraft(null);
+                                        setHistoryRange(null);
+                                        setHistoryData(null);
+                                        setLocation('');
+                                    }}
+                                    className="bg-gray-300 text-gray-800 py-2 px-4 rounded-lg font-semibold hover:bg-gray-400 transition duration-300 ease-in-out shadow-sm"
+                                >
+                                    {t('location.change')}
+                                </button>
+                                {currentCoords && (
+                                    isCurrentLocationSaved ? (
+                                        <button
+                                            onClick={() => removeFavorite(getFavoriteId(currentCoords.lat, currentCoords.lon))}
+                                            className="bg-yellow-100 text-yellow-800 py-2 px-4 rounded-lg font-semibold hover:bg-yellow-200 transition duration-300 ease-in-out shadow-sm flex items-center gap-1"
+                                        >
+                                            <Star size={18} className="fill-yellow-400 text-yellow-600" /> {t('favorites.saved')}
+                                        </button>
+                                    ) : (
+                                        <button
+                                            onClick={() => setFavoriteNameDraft(currentLocation.split(',')[0])}
+                                            className="bg-gray-300 text-gray-800 py-2 px-4 rounded-lg font-semibold hover:bg-gray-400 transition duration-300 ease-in-out shadow-sm flex items-center gap-1"
+                                        >
+                                            <Star size={18} /> {t('favorites.save')}
+                                        </button>
+                                    )
+                                )}
+                            </div>
+                            {favoriteNameDraft !== null && (
+                                <form onSubmit={handleSaveFavorite} className="flex items-center justify-center gap-2 mt-3">
+                                    <input
+                                        type="text"
+                                        value={favoriteNameDraft}
+                                        onChange={(e) => setFavoriteNameDraft(e.target.value)}
+                                        className="p-2 border border-gray-300 rounded-lg text-gray-700"
+                                        aria-label={t('favorites.nameLabel')}
+                                        autoFocus
+                                    />
+                                    <button type="submit" disabled={favoriteNameDraft.trim() === ''} className="bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50">
+                                        {t('favorites.save')}
+                                    </button>
+                                    <button type="button" onClick={() => setFavoriteNameDraft(null)} className="text-gray-700 py-2 px-2 font-semibold">
+                                        {t('favorites.cancel')}
+                                    </button>
+                                </form>
+                            )}
                         </div>
+                    )}
 
-                        {/* Detailed Current Weather Conditions */}
-                        <h2 className={`text-2xl font-semibold mb-4 text-center text-gray-800`}>Details</h2>
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                            {/* High / Low */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <Thermometer size={20} className={theme.labelTextColor} /> {/* Icon for High/Low */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>High / Low:</p>
-                                </div>
-                                <p className={`text-lg font-bold ${theme.detailText}`}>
-                                    {todayForecast ? `${getFormattedValue(todayForecast.maxTemp, 'temperature')} / ${getFormattedValue(todayForecast.minTemp, 'temperature')}` : 'N/A'}
-                                </p>
-                            </div>
-                            {/* Feels Like */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <ThermometerSun size={20} className={theme.labelTextColor} /> {/* Icon for Feels Like */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>Feels Like:</p>
-                                </div>
-                                <p className={`text-lg font-bold ${theme.detailText}`}>
-                                    {getFormattedValue(calculateApparentTemperature(currentHourWeather.temperature, currentHourWeather.humidity, currentHourWeather.wind_speed, currentHourWeather.dew_point), 'temperature')}
-                                </p>
-                            </div>
-                            {/* Dew Point */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <Droplet size={20} className={theme.labelTextColor} /> {/* Icon for Dew Point */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>Dew Point:</p>
-                                </div>
-                                <p className={`text-lg font-bold ${theme.detailText}`}>
-                                    {getFormattedValue(currentHourWeather.dew_point, 'temperature')}
-                                </p>
-                            </div>
-                            {/* Humidity */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <Droplet size={20} className={theme.labelTextColor} /> {/* Icon for Humidity */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>Humidity:</p>
-                                </div>
-                                <p className={`text-xl font-bold break-words ${theme.detailText}`}>
-                                    {getFormattedValue(currentHourWeather.humidity, 'humidity', currentHourWeather)}
-                                </p>
-                            </div>
-                            {/* Wind Speed */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <Wind size={20} className={theme.labelTextColor} /> {/* Icon for Wind Speed */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>Wind:</p>
-                                </div>
-                                <p className={`text-lg font-bold ${theme.detailText}`}>
-                                    {getFormattedValue(currentHourWeather.wind_speed, 'wind_speed')} {getCardinalDirection(currentHourWeather.wind_direction)}
-                                    {currentHourWeather.wind_gust_speed !== null && currentHourWeather.wind_gust_speed !== undefined &&
-                                        ` (G: ${getFormattedValue(currentHourWeather.wind_gust_speed, 'wind_speed')})`
-                                    }
-                                </p>
-                            </div>
-                            {/* Pressure */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <Gauge size={20} className={theme.labelTextColor} /> {/* Icon for Pressure */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>Pressure:</p>
-                                </div>
-                                <p className={`text-lg font-bold ${theme.detailText}`}>
-                                    {getFormattedValue(currentHourWeather.pressure_msl, 'pressure')}
-                                </p>
-                            </div>
-                            {/* Cloud Cover */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <Cloud size={20} className={theme.labelTextColor} /> {/* Icon for Cloud Cover */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>Cloud Cover:</p>
-                                </div>
-                                <p className={`text-xl font-bold break-words ${theme.detailText}`}>
-                                    {getFormattedValue(currentHourWeather.cloud_cover, 'cloud_cover')}
-                                </p>
-                            </div>
-                            {/* Visibility */}
-                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
-                                <div className="flex items-center gap-2">
-                                    <Eye size={20} className={theme.labelTextColor} /> {/* Icon for Visibility */}
-                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>Visibility:</p>
-                                </div>
-                                <p className={`text-lg font-bold ${theme.detailText}`}>
-                                    {getFormattedValue(currentHourWeather.visibility, 'visibility')}
-                                </p>
-                            </div>
+
+                    {error && (
+                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative mt-6" role="alert">
+                            <strong className="font-bold">{t('error.title')}</strong>
+                            <span className="block sm:inline"> {t(error.messageKey, { reason: describeError(error.cause) })}</span>
                         </div>
+                    )}
+
+                    {weatherData && weatherData.weather && weatherData.weather.length > 0 && currentWeather && (
+                        <div className="mt-8">
+                            {/* Last update, manual refresh and auto-refresh interval */}
+                            <RefreshStatus
+                                lastUpdated={weatherData.fetchedAt}
+                                status={autoRefresh}
+                                timeZone={locationTimeZone}
+                                intervalMinutes={preferences.refreshInterval}
+                                onIntervalChange={(minutes) => updatePreferences({ refreshInterval: minutes })}
+                            />
+
+                            {/* Offline notice, with the age of the cached forecast when one is shown */}
+                            {(weatherData.fromCache || !online) && (
+                                <div className="mb-6 p-3 rounded-lg border border-amber-400 bg-amber-50 text-amber-900 flex items-center gap-2" role="status">
+                                    <WifiOff size={18} className="flex-shrink-0" />
+                                    <p>
+                                        {weatherData.fromCache && (
+                                            <strong>{t('offline.staleSince', { time: formatDate(weatherData.fetchedAt, { dateStyle: 'medium', timeStyle: 'short', timeZone: locationTimeZone || undefined }) })} </strong>
+                                        )}
+                                        {weatherData.fromCache ? t('offline.cachedForecast') : t('offline.offline')}
+                                    </p>
+                                </div>
+                            )}
 
-                        {/* Hourly Forecast */}
-                        <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>Hourly Forecast</h2>
-                        <div className="overflow-x-auto">
-                            <div className="flex space-x-4 pb-4">
-                                {
-                                    // Filter out past hours and then take the next 24 hours
-                                    weatherData.weather.filter(hour => {
-                                        const hourTime = new Date(hour.timestamp);
-                                        const currentTime = new Date();
-                                        // Compare only hours and minutes to ensure current hour is included
-                                        return hourTime.getTime() >= currentTime.setMinutes(currentTime.getMinutes() - 5); // Give a small buffer
-                                    }).slice(0, 24).map((hour, index, array) => (
-                                        <div key={index} className={`flex-shrink-0 w-32 p-4 rounded-lg shadow-md text-center ${theme.hourlyCardBg}`}>
-                                            <p className={`text-sm font-semibold ${theme.labelTextColor}`}> {/* Used labelTextColor */}
-                                                {/* Display day only if it's the first hour or the day changes from the previous hour */}
-                                                {index === 0 || new Date(hour.timestamp).getDate() !== new Date(array[index - 1].timestamp).getDate()
-                                                    ? new Date(hour.timestamp).toLocaleDateString('en-US', { weekday: 'short' }) + ' '
-                                                    : ''
-                                                }
-                                                {new Date(hour.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })}
-                                            </p>
-                                            <div className="text-2xl mt-2 flex items-center justify-center">{getWeatherIcon(hour.icon, 32, theme.mainIconColor)}</div> {/* Pass icon color */}
-                                            <p className={`text-xl font-bold mt-1 ${theme.hourlyText}`}>{getFormattedValue(hour.temperature, 'temperature')}</p>
-                                            <p className={`text-sm ${theme.labelTextColor}`}>{iconToConditionMap[hour.icon] || 'N/A'}</p> {/* Used labelTextColor */}
+                            {/* Units settings */}
+                            <UnitsSettings units={units} onChange={setUnits} />
+
+                            {/* Switch to archived data for a past date range */}
+                            <HistoryControls
+                                todayKey={getDateKey(now, locationTimeZone)}
+                                activeRange={isHistoryMode ? historyRange : null}
+                                loading={historyLoading}
+                                onSubmit={handleHistorySubmit}
+                                onExit={handleHistoryExit}
+                            />
+
+                            {/* Current conditions and forecast extras are hidden while past data is shown */}
+                            {!isHistoryMode && (
+                                <>
+                                {/* Official DWD warnings */}
+                                <AlertsBanner alerts={activeAlerts} timeZone={locationTimeZone} location={alertsData ? alertsData.location : null} />
+
+                                {/* Main Current Weather Display (mimicking Dark Sky) */}
+                                <div className={`text-center mb-8 p-6 rounded-lg shadow-md ${theme.mainCardBg}`}>
+                                    <h2 className={`text-3xl font-bold mb-2 ${theme.mainCardLabelText}`}>{t('current.title')}</h2> {/* Used mainCardLabelText */}
+                                    <p className={`text-6xl font-extrabold leading-none mb-2 ${theme.mainTempText}`}>
+                                        {getFormattedValue(currentWeather.temperature, 'temperature')}
+                                    </p>
+                                    <p className={`text-2xl mb-4 flex items-center justify-center gap-2 ${theme.mainConditionText}`}>
+                                        {getConditionLabel(currentWeather.icon)} {getWeatherIcon(currentWeather.icon, 48, theme.mainIconColor)} {/* Pass icon color */}
+                                    </p>
+                                    {/* Observing station and observation age, or a note that the values are forecast */}
+                                    <p className={`text-sm ${theme.mainConditionText}`}>
+                                        {currentConditions.isObservation
+                                            ? `${currentConditions.station && currentConditions.station.station_name
+                                                ? `${t('current.station', {
+                                                    station: currentConditions.station.station_name,
+                                                    distance: getFormattedValue(currentConditions.station.distance, 'distance')
+                                                })} • `
+                                                : ''}${formatObservationAge(currentConditions.observedAt)}`
+                                            : t('current.forecast')
+                                        }
+                                    </p>
+                                    {/* Sun and moon times for today, computed locally */}
+                                    {currentCoords && todayForecast && (
+                                        <div className="mt-4">
+                                            <h3 className={`text-sm font-semibold mb-2 ${theme.mainCardLabelText}`}>{t('astronomy.title')}</h3>
+                                            <AstronomyDetails
+                                                day={todayForecast}
+                                                coords={currentCoords}
+                                                timeZone={locationTimeZone}
+                                                labelClassName={`justify-center ${theme.mainConditionText}`}
+                                                valueClassName={theme.mainConditionText}
+                                            />
                                         </div>
-                                    ))
-                                }
-                            </div>
-                        </div>
+                                    )}
+                                </div>
 
-                        {/* Daily Forecast */}
-                        <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>Daily Forecast</h2>
-                        <div className="overflow-x-auto">
-                            <div className="flex flex-col space-y-2 pb-4">
-                                {dailyForecastData.map((day, index) => (
-                                    <div key={index} className={`flex items-center justify-between p-4 rounded-lg shadow-md ${theme.dailyCardBg}`}>
-                                        <p className={`text-lg font-semibold w-1/4 ${theme.labelTextColor}`}> {/* Used labelTextColor */}
-                                            {day.date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                                {/* Minute-level precipitation nowcast */}
+                                <NowcastCard radar={radar} units={units} now={now} theme={theme} />
+
+                                {/* Detailed Current Weather Conditions */}
+                                <h2 className={`text-2xl font-semibold mb-4 text-center text-gray-800`}>{t('details.title')}</h2>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    {/* High / Low */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <Thermometer size={20} className={theme.labelTextColor} /> {/* Icon for High/Low */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.highLow')}</p>
+                                        </div>
+                                        <p className={`text-lg font-bold ${theme.detailText}`}>
+                                            {todayForecast ? `${getFormattedValue(todayForecast.maxTemp, 'temperature')} / ${getFormattedValue(todayForecast.minTemp, 'temperature')}` : t('common.notAvailable')}
+                                        </p>
+                                    </div>
+                                    {/* Feels Like */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <ThermometerSun size={20} className={theme.labelTextColor} /> {/* Icon for Feels Like */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.feelsLike')}</p>
+                                        </div>
+                                        <p className={`text-lg font-bold ${theme.detailText}`}>
+                                            {getFormattedValue(calculateApparentTemperature(currentWeather.temperature, currentWeather.humidity, currentWeather.wind_speed, currentWeather.dew_point), 'temperature')}
+                                        </p>
+                                    </div>
+                                    {/* Dew Point */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <Droplet size={20} className={theme.labelTextColor} /> {/* Icon for Dew Point */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.dewPoint')}</p>
+                                        </div>
+                                        <p className={`text-lg font-bold ${theme.detailText}`}>
+                                            {getFormattedValue(currentWeather.dew_point, 'temperature')}
                                         </p>
-                                        <div className="w-1/6 text-center flex items-center justify-center">{getWeatherIcon(day.dominantIcon, 32, theme.mainIconColor)}</div> {/* Pass icon color */}
-                                        <p className={`text-lg w-1/3 text-center ${theme.labelTextColor}`}> {/* Used labelTextColor */}
-                                            {iconToConditionMap[day.dominantIcon] || 'N/A'}
+                                    </div>
+                                    {/* Humidity */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <Droplet size={20} className={theme.labelTextColor} /> {/* Icon for Humidity */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.humidity')}</p>
+                                        </div>
+                                        <p className={`text-xl font-bold break-words ${theme.detailText}`}>
+                                            {getFormattedValue(currentWeather.humidity, 'humidity', currentWeather)}
                                         </p>
-                                        <p className={`text-lg font-bold w-1/4 text-right ${theme.dailyText}`}>
-                                            {day.maxTemp !== null && day.minTemp !== null ?
-                                                `${getFormattedValue(day.maxTemp, 'temperature')} / ${getFormattedValue(day.minTemp, 'temperature')}`
-                                                : 'N/A'
+                                    </div>
+                                    {/* Wind Speed */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <Wind size={20} className={theme.labelTextColor} /> {/* Icon for Wind Speed */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.wind')}</p>
+                                        </div>
+                                        <p className={`text-lg font-bold ${theme.detailText}`}>
+                                            {getFormattedValue(currentWeather.wind_speed, 'wind_speed')} {getCardinalDirection(currentWeather.wind_direction)}
+                                            {currentWeather.wind_gust_speed !== null && currentWeather.wind_gust_speed !== undefined &&
+                                                ` (${t('details.gust', { speed: getFormattedValue(currentWeather.wind_gust_speed, 'wind_speed') })})`
                                             }
                                         </p>
                                     </div>
+                                    {/* Pressure */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <Gauge size={20} className={theme.labelTextColor} /> {/* Icon for Pressure */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.pressure')}</p>
+                                        </div>
+                                        <p className={`text-lg font-bold ${theme.detailText}`}>
+                                            {getFormattedValue(currentWeather.pressure_msl, 'pressure')}
+                                        </p>
+                                    </div>
+                                    {/* Cloud Cover */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <Cloud size={20} className={theme.labelTextColor} /> {/* Icon for Cloud Cover */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.cloudCover')}</p>
+                                        </div>
+                                        <p className={`text-xl font-bold break-words ${theme.detailText}`}>
+                                            {getFormattedValue(currentWeather.cloud_cover, 'cloud_cover')}
+                                        </p>
+                                    </div>
+                                    {/* Visibility */}
+                                    <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                        <div className="flex items-center gap-2">
+                                            <Eye size={20} className={theme.labelTextColor} /> {/* Icon for Visibility */}
+                                            <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.visibility')}</p>
+                                        </div>
+                                        <p className={`text-lg font-bold ${theme.detailText}`}>
+                                            {getFormattedValue(currentWeather.visibility, 'visibility')}
+                                        </p>
+                                    </div>
+                                    {currentCoords && (
+                                        <>
+                                            {/* UV index, estimated from sun elevation and cloud cover when the source has none */}
+                                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                                <div className="flex items-center gap-2">
+                                                    <Sun size={20} className={theme.labelTextColor} /> {/* Icon for UV index */}
+                                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.uvIndex')}</p>
+                                                </div>
+                                                <UvBadge value={getUvIndex(currentWeather, currentCoords).value} />
+                                            </div>
+                                            {/* Solar radiation */}
+                                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                                <div className="flex items-center gap-2">
+                                                    <SunDim size={20} className={theme.labelTextColor} /> {/* Icon for Solar radiation */}
+                                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.solar')}</p>
+                                                </div>
+                                                <p className={`text-lg font-bold ${theme.detailText}`}>
+                                                    {getFormattedValue(currentWeather.solar, 'solar')}
+                                                </p>
+                                            </div>
+                                        </>
+                                    )}
+                                    {currentConditions.isObservation && (
+                                        <>
+                                            {/* Precipitation in the last 10 minutes (observations only) */}
+                                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                                <div className="flex items-center gap-2">
+                                                    <CloudRain size={20} className={theme.labelTextColor} /> {/* Icon for Precipitation */}
+                                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.precipitation10')}</p>
+                                                </div>
+                                                <p className={`text-lg font-bold ${theme.detailText}`}>
+                                                    {getFormattedValue(currentWeather.precipitation_10, 'precipitation')}
+                                                </p>
+                                            </div>
+                                            {/* Sunshine in the last hour (observations only) */}
+                                            <div className={`p-2 rounded-lg shadow-md ${theme.detailCardBg} flex items-center justify-between`}>
+                                                <div className="flex items-center gap-2">
+                                                    <Sun size={20} className={theme.labelTextColor} /> {/* Icon for Sunshine */}
+                                                    <p className={`text-lg font-medium ${theme.labelTextColor}`}>{t('details.sunshine60')}</p>
+                                                </div>
+                                                <p className={`text-lg font-bold ${theme.detailText}`}>
+                                                    {getFormattedValue(currentWeather.sunshine_60, 'sunshine')}
+                                                </p>
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+
+                                {/* UV index and solar radiation */}
+                                {currentCoords && (
+                                    <>
+                                        <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>{t('uv.title')}</h2>
+                                        <UvPanel hours={weatherData.weather} today={todayForecast} coords={currentCoords} units={units} timeZone={locationTimeZone} now={now} theme={theme} />
+                                    </>
+                                )}
+
+                                {/* Precipitation Radar */}
+                                {currentCoords && (
+                                    <>
+                                        <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>{t('radar.title')}</h2>
+                                        <RadarPanel radar={radar} units={units} timeZone={locationTimeZone} now={now} />
+                                    </>
+                                )}
+
+                                {/* Today's forecast compared with the same date in previous years */}
+                                {todayForecast && (
+                                    <>
+                                        <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>{t('comparison.title')}</h2>
+                                        <ComparisonPanel forecastDay={todayForecast} history={sameDayHistory} open={comparisonOpen} onOpen={() => setComparisonOpen(true)} units={units} theme={theme} />
+                                    </>
+                                )}
+
+                                {/* Climate normals for the forecast period and where the forecast sits within them */}
+                                {dailyForecastData.length > 0 && (
+                                    <>
+                                        <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>{t('climate.title')}</h2>
+                                        <ClimatePanel forecastDays={dailyForecastData} climate={climateHistory} open={climateOpen} onOpen={() => setClimateOpen(true)} units={units} timeZone={locationTimeZone} theme={theme} />
+                                    </>
+                                )}
+                                </>
+                            )}
+
+                            {/* Hourly Forecast */}
+                            <h2 className={`text-2xl font-semibold mb-2 mt-8 text-center text-gray-800`}>{t(isHistoryMode ? 'history.hourlyTitle' : 'hourly.title')}</h2>
+                            <div className="flex justify-center gap-2 mb-4" role="group" aria-label={t('hourly.view.label')}>
+                                {['cards', 'charts'].map(view => (
+                                    <button
+                                        key={view}
+                                        onClick={() => setHourlyView(view)}
+                                        aria-pressed={hourlyView === view}
+                                        className={`py-1 px-3 rounded-lg text-sm font-semibold transition duration-300 ease-in-out shadow-sm ${hourlyView === view ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                                    >
+                                        {t(`hourly.view.${view}`)}
+                                    </button>
                                 ))}
                             </div>
+                            {hourlyView === 'charts' ? (
+                                <HourlyCharts hours={displayedHours} units={units} timeZone={locationTimeZone} coords={currentCoords} theme={theme} />
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <div className="flex space-x-4 pb-4">
+                                        {
+                                            // Filter out past hours and then take the next 24 hours (the first 24 hours of the range in history mode)
+                                            displayedHours.filter(hour => {
+                                                if (isHistoryMode) return true;
+                                                const hourTime = new Date(hour.timestamp);
+                                                const currentTime = new Date(now);
+                                                // Compare only hours and minutes to ensure current hour is included
+                                                return hourTime.getTime() >= currentTime.setMinutes(currentTime.getMinutes() - 5); // Give a small buffer
+                                            }).slice(0, 24).map((hour, index, array) => {
+                                                const hourStart = new Date(hour.timestamp);
+                                                const hourAlert = getAlertForRange(hourStart, new Date(hourStart.getTime() + 60 * 60 * 1000));
+                                                const night = currentCoords ? isNight(hourStart, currentCoords.lat, currentCoords.lon) : false;
+                                                return (
+                                                    <div key={index} className={`relative flex-shrink-0 w-32 p-4 rounded-lg shadow-md text-center ${theme.hourlyCardBg} ${hourAlert ? `ring-2 ${getAlertSeverityStyle(hourAlert.severity).ring}` : ''}`}>
+                                                        {hourAlert && (
+                                                            <div className="absolute top-1 right-1">{renderAlertMarker(hourAlert, 14)}</div>
+                                                        )}
+                                                        {night && (
+                                                            <div className="absolute top-1 left-1" title={t('astronomy.night')} aria-label={t('astronomy.night')}>
+                                                                <Moon size={14} className={theme.labelTextColor} />
+                                                            </div>
+                                                        )}
+                                                        <p className={`text-sm font-semibold ${theme.labelTextColor}`}> {/* Used labelTextColor */}
+                                                            {/* Display day only if it's the first hour or the day changes from the previous hour */}
+                                                            {index === 0 || getDateKey(new Date(hour.timestamp), locationTimeZone) !== getDateKey(new Date(array[index - 1].timestamp), locationTimeZone)
+                                                                ? formatDate(hour.timestamp, { weekday: 'short', timeZone: locationTimeZone || undefined }) + ' '
+                                                                : ''
+                                                            }
+                                                            {formatDate(hour.timestamp, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: locationTimeZone || undefined })}
+                                                        </p>
+                                                        <div className="text-2xl mt-2 flex items-center justify-center">{getWeatherIcon(hour.icon, 32, theme.mainIconColor)}</div> {/* Pass icon color */}
+                                                        <p className={`text-xl font-bold mt-1 ${theme.hourlyText}`}>{getFormattedValue(hour.temperature, 'temperature')}</p>
+                                                        <p className={`text-sm ${theme.labelTextColor}`}>{getConditionLabel(hour.icon)}</p> {/* Used labelTextColor */}
+                                                    </div>
+                                                );
+                                            })
+                                        }
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Daily Forecast */}
+                            <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>{t(isHistoryMode ? 'history.dailyTitle' : 'daily.title')}</h2>
+                            <div className="overflow-x-auto">
+                                <div className="flex flex-col space-y-2 pb-4">
+                                    {displayedDays.map(day => (
+                                        <DailyForecastRow
+                                            key={day.dateKey}
+                                            day={day}
+                                            units={units}
+                                            timeZone={locationTimeZone}
+                                            coords={currentCoords}
+                                            theme={theme}
+                                            expanded={expandedDay === day.dateKey}
+                                            onToggle={() => setExpandedDay(expandedDay === day.dateKey ? null : day.dateKey)}
+                                            alertMarker={renderAlertMarker(getAlertForRange(day.date, day.endDate))}
+                                            getWeatherIcon={getWeatherIcon}
+                                            getConditionLabel={getConditionLabel}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+
+                            {/* Stations and forecast points behind the displayed data */}
+                            <h2 className={`text-2xl font-semibold mb-4 mt-8 text-center text-gray-800`}>{t('sources.title')}</h2>
+                            <SourcesPanel
+                                hours={displayedHours}
+                                sources={isHistoryMode ? historyData.sources : weatherData.sources}
+                                coords={currentCoords}
+                                pinnedStation={pinnedStation}
+                                onPinStation={handlePinStation}
+                                stationsSupported={stationsSupported}
+                                units={units}
+                                timeZone={locationTimeZone}
+                                theme={theme}
+                            />
                         </div>
+                    )}
+
+                    {/* Data Source Attribution */}
+                    <div className="mt-6 pt-4 border-t border-gray-300 text-center">
+                        <p className="text-xs text-gray-600">
+                            {activeProvider ? (
+                                <>
+                                    {t('footer.dataFrom')} <a href={activeProvider.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">{activeProvider.name}</a>
+                                    {activeProvider.id !== 'brightsky' && (
+                                        <> • {t('footer.alertsFrom')} <a href="https://brightsky.dev" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">Bright Sky</a></>
+                                    )}
+                                </>
+                            ) : (
+                                <>
+                                    {t('footer.dataFrom')} {WEATHER_PROVIDERS.map((provider, index) => (
+                                        <React.Fragment key={provider.id}>
+                                            {index > 0 && ', '}
+                                            <a href={provider.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">{provider.name}</a>
+                                        </React.Fragment>
+                                    ))}
+                                </>
+                            )} • {t('footer.geocodingBy')} <a href={geocoderAttribution.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">{geocoderAttribution.name}</a>
+                        </p>
                     </div>
-                )}
-
-                {/* Data Source Attribution */}
-                <div className="mt-6 pt-4 border-t border-gray-300 text-center">
-                    <p className="text-xs text-gray-600">
-                        Data from <a href="https://brightsky.dev" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">Bright Sky</a> • Geocoding by <a href="https://nominatim.org" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">Nominatim</a>
-                    </p>
                 </div>
             </div>
-        </div>
+        </I18nContext.Provider>
     );
 };
 
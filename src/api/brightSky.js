@@ -0,0 +1,320 @@
+import { ApiErrorCode } from './errors';
+import { buildQuery, defaultFetch, requestJson } from './request';
+
+export const BRIGHT_SKY_BASE_URL = 'https://api.brightsky.dev';
+
+/**
+ * One hourly record as returned by Bright Sky with `units=si`.
+ * Temperatures are Kelvin, wind speeds m/s, pressure Pa, precipitation mm, visibility m.
+ *
+ * @typedef {object} WeatherRecord
+ * @property {string} timestamp ISO 8601 timestamp
+ * @property {number} source_id Id of the entry in `sources` the record came from
+ * @property {number|null} temperature
+ * @property {number|null} dew_point
+ * @property {number|null} relative_humidity
+ * @property {number|null} precipitation
+ * @property {number|null} precipitation_probability
+ * @property {number|null} pressure_msl
+ * @property {number|null} wind_speed
+ * @property {number|null} wind_direction
+ * @property {number|null} wind_gust_speed
+ * @property {number|null} wind_gust_direction
+ * @property {number|null} cloud_cover
+ * @property {number|null} visibility
+ * @property {number|null} sunshine
+ * @property {number|null} solar
+ * @property {string|null} condition
+ * @property {string|null} icon
+ */
+
+/**
+ * A weather station or forecast source referenced by `source_id`.
+ *
+ * @typedef {object} WeatherSource
+ * @property {number} id
+ * @property {string|null} dwd_station_id
+ * @property {string|null} wmo_station_id
+ * @property {string|null} station_name
+ * @property {string} observation_type 'forecast' | 'synop' | 'current' | 'historical'
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number|null} height
+ * @property {number} distance Distance to the requested location in meters
+ */
+
+/**
+ * The latest station observation from Bright Sky's `/current_weather` endpoint.
+ * Values are aggregated over the last 10, 30 or 60 minutes as indicated by the suffix.
+ * Sunshine is given in seconds with `units=si`.
+ *
+ * @typedef {object} CurrentWeatherRecord
+ * @property {string} timestamp
+ * @property {number} source_id
+ * @property {number|null} temperature
+ * @property {number|null} dew_point
+ * @property {number|null} relative_humidity
+ * @property {number|null} pressure_msl
+ * @property {number|null} cloud_cover
+ * @property {number|null} visibility
+ * @property {number|null} precipitation_10
+ * @property {number|null} precipitation_30
+ * @property {number|null} precipitation_60
+ * @property {number|null} wind_speed_10
+ * @property {number|null} wind_direction_10
+ * @property {number|null} wind_gust_speed_10
+ * @property {number|null} sunshine_30
+ * @property {number|null} sunshine_60
+ * @property {number|null} solar_10
+ * @property {number|null} solar_30
+ * @property {number|null} solar_60
+ * @property {string|null} condition
+ * @property {string|null} icon
+ * @property {Object<string, number>} [fallback_source_ids] Sources used for fields the main station does not measure
+ */
+
+/**
+ * @typedef {object} CurrentWeatherResponse
+ * @property {CurrentWeatherRecord} weather
+ * @property {WeatherSource[]} sources
+ */
+
+/**
+ * A specific DWD station to query instead of looking up the sources nearest to a lat/lon.
+ * Bright Sky resolves either id to all sources of that station (observations and MOSMIX forecast).
+ *
+ * @typedef {object} StationSelector
+ * @property {string|null} [dwdStationId]
+ * @property {string|null} [wmoStationId]
+ */
+
+/**
+ * @typedef {object} WeatherRequest
+ * @property {number} lat
+ * @property {number} lon
+ * @property {StationSelector|null} [station] Pinned station, replaces the lat/lon lookup when given
+ * @property {Date|string} date First day (Date or 'YYYY-MM-DD')
+ * @property {Date|string} [lastDate] Last day, exclusive (Date or 'YYYY-MM-DD')
+ * @property {string|null} [tz] IANA timezone used for timestamps in the response
+ */
+
+/**
+ * @typedef {object} WeatherResponse
+ * @property {WeatherRecord[]} weather
+ * @property {WeatherSource[]} sources
+ */
+
+/**
+ * @typedef {object} SourcesResponse
+ * @property {WeatherSource[]} sources Sorted by distance
+ */
+
+/**
+ * An official DWD warning as returned by Bright Sky's `/alerts` endpoint.
+ *
+ * @typedef {object} WeatherAlert
+ * @property {number} id
+ * @property {string} alert_id
+ * @property {string} status
+ * @property {string|null} effective
+ * @property {string|null} onset Start of the warning validity
+ * @property {string|null} expires End of the warning validity, null if open-ended
+ * @property {string|null} category
+ * @property {string|null} urgency
+ * @property {string|null} severity 'minor' | 'moderate' | 'severe' | 'extreme'
+ * @property {string|null} certainty
+ * @property {number|null} event_code
+ * @property {string|null} event_en
+ * @property {string|null} event_de
+ * @property {string|null} headline_en
+ * @property {string|null} headline_de
+ * @property {string|null} description_en
+ * @property {string|null} description_de
+ * @property {string|null} instruction_en
+ * @property {string|null} instruction_de
+ */
+
+/**
+ * The DWD warn cell a location belongs to.
+ *
+ * @typedef {object} AlertLocation
+ * @property {number} warn_cell_id
+ * @property {string} name
+ * @property {string|null} name_short
+ * @property {string|null} district
+ * @property {string|null} state
+ * @property {string|null} state_short
+ */
+
+/**
+ * @typedef {object} AlertsResponse
+ * @property {WeatherAlert[]} alerts
+ * @property {AlertLocation|null} location Null for locations outside Germany
+ */
+
+/**
+ * One 5-minute radar frame from Bright Sky's `/radar` endpoint.
+ * `precipitation_5` holds precipitation in 0.01 mm per 5 minutes, either as a
+ * base64 encoded, zlib compressed array of little-endian uint16 values
+ * (format 'compressed') or as nested row arrays (format 'plain').
+ *
+ * @typedef {object} RadarRecord
+ * @property {string} timestamp
+ * @property {string} source
+ * @property {string|number[][]} precipitation_5
+ */
+
+/**
+ * @typedef {object} RadarResponse
+ * @property {RadarRecord[]} radar
+ * @property {{ type: string, coordinates: number[][] }} geometry Lat/lon polygon of the returned grid
+ * @property {number[]} bbox Pixel bounding box [top, left, bottom, right] within the full radar composite
+ * @property {{ x: number, y: number }|null} latlon_position Position of the requested lat/lon within the returned grid
+ */
+
+// Function to format a date as YYYY-MM-DD in the local timezone (Bright Sky's `date` format)
+export const formatApiDate = (date) => {
+    if (typeof date === 'string') return date;
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+// Function to get the location query parameters: the pinned station's id when there is one, otherwise lat/lon
+const getLocationParams = (lat, lon, station) => {
+    if (station && station.dwdStationId) return { dwd_station_id: station.dwdStationId };
+    if (station && station.wmoStationId) return { wmo_station_id: station.wmoStationId };
+    return { lat, lon };
+};
+
+// Bright Sky answers 404 with this detail when no station/forecast covers the request
+const classifyBrightSkyError = (status, detail) => {
+    if (detail && detail.includes('No sources match your criteria')) {
+        return {
+            code: ApiErrorCode.NO_SOURCES,
+            message: 'Weather data not available for this location or date range. Please try a different location.'
+        };
+    }
+    return null;
+};
+
+/**
+ * Creates a Bright Sky client.
+ *
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch] Fetch implementation (defaults to the global fetch)
+ * @param {string} [options.baseUrl]
+ */
+export const createBrightSkyClient = ({ fetch = defaultFetch, baseUrl = BRIGHT_SKY_BASE_URL } = {}) => {
+    const get = (path, params, signal) => requestJson(`${baseUrl}${path}?${buildQuery(params)}`, {
+        service: 'Bright Sky',
+        fetch,
+        signal,
+        classifyError: classifyBrightSkyError
+    });
+
+    /**
+     * Fetches hourly weather records for a location and date range.
+     *
+     * @param {WeatherRequest} request
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<WeatherResponse>}
+     */
+    const getWeather = async ({ lat, lon, station = null, date, lastDate, tz = null }, { signal } = {}) => {
+        const data = await get('/weather', {
+            ...getLocationParams(lat, lon, station),
+            date: formatApiDate(date),
+            last_date: lastDate ? formatApiDate(lastDate) : null,
+            tz,
+            units: 'si'
+        }, signal);
+        return {
+            weather: Array.isArray(data.weather) ? data.weather : [],
+            sources: Array.isArray(data.sources) ? data.sources : []
+        };
+    };
+
+    /**
+     * Fetches the DWD warnings currently issued for a location.
+     * Locations outside Germany resolve with an empty list.
+     *
+     * @param {{ lat: number, lon: number, tz?: string|null }} request
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<AlertsResponse>}
+     */
+    const getAlerts = async ({ lat, lon, tz = null }, { signal } = {}) => {
+        const data = await get('/alerts', { lat, lon, tz }, signal);
+        return {
+            alerts: Array.isArray(data.alerts) ? data.alerts : [],
+            location: data.location || null
+        };
+    };
+
+    /**
+     * Fetches radar precipitation frames around a location.
+     *
+     * @param {object} request
+     * @param {number} request.lat
+     * @param {number} request.lon
+     * @param {number} [request.distance] Half edge length of the returned square, in meters
+     * @param {Date|string} [request.date] First frame timestamp
+     * @param {Date|string} [request.lastDate] Last frame timestamp
+     * @param {'compressed'|'plain'} [request.format]
+     * @param {string|null} [request.tz]
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<RadarResponse>}
+     */
+    const getRadar = async ({ lat, lon, distance, date, lastDate, format = 'compressed', tz = null }, { signal } = {}) => {
+        const toTimestamp = (value) => (value instanceof Date ? value.toISOString() : value);
+        const data = await get('/radar', {
+            lat,
+            lon,
+            distance,
+            date: toTimestamp(date),
+            last_date: toTimestamp(lastDate),
+            format,
+            tz
+        }, signal);
+        return {
+            radar: Array.isArray(data.radar) ? data.radar : [],
+            geometry: data.geometry || null,
+            bbox: data.bbox || null,
+            latlon_position: data.latlon_position || null
+        };
+    };
+
+    /**
+     * Fetches the most recent observation from the nearest station with current data,
+     * or from the pinned station when one is given.
+     *
+     * @param {{ lat: number, lon: number, station?: StationSelector|null, tz?: string|null }} request
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<CurrentWeatherResponse>}
+     */
+    const getCurrentWeather = async ({ lat, lon, station = null, tz = null }, { signal } = {}) => {
+        const data = await get('/current_weather', { ...getLocationParams(lat, lon, station), tz, units: 'si' }, signal);
+        return {
+            weather: data.weather || null,
+            sources: Array.isArray(data.sources) ? data.sources : []
+        };
+    };
+
+    /**
+     * Lists the weather sources (stations and forecast points) around a location.
+     *
+     * @param {{ lat: number, lon: number, maxDist?: number }} request maxDist in meters
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<SourcesResponse>}
+     */
+    const getSources = async ({ lat, lon, maxDist }, { signal } = {}) => {
+        const data = await get('/sources', { lat, lon, max_dist: maxDist }, signal);
+        const sources = Array.isArray(data.sources) ? data.sources : [];
+        return { sources: [...sources].sort((a, b) => a.distance - b.distance) };
+    };
+
+    return { getWeather, getAlerts, getRadar, getCurrentWeather, getSources };
+};
+
+// Shared client using the global fetch
+export const brightSky = createBrightSkyClient();
@@ -0,0 +1,33 @@
+// Error codes shared by every API client in this folder
+export const ApiErrorCode = {
+    NETWORK: 'network', // The request never produced a response (offline, DNS, CORS, ...)
+    HTTP: 'http', // The server answered with a non-2xx status
+    NO_SOURCES: 'no_sources', // The weather provider has no station/forecast data for the request
+    INVALID_JSON: 'invalid_json' // The response body could not be parsed as JSON
+};
+
+/**
+ * Structured error thrown by the API clients.
+ *
+ * @property {string} code One of ApiErrorCode
+ * @property {string} service Name of the service that failed ('brightsky', 'nominatim', ...)
+ * @property {number|null} status HTTP status code, if a response was received
+ * @property {string|null} detail Raw error detail returned by the server, if any
+ * @property {string} url The requested URL
+ */
+export class ApiError extends Error {
+    constructor(message, { code, service, status = null, detail = null, url = '', cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ApiError';
+        this.code = code;
+        this.service = service;
+        this.status = status;
+        this.detail = detail;
+        this.url = url;
+    }
+}
+
+// Function to check whether a value is an ApiError, optionally with a given code
+export const isApiError = (err, code = null) => {
+    return err instanceof ApiError && (code === null || err.code === code);
+};
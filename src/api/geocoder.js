@@ -0,0 +1,131 @@
+// Nominatim's usage policy allows at most one request per second
+export const DEFAULT_MIN_INTERVAL = 1000;
+
+// Function to create the error a cancelled request rejects with, like an aborted fetch
+const createAbortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+// Function to normalize a query for cache keys: case and extra whitespace do not change the results
+const normalizeQuery = (query) => query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Wraps a geocoding client (Nominatim or Photon) so that it stays within public usage policies:
+ * - requests start at most once per `minInterval`, queued in order;
+ * - identical requests share one request while it is pending;
+ * - results are kept in `cache`, if given, so repeated queries cost nothing.
+ *
+ * A cancelled caller only stops waiting: a request other callers still wait for goes ahead,
+ * and a queued request nobody waits for anymore is dropped before it is sent.
+ *
+ * @param {{ search: Function, reverse: Function }} client
+ * @param {object} [options]
+ * @param {string} [options.name] Prefix of the cache keys, so caches of different backends do not mix
+ * @param {number} [options.minInterval] Milliseconds between request starts (0 for no limit)
+ * @param {{ get: (key: string) => Promise<any>, set: (key: string, value: any) => Promise<void> }|null} [options.cache]
+ *   `get` resolves undefined on a miss
+ */
+export const createGeocoder = (client, { name = 'geocoder', minInterval = DEFAULT_MIN_INTERVAL, cache = null } = {}) => {
+    const queue = []; // Requests waiting for their turn: { run, isCancelled, resolve, reject }
+    let lastStart = -Infinity;
+    let timer = null;
+    const pending = new Map(); // Requests queued or running, by cache key
+
+    // Function to start the next queued request once the interval since the last one has passed
+    const processQueue = () => {
+        if (timer !== null) return;
+        while (queue.length > 0 && queue[0].isCancelled()) {
+            queue.shift().reject(createAbortError());
+        }
+        if (queue.length === 0) return;
+
+        const wait = lastStart + minInterval - Date.now();
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                processQueue();
+            }, wait);
+            return;
+        }
+        const job = queue.shift();
+        lastStart = Date.now();
+        job.run().then(job.resolve, job.reject);
+        processQueue();
+    };
+
+    // Function to run a request through the queue, sharing it with identical requests still pending
+    const request = (key, run, signal) => {
+        let entry = pending.get(key);
+        if (entry) {
+            entry.waiting += 1;
+        } else {
+            entry = { waiting: 1 };
+            entry.promise = new Promise((resolve, reject) => {
+                queue.push({ run, isCancelled: () => entry.waiting === 0, resolve, reject });
+                processQueue();
+            }).finally(() => {
+                if (pending.get(key) === entry) pending.delete(key);
+            });
+            pending.set(key, entry);
+        }
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const onAbort = () => {
+                if (settled) return;
+                settled = true;
+                entry.waiting -= 1;
+                reject(createAbortError());
+            };
+            entry.promise.then(
+                (value) => { if (!settled) { settled = true; resolve(value); } },
+                (err) => { if (!settled) { settled = true; reject(err); } }
+            ).finally(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            });
+            if (signal) {
+                if (signal.aborted) onAbort();
+                else signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    };
+
+    // Function to answer a request from the cache, or request it and cache the result
+    const cached = async (key, load, signal) => {
+        if (cache) {
+            const hit = await cache.get(key);
+            if (hit !== undefined) return hit;
+            if (signal && signal.aborted) throw createAbortError();
+        }
+        return request(key, async () => {
+            const result = await load();
+            if (cache) await cache.set(key, result);
+            return result;
+        }, signal);
+    };
+
+    /**
+     * Searches for places matching a free-form query.
+     *
+     * @param {string} query
+     * @param {{ limit?: number, language?: string, signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./nominatim').LocationResult[]>}
+     */
+    const search = (query, { limit = 5, language, signal } = {}) => {
+        const key = `${name}|search|${language || ''}|${limit}|${normalizeQuery(query)}`;
+        return cached(key, () => client.search(query.trim(), { limit, language }), signal);
+    };
+
+    /**
+     * Finds the place at a coordinate.
+     *
+     * @param {number} lat
+     * @param {number} lon
+     * @param {{ zoom?: number, language?: string, signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./nominatim').LocationResult|null>}
+     */
+    const reverse = (lat, lon, { zoom = 10, language, signal } = {}) => {
+        const key = `${name}|reverse|${language || ''}|${zoom}|${lat.toFixed(5)},${lon.toFixed(5)}`;
+        return cached(key, () => client.reverse(lat, lon, { zoom, language }), signal);
+    };
+
+    return { search, reverse };
+};
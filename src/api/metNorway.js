@@ -0,0 +1,131 @@
+import { buildQuery, defaultFetch, requestJson } from './request';
+import { createModelSource, createRecord, toKelvin, toNumber, toPascal } from './weatherRecord';
+
+export const MET_NORWAY_BASE_URL = 'https://api.met.no/weatherapi';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Lengths in hours of the summaries MET Norway gives for the time after each step (next_1_hours, ...)
+const PERIOD_HOURS = [1, 6, 12];
+// Instant values filled in linearly for the hours between steps further ahead, where steps are 6 hours apart
+const INTERPOLATED_FIELDS = ['temperature', 'dew_point', 'relative_humidity', 'pressure_msl', 'wind_speed', 'wind_gust_speed', 'cloud_cover'];
+
+// Function to map a MET Norway symbol code (e.g. 'lightrainshowers_night') to a Bright Sky icon name.
+// Polar twilight counts as day. Codes: https://api.met.no/weatherapi/weathericon/2.0/documentation
+const getIcon = (symbolCode) => {
+    if (typeof symbolCode !== 'string') return null;
+    const [name, variant] = symbolCode.split('_');
+    const dayOrNight = variant === 'night' ? 'night' : 'day';
+    if (name.includes('thunder')) return 'thunderstorm';
+    if (name.includes('sleet')) return 'sleet';
+    if (name.includes('snow')) return 'snow';
+    if (name.includes('rain')) return 'rain';
+    if (name === 'fog') return 'fog';
+    if (name === 'cloudy') return 'cloudy';
+    if (name === 'partlycloudy') return `partly-cloudy-${dayOrNight}`;
+    if (name === 'clearsky' || name === 'fair') return `clear-${dayOrNight}`;
+    return null;
+};
+
+// Function to read the instant values of a time step in Bright Sky's SI units
+const getInstantValues = (details = {}) => ({
+    temperature: toKelvin(details.air_temperature),
+    dew_point: toKelvin(details.dew_point_temperature),
+    relative_humidity: toNumber(details.relative_humidity),
+    pressure_msl: toPascal(details.air_pressure_at_sea_level),
+    wind_speed: toNumber(details.wind_speed),
+    wind_direction: toNumber(details.wind_from_direction),
+    wind_gust_speed: toNumber(details.wind_speed_of_gust),
+    cloud_cover: toNumber(details.cloud_area_fraction)
+});
+
+// Function to pick the summary covering the hours until the next step: the shortest one at least that long.
+// Its precipitation is spread evenly over its hours.
+const getPeriod = (data, stepHours) => {
+    const hours = PERIOD_HOURS.find(length => length >= stepHours && data[`next_${length}_hours`])
+        || PERIOD_HOURS.find(length => data[`next_${length}_hours`]);
+    if (!hours) return { precipitation: null, precipitation_probability: null, icon: null };
+    const { summary = {}, details = {} } = data[`next_${hours}_hours`];
+    const amount = toNumber(details.precipitation_amount);
+    return {
+        precipitation: amount === null ? null : amount / hours,
+        precipitation_probability: toNumber(details.probability_of_precipitation),
+        icon: getIcon(summary.symbol_code)
+    };
+};
+
+// Function to expand MET Norway's time steps (hourly for the first days, then 6-hourly) into one entry per hour:
+// instant values at the start of the hour and a summary of the hour that follows
+const getHourlySteps = (timeseries) => {
+    const hours = [];
+    timeseries.forEach((step, index) => {
+        const start = new Date(step.time).getTime();
+        const next = timeseries[index + 1];
+        const stepHours = next ? Math.max(1, Math.round((new Date(next.time).getTime() - start) / HOUR_MS)) : 1;
+        const instant = getInstantValues(step.data.instant && step.data.instant.details);
+        const nextInstant = next ? getInstantValues(next.data.instant && next.data.instant.details) : instant;
+        const period = getPeriod(step.data, stepHours);
+        for (let offset = 0; offset < stepHours; offset += 1) {
+            const fraction = offset / stepHours;
+            const values = { ...instant };
+            INTERPOLATED_FIELDS.forEach(field => {
+                if (values[field] !== null && nextInstant[field] !== null) {
+                    values[field] = values[field] + (nextInstant[field] - values[field]) * fraction;
+                }
+            });
+            hours.push({ time: start + offset * HOUR_MS, instant: values, period });
+        }
+    });
+    return hours;
+};
+
+/**
+ * Creates a client for MET Norway's Locationforecast (https://api.met.no), the forecast behind yr.no.
+ * It is most detailed in the Nordic countries and covers the rest of the world with ECMWF data.
+ * Browsers identify the app to MET Norway through the Origin header; other environments must
+ * pass a `userAgent` that identifies the app, as MET Norway's terms of service require.
+ *
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch] Fetch implementation (defaults to the global fetch)
+ * @param {string} [options.baseUrl]
+ * @param {string|null} [options.userAgent]
+ */
+export const createMetNorwayClient = ({ fetch = defaultFetch, baseUrl = MET_NORWAY_BASE_URL, userAgent = null } = {}) => {
+    /**
+     * Fetches the complete forecast for a location (about nine days ahead, starting with the current hour),
+     * normalized to hourly Bright Sky records. Precipitation and icon describe the previous hour, as with Bright Sky.
+     *
+     * @param {{ lat: number, lon: number }} request
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./brightSky').WeatherResponse>}
+     */
+    const getWeather = async ({ lat, lon }, { signal } = {}) => {
+        // The terms of service ask for at most four decimals, so responses can be cached
+        const params = { lat: lat.toFixed(4), lon: lon.toFixed(4) };
+        const data = await requestJson(`${baseUrl}/locationforecast/2.0/complete?${buildQuery(params)}`, {
+            service: 'MET Norway',
+            fetch,
+            headers: userAgent ? { 'User-Agent': userAgent } : undefined,
+            signal
+        });
+        const timeseries = data.properties && Array.isArray(data.properties.timeseries)
+            ? data.properties.timeseries.filter(step => step && step.time && step.data)
+            : [];
+
+        const hours = getHourlySteps(timeseries);
+        const weather = hours.map((hour, index) => {
+            // The first hour has no previous one, so it takes the summary of the hour that follows
+            const period = index > 0 ? hours[index - 1].period : hour.period;
+            return createRecord(new Date(hour.time).toISOString(), { source_id: 1, ...hour.instant, ...period });
+        });
+        const coordinates = data.geometry && Array.isArray(data.geometry.coordinates) ? data.geometry.coordinates : null;
+        const sources = coordinates
+            ? [createModelSource({ id: 1, name: 'MET Norway', lat: coordinates[1], lon: coordinates[0], height: coordinates[2], requested: { lat, lon } })]
+            : [];
+        return { weather, sources };
+    };
+
+    return { getWeather };
+};
+
+// Shared client using the global fetch
+export const metNorway = createMetNorwayClient();
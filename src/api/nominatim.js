@@ -0,0 +1,89 @@
+import { buildQuery, defaultFetch, requestJson } from './request';
+
+export const NOMINATIM_BASE_URL = 'https://nominatim.openstreetmap.org';
+
+/**
+ * A geocoding result, normalized from Nominatim's `/search` and `/reverse` responses.
+ *
+ * @typedef {object} LocationResult
+ * @property {number|string} placeId
+ * @property {string} displayName
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string|null} timezone IANA timezone, when the backend provides one
+ */
+
+// Function to normalize a raw Nominatim place into a LocationResult
+export const normalizePlace = (place) => ({
+    placeId: place.place_id,
+    displayName: place.display_name,
+    lat: parseFloat(place.lat),
+    lon: parseFloat(place.lon),
+    timezone: place.timezone || (place.extratags && place.extratags.timezone) || null
+});
+
+/**
+ * Creates a Nominatim client. The public instance requires requests to identify the application
+ * (https://operations.osmfoundation.org/policies/nominatim/): browsers send the page as Referer,
+ * `email` adds a contact address, and scripts outside a browser should set `userAgent`.
+ * Rate limiting and caching are left to the caller, see createGeocoder.
+ *
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch] Fetch implementation (defaults to the global fetch)
+ * @param {string} [options.baseUrl] e.g. a self-hosted Nominatim
+ * @param {string|null} [options.email] Contact address sent with every request
+ * @param {string|null} [options.userAgent] User-Agent header; browsers may ignore it
+ */
+export const createNominatimClient = ({
+    fetch = defaultFetch,
+    baseUrl = NOMINATIM_BASE_URL,
+    email = null,
+    userAgent = null
+} = {}) => {
+    const headers = userAgent ? { 'User-Agent': userAgent } : undefined;
+
+    /**
+     * Searches for places matching a free-form query.
+     *
+     * @param {string} query
+     * @param {{ limit?: number, language?: string, signal?: AbortSignal }} [options]
+     *   `language` selects the language of the returned place names (sent as accept-language)
+     * @returns {Promise<LocationResult[]>}
+     */
+    const search = async (query, { limit = 5, language, signal } = {}) => {
+        const params = { q: query, format: 'json', limit, 'accept-language': language, email };
+        const data = await requestJson(`${baseUrl}/search?${buildQuery(params)}`, {
+            service: 'Nominatim',
+            fetch,
+            signal,
+            headers
+        });
+        return Array.isArray(data) ? data.map(normalizePlace) : [];
+    };
+
+    /**
+     * Finds the place at a coordinate, e.g. to name the device's position.
+     *
+     * @param {number} lat
+     * @param {number} lon
+     * @param {{ zoom?: number, language?: string, signal?: AbortSignal }} [options]
+     *   `zoom` is the level of detail (10 = city, 14 = suburb, 18 = building)
+     * @returns {Promise<LocationResult|null>} null when there is no place at the coordinate (e.g. open sea)
+     */
+    const reverse = async (lat, lon, { zoom = 10, language, signal } = {}) => {
+        const params = { lat, lon, zoom, format: 'json', extratags: 1, 'accept-language': language, email };
+        const data = await requestJson(`${baseUrl}/reverse?${buildQuery(params)}`, {
+            service: 'Nominatim',
+            fetch,
+            signal,
+            headers
+        });
+        // Nominatim answers 200 with { error: 'Unable to geocode' } when nothing is found
+        return data && !data.error && data.lat !== undefined ? normalizePlace(data) : null;
+    };
+
+    return { search, reverse };
+};
+
+// Client for the public instance using the global fetch. The app goes through the rate-limited `geocoder` instead.
+export const nominatim = createNominatimClient();
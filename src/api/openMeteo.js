@@ -0,0 +1,116 @@
+import { formatApiDate } from './brightSky';
+import { buildQuery, defaultFetch, requestJson } from './request';
+import { createModelSource, createRecord, toKelvin, toNumber, toPascal } from './weatherRecord';
+
+export const OPEN_METEO_BASE_URL = 'https://api.open-meteo.com';
+
+// Hourly variables requested from Open-Meteo, in the units set by the request (°C, m/s, hPa, mm)
+const HOURLY_VARIABLES = [
+    'temperature_2m',
+    'dew_point_2m',
+    'relative_humidity_2m',
+    'precipitation',
+    'precipitation_probability',
+    'weather_code',
+    'pressure_msl',
+    'cloud_cover',
+    'visibility',
+    'wind_speed_10m',
+    'wind_direction_10m',
+    'wind_gusts_10m',
+    'sunshine_duration',
+    'shortwave_radiation',
+    'uv_index',
+    'is_day'
+];
+
+// Function to map a WMO weather code to a Bright Sky icon name. Clear and partly cloudy skies
+// get a day or night variant; codes: https://open-meteo.com/en/docs#weather_variable_documentation
+const getIcon = (code, isDay) => {
+    if (typeof code !== 'number') return null;
+    const dayOrNight = isDay === 0 ? 'night' : 'day';
+    if (code <= 1) return `clear-${dayOrNight}`;
+    if (code === 2) return `partly-cloudy-${dayOrNight}`;
+    if (code === 3) return 'cloudy';
+    if (code === 45 || code === 48) return 'fog';
+    if (code === 56 || code === 57 || code === 66 || code === 67) return 'sleet'; // Freezing drizzle and rain
+    if ((code >= 51 && code <= 65) || (code >= 80 && code <= 82)) return 'rain';
+    if ((code >= 71 && code <= 77) || code === 85 || code === 86) return 'snow';
+    if (code >= 95) return 'thunderstorm';
+    return null;
+};
+
+// Function to get the day before a 'YYYY-MM-DD' date, as Open-Meteo's end_date is inclusive
+const getPreviousDay = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+};
+
+/**
+ * Creates an Open-Meteo client (https://open-meteo.com), a free forecast API that combines the best
+ * weather models for every location worldwide.
+ *
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch] Fetch implementation (defaults to the global fetch)
+ * @param {string} [options.baseUrl] e.g. a self-hosted Open-Meteo or the commercial API
+ */
+export const createOpenMeteoClient = ({ fetch = defaultFetch, baseUrl = OPEN_METEO_BASE_URL } = {}) => {
+    /**
+     * Fetches hourly forecast records for a location and date range, normalized to Bright Sky's records.
+     * The response has a single source: the model grid point Open-Meteo picked.
+     *
+     * @param {{ lat: number, lon: number, date: Date|string, lastDate: Date|string, tz?: string|null }} request
+     *   Dates are calendar dates in `tz`; lastDate is exclusive like Bright Sky's
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./brightSky').WeatherResponse>}
+     */
+    const getWeather = async ({ lat, lon, date, lastDate, tz = null }, { signal } = {}) => {
+        const params = {
+            latitude: lat,
+            longitude: lon,
+            hourly: HOURLY_VARIABLES.join(','),
+            start_date: formatApiDate(date),
+            end_date: getPreviousDay(formatApiDate(lastDate)),
+            timezone: tz || 'GMT',
+            wind_speed_unit: 'ms',
+            timeformat: 'unixtime'
+        };
+        const data = await requestJson(`${baseUrl}/v1/forecast?${buildQuery(params)}`, { service: 'Open-Meteo', fetch, signal });
+        const hourly = data.hourly || {};
+        const times = Array.isArray(hourly.time) ? hourly.time : [];
+        // Function to read a variable's value for one hour
+        const value = (name, index) => (Array.isArray(hourly[name]) ? toNumber(hourly[name][index]) : null);
+
+        const weather = times.map((time, index) => {
+            const radiation = value('shortwave_radiation', index);
+            return createRecord(new Date(time * 1000).toISOString(), {
+                source_id: 1,
+                temperature: toKelvin(value('temperature_2m', index)),
+                dew_point: toKelvin(value('dew_point_2m', index)),
+                relative_humidity: value('relative_humidity_2m', index),
+                precipitation: value('precipitation', index),
+                precipitation_probability: value('precipitation_probability', index),
+                pressure_msl: toPascal(value('pressure_msl', index)),
+                wind_speed: value('wind_speed_10m', index),
+                wind_direction: value('wind_direction_10m', index),
+                wind_gust_speed: value('wind_gusts_10m', index),
+                cloud_cover: value('cloud_cover', index),
+                visibility: value('visibility', index),
+                sunshine: value('sunshine_duration', index),
+                // Mean irradiance over the past hour (W/m²) to the energy received in it (J/m²)
+                solar: radiation === null ? null : radiation * 3600,
+                uv_index: value('uv_index', index),
+                icon: getIcon(value('weather_code', index), value('is_day', index))
+            });
+        });
+        const sources = typeof data.latitude === 'number' && typeof data.longitude === 'number'
+            ? [createModelSource({ id: 1, name: 'Open-Meteo', lat: data.latitude, lon: data.longitude, height: data.elevation, requested: { lat, lon } })]
+            : [];
+        return { weather, sources };
+    };
+
+    return { getWeather };
+};
+
+// Shared client using the global fetch
+export const openMeteo = createOpenMeteoClient();
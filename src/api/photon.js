@@ -0,0 +1,80 @@
+import { buildQuery, defaultFetch, requestJson } from './request';
+
+export const PHOTON_BASE_URL = 'https://photon.komoot.io';
+
+// Languages Photon can return place names in; others get the names used locally
+const PHOTON_LANGUAGES = ['en', 'de', 'fr'];
+
+// Function to build a readable name from a Photon feature's address parts, skipping repeated parts
+// (a city's name and city are usually the same)
+const getDisplayName = (properties) => {
+    const street = properties.street ? [properties.street, properties.housenumber].filter(Boolean).join(' ') : null;
+    const parts = [properties.name, street, properties.city, properties.state, properties.country]
+        .filter(part => typeof part === 'string' && part !== '');
+    return [...new Set(parts)].join(', ');
+};
+
+// Function to normalize a Photon GeoJSON feature into a LocationResult
+export const normalizeFeature = (feature) => {
+    const properties = feature.properties || {};
+    const [lon, lat] = feature.geometry.coordinates;
+    return {
+        placeId: `${properties.osm_type || ''}${properties.osm_id}`,
+        displayName: getDisplayName(properties),
+        lat,
+        lon,
+        timezone: null
+    };
+};
+
+// Function to get the features of a Photon response, which is a GeoJSON FeatureCollection
+const getFeatures = (data) => (
+    data && Array.isArray(data.features)
+        ? data.features.filter(feature => feature.geometry && Array.isArray(feature.geometry.coordinates))
+        : []
+);
+
+/**
+ * Creates a Photon client (https://github.com/komoot/photon), a geocoder built on OpenStreetMap data
+ * that can replace Nominatim. It offers the same `search` and `reverse` as the Nominatim client.
+ *
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch] Fetch implementation (defaults to the global fetch)
+ * @param {string} [options.baseUrl] e.g. a self-hosted Photon
+ */
+export const createPhotonClient = ({
+    fetch = defaultFetch,
+    baseUrl = PHOTON_BASE_URL
+} = {}) => {
+    const getLanguage = (language) => (PHOTON_LANGUAGES.includes(language) ? language : null);
+
+    /**
+     * Searches for places matching a free-form query.
+     *
+     * @param {string} query
+     * @param {{ limit?: number, language?: string, signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./nominatim').LocationResult[]>}
+     */
+    const search = async (query, { limit = 5, language, signal } = {}) => {
+        const params = { q: query, limit, lang: getLanguage(language) };
+        const data = await requestJson(`${baseUrl}/api?${buildQuery(params)}`, { service: 'Photon', fetch, signal });
+        return getFeatures(data).map(normalizeFeature);
+    };
+
+    /**
+     * Finds the place at a coordinate. Photon has no zoom levels; it returns the nearest place.
+     *
+     * @param {number} lat
+     * @param {number} lon
+     * @param {{ language?: string, signal?: AbortSignal }} [options]
+     * @returns {Promise<import('./nominatim').LocationResult|null>}
+     */
+    const reverse = async (lat, lon, { language, signal } = {}) => {
+        const params = { lat, lon, limit: 1, lang: getLanguage(language) };
+        const data = await requestJson(`${baseUrl}/reverse?${buildQuery(params)}`, { service: 'Photon', fetch, signal });
+        const [feature] = getFeatures(data);
+        return feature ? normalizeFeature(feature) : null;
+    };
+
+    return { search, reverse };
+};
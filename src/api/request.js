@@ -0,0 +1,93 @@
+import { ApiError, ApiErrorCode } from './errors';
+
+// Default fetch implementation. Wrapped so that it is always called with the global as `this`.
+export const defaultFetch = (...args) => globalThis.fetch(...args);
+
+// Function to parse a response body as JSON without ever throwing a SyntaxError
+const parseJsonSafely = (text) => {
+    try {
+        return { ok: true, value: JSON.parse(text) };
+    } catch {
+        return { ok: false, value: null };
+    }
+};
+
+// Function to pull a human readable message out of an error body.
+// Bright Sky uses `{ "detail": "..." }`, Nominatim uses `{ "error": { "message": "..." } }` or plain text,
+// Open-Meteo uses `{ "error": true, "reason": "..." }`.
+const extractErrorDetail = (text) => {
+    const parsed = parseJsonSafely(text);
+    if (parsed.ok && parsed.value && typeof parsed.value === 'object') {
+        const { detail, error, reason } = parsed.value;
+        if (typeof detail === 'string') return detail;
+        if (detail !== undefined) return JSON.stringify(detail);
+        if (error && typeof error.message === 'string') return error.message;
+        if (typeof error === 'string') return error;
+        if (typeof reason === 'string') return reason;
+    }
+    return text || null;
+};
+
+/**
+ * Performs a GET request and resolves with the parsed JSON body.
+ * Every failure is reported as an ApiError; `classifyError` lets a client
+ * turn a specific HTTP error (status + detail) into a more specific code.
+ *
+ * @param {string} url
+ * @param {object} options
+ * @param {string} options.service Service name used in error objects
+ * @param {typeof fetch} [options.fetch] Fetch implementation
+ * @param {object} [options.headers] Extra request headers
+ * @param {AbortSignal} [options.signal] Abort signal passed through to fetch
+ * @param {(status: number, detail: string|null) => {code: string, message: string}|null} [options.classifyError]
+ * @returns {Promise<any>}
+ */
+export const requestJson = async (url, { service, fetch = defaultFetch, headers, signal, classifyError } = {}) => {
+    let response;
+    try {
+        response = await fetch(url, { headers, signal });
+    } catch (err) {
+        // Aborts are not failures of the service, let callers handle them as they like
+        if (err && err.name === 'AbortError') throw err;
+        throw new ApiError(`Could not reach ${service}: ${err.message}`, {
+            code: ApiErrorCode.NETWORK, service, url, cause: err
+        });
+    }
+
+    let text;
+    try {
+        text = await response.text();
+    } catch (err) {
+        if (err && err.name === 'AbortError') throw err;
+        throw new ApiError(`Could not read ${service} response: ${err.message}`, {
+            code: ApiErrorCode.NETWORK, service, status: response.status, url, cause: err
+        });
+    }
+
+    if (!response.ok) {
+        const detail = extractErrorDetail(text);
+        const classified = classifyError ? classifyError(response.status, detail) : null;
+        throw new ApiError(classified ? classified.message : `${service} API error: ${response.status}${detail ? ` - ${detail}` : ''}`, {
+            code: classified ? classified.code : ApiErrorCode.HTTP, service, status: response.status, detail, url
+        });
+    }
+
+    const parsed = parseJsonSafely(text);
+    if (!parsed.ok) {
+        throw new ApiError(`${service} returned a malformed response`, {
+            code: ApiErrorCode.INVALID_JSON, service, status: response.status, detail: text.slice(0, 200), url
+        });
+    }
+    return parsed.value;
+};
+
+// Function to build a query string, skipping null/undefined values
+export const buildQuery = (params) => {
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+            search.append(key, String(value));
+        }
+    });
+    return search.toString();
+};
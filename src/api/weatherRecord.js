@@ -0,0 +1,92 @@
+// Helpers for the providers that are not Bright Sky, to normalize their forecasts into
+// Bright Sky's record shape (see WeatherRecord in brightSky.js), which the whole app consumes.
+
+const EARTH_RADIUS_M = 6371000;
+
+// Every field of a WeatherRecord, so that records of all providers have the same keys
+const EMPTY_RECORD = {
+    source_id: null,
+    temperature: null,
+    dew_point: null,
+    relative_humidity: null,
+    precipitation: null,
+    precipitation_probability: null,
+    pressure_msl: null,
+    wind_speed: null,
+    wind_direction: null,
+    wind_gust_speed: null,
+    wind_gust_direction: null,
+    cloud_cover: null,
+    visibility: null,
+    sunshine: null,
+    solar: null,
+    condition: null,
+    icon: null
+};
+
+// Function to check whether a value is a usable number
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Function to convert °C to Kelvin, keeping missing values missing
+export const toKelvin = (celsius) => (isNumber(celsius) ? celsius + 273.15 : null);
+
+// Function to convert hPa to Pa, keeping missing values missing
+export const toPascal = (hectopascal) => (isNumber(hectopascal) ? hectopascal * 100 : null);
+
+// Function to replace anything that is not a number with null
+export const toNumber = (value) => (isNumber(value) ? value : null);
+
+// Function to derive Bright Sky's `condition` from an icon: the kind of precipitation, fog, or 'dry'
+export const getConditionFromIcon = (icon) => {
+    if (!icon) return null;
+    if (['fog', 'rain', 'sleet', 'snow', 'hail', 'thunderstorm'].includes(icon)) return icon;
+    return 'dry';
+};
+
+/**
+ * Builds a complete WeatherRecord from the fields a provider delivers; missing fields are null
+ * and `condition` follows from the icon.
+ *
+ * @param {string} timestamp ISO 8601
+ * @param {object} fields Values in Bright Sky's SI units
+ * @returns {import('./brightSky').WeatherRecord}
+ */
+export const createRecord = (timestamp, fields) => ({
+    timestamp,
+    ...EMPTY_RECORD,
+    ...fields,
+    condition: getConditionFromIcon(fields.icon)
+});
+
+// Function to get the great-circle distance between two coordinates in meters
+const getDistance = (lat1, lon1, lat2, lon2) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Describes a model grid point as a WeatherSource, so the sources panel can list it like a Bright Sky source.
+ *
+ * @param {object} options
+ * @param {number} options.id Value of `source_id` in the records
+ * @param {string} options.name
+ * @param {number} options.lat Grid point the provider used
+ * @param {number} options.lon
+ * @param {number|null} [options.height]
+ * @param {{ lat: number, lon: number }} options.requested Location the forecast was requested for
+ * @returns {import('./brightSky').WeatherSource}
+ */
+export const createModelSource = ({ id, name, lat, lon, height = null, requested }) => ({
+    id,
+    dwd_station_id: null,
+    wmo_station_id: null,
+    station_name: name,
+    observation_type: 'model',
+    lat,
+    lon,
+    height: toNumber(height),
+    distance: Math.round(getDistance(requested.lat, requested.lon, lat, lon))
+});
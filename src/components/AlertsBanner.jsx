@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronUp } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { ALERT_SEVERITIES, getAlertSeverityStyle, getAlertText } from '../utils/alerts';
+
+// Function to describe the validity window of an alert in the location's timezone
+const formatValidity = (alert, timeZone, { t, formatDate }) => {
+    const formatAlertTime = (timestamp) => formatDate(timestamp, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: timeZone || undefined
+    });
+    const start = alert.onset || alert.effective;
+    const from = start ? formatAlertTime(start) : t('alerts.now');
+    const until = alert.expires ? formatAlertTime(alert.expires) : t('alerts.furtherNotice');
+    return t('alerts.validity', { from, until });
+};
+
+// A single, expandable warning
+const AlertItem = ({ alert, timeZone }) => {
+    const i18n = useI18n();
+    const { t, language } = i18n;
+    const [expanded, setExpanded] = useState(false);
+    const style = getAlertSeverityStyle(alert.severity);
+    // Bright Sky may send no severity or one DWD does not define; those get a generic label
+    const severity = ALERT_SEVERITIES.includes(alert.severity) ? alert.severity : 'unknown';
+    const headline = getAlertText(alert, 'headline', language) || getAlertText(alert, 'event', language) || t('alerts.fallbackHeadline');
+    const description = getAlertText(alert, 'description', language);
+    const instruction = getAlertText(alert, 'instruction', language);
+
+    return (
+        <div className={`border-l-4 rounded-lg shadow-md ${style.banner}`}>
+            <button
+                type="button"
+                onClick={() => setExpanded(!expanded)}
+                className="w-full flex items-start justify-between gap-3 p-3 text-left"
+                aria-expanded={expanded}
+            >
+                <div className="flex items-start gap-2">
+                    <AlertTriangle size={20} className={`mt-0.5 flex-shrink-0 ${style.icon}`} />
+                    <div>
+                        <p className="font-bold">{headline}</p>
+                        <p className="text-sm">
+                            <span className="font-semibold">{t(`alerts.severity.${severity}`)}</span> • {formatValidity(alert, timeZone, i18n)}
+                        </p>
+                    </div>
+                </div>
+                {expanded ? <ChevronUp size={20} className="flex-shrink-0" /> : <ChevronDown size={20} className="flex-shrink-0" />}
+            </button>
+            {expanded && (
+                <div className="px-3 pb-3 pl-10 text-sm space-y-2">
+                    {description && <p className="whitespace-pre-line">{description}</p>}
+                    {instruction && <p className="whitespace-pre-line italic">{instruction}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Banner listing all active DWD warnings for the current location
+const AlertsBanner = ({ alerts, timeZone, location }) => {
+    const { t } = useI18n();
+    if (!alerts || alerts.length === 0) return null;
+
+    return (
+        <div className="mb-6 space-y-2" role="region" aria-label={t('alerts.region')}>
+            {alerts.map(alert => (
+                <AlertItem key={alert.id} alert={alert} timeZone={timeZone} />
+            ))}
+            {location && (
+                <p className="text-xs text-gray-600 text-right">
+                    {t('alerts.source', { name: location.name })}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default AlertsBanner;
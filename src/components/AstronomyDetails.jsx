@@ -0,0 +1,64 @@
+import React from 'react';
+import { Moon, Sunrise, Sunset } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { getMoonIllumination, getMoonTimes, getSunTimes } from '../utils/astronomy';
+
+// Sun and moon times for one day at the given coordinates, computed locally.
+// `day` is a daily forecast entry, whose calendar day is bounded by midnight in the location's timezone.
+const AstronomyDetails = ({ day, coords, timeZone, labelClassName, valueClassName }) => {
+    const { t, locale, formatDate, formatDuration } = useI18n();
+
+    // The middle of the calendar day picks the right solar day, also when the forecast starts mid-day
+    const midday = new Date((day.dayStart.getTime() + day.dayEnd.getTime()) / 2);
+    const sun = getSunTimes(midday, coords.lat, coords.lon);
+    const moonTimes = getMoonTimes(day.dayStart, coords.lat, coords.lon, Math.round((day.dayEnd - day.dayStart) / (60 * 60 * 1000)));
+    const moon = getMoonIllumination(midday);
+
+    // Function to format a time of day in the location's timezone, or a dash for events that do not happen
+    const formatTime = (date) => (
+        date ? formatDate(date, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined }) : t('astronomy.noEvent')
+    );
+    const formatRange = (from, to) => (
+        from && to ? t('astronomy.range', { from: formatTime(from), to: formatTime(to) }) : t('astronomy.noEvent')
+    );
+    // Without sunrise/sunset the sun stays up (polar day) or down (polar night) all day
+    const polarNote = sun.dayLength > 0 ? t('astronomy.polarDay') : t('astronomy.polarNight');
+    let moonNote = null;
+    if (moonTimes.alwaysUp) moonNote = t('astronomy.moonAlwaysUp');
+    if (moonTimes.alwaysDown) moonNote = t('astronomy.moonAlwaysDown');
+
+    const details = [
+        { key: 'sunrise', icon: Sunrise, value: sun.sunrise ? formatTime(sun.sunrise) : polarNote },
+        { key: 'sunset', icon: Sunset, value: sun.sunset ? formatTime(sun.sunset) : polarNote },
+        { key: 'solarNoon', value: formatTime(sun.solarNoon) },
+        { key: 'dayLength', value: formatDuration(sun.dayLength) },
+        { key: 'civilTwilight', value: formatRange(sun.civilDawn, sun.civilDusk) },
+        { key: 'nauticalTwilight', value: formatRange(sun.nauticalDawn, sun.nauticalDusk) },
+        {
+            key: 'moon',
+            icon: Moon,
+            value: t('astronomy.illumination', {
+                phase: t(`astronomy.phase.${moon.phaseName}`),
+                percent: new Intl.NumberFormat(locale, { style: 'percent' }).format(moon.fraction)
+            })
+        },
+        { key: 'moonrise', value: moonNote || formatTime(moonTimes.rise) },
+        { key: 'moonset', value: moonNote || formatTime(moonTimes.set) }
+    ];
+
+    return (
+        <dl className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            {details.map(({ key, icon: Icon, value }) => (
+                <div key={key}>
+                    <dt className={`text-xs flex items-center gap-1 ${labelClassName}`}>
+                        {Icon && <Icon size={12} />}
+                        {t(`astronomy.${key}`)}
+                    </dt>
+                    <dd className={`text-sm font-bold ${valueClassName}`}>{value}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+};
+
+export default AstronomyDetails;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { useI18n } from '../i18n/context';
+import { getClimateSummary, getPercentileClass } from '../utils/climate';
+import { formatQuantity, formatQuantityDifference } from '../utils/units';
+
+// Text colour per percentile class, cooler/drier than usual in blue and warmer/wetter in red
+const percentileClassStyles = {
+    muchBelow: 'text-blue-700',
+    below: 'text-blue-600',
+    normal: '',
+    above: 'text-red-600',
+    muchAbove: 'text-red-700'
+};
+
+// Function to get the position of a value on the distribution track as a CSS percentage
+const toPercent = (value, min, max) => `${max === min ? 50 : ((value - min) / (max - min)) * 100}%`;
+
+// Climate normals for the forecast period, built from previous years, and where each forecast day sits within them.
+// `climate` is the result of the useClimateHistory hook, which only loads while the panel is `open`;
+// until then the panel offers to load them.
+const ClimatePanel = ({ forecastDays, climate, open, onOpen, units, timeZone, theme }) => {
+    const { t, locale, formatDate } = useI18n();
+    const { years, loading, error } = climate;
+
+    // Function to format a raw value, or 'N/A' when it is missing
+    const format = (value, type) => (
+        value === null || value === undefined ? t('common.notAvailable') : formatQuantity(value, type, units, { locale })
+    );
+    const formatPercent = (fraction) => new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format(fraction);
+    // Archive dates are shown as calendar dates, so they are formatted in UTC
+    const formatKey = (dateKey) => formatDate(`${dateKey}T00:00:00Z`, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+    if (!open) {
+        return (
+            <div className="text-center">
+                <button onClick={onOpen} className="py-2 px-4 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">
+                    {t('climate.show')}
+                </button>
+            </div>
+        );
+    }
+    if (loading) {
+        return <p className={`text-center ${theme.labelTextColor}`}>{t('climate.loading')}</p>;
+    }
+    const summary = error ? null : getClimateSummary(forecastDays, years);
+    if (!summary) {
+        return <p className={`text-center ${theme.labelTextColor}`}>{t('climate.unavailable')}</p>;
+    }
+
+    const weekClass = getPercentileClass(summary.weekHighRank);
+    const normals = [
+        { key: 'meanHigh', value: format(summary.meanHigh, 'temperature') },
+        { key: 'meanLow', value: format(summary.meanLow, 'temperature') },
+        { key: 'meanPrecipitation', value: format(summary.meanPrecipitation, 'precipitation') },
+        { key: 'wetDays', value: summary.wetDayFrequency === null ? t('common.notAvailable') : formatPercent(summary.wetDayFrequency) },
+        {
+            key: 'recordHigh',
+            value: summary.recordHigh
+                ? t('climate.record', { value: format(summary.recordHigh.value, 'temperature'), date: formatKey(summary.recordHigh.dateKey) })
+                : t('common.notAvailable')
+        },
+        {
+            key: 'recordLow',
+            value: summary.recordLow
+                ? t('climate.record', { value: format(summary.recordLow.value, 'temperature'), date: formatKey(summary.recordLow.dateKey) })
+                : t('common.notAvailable')
+        }
+    ];
+
+    // The distribution track spans the records and every forecast value
+    const trackValues = [
+        summary.recordLow && summary.recordLow.value,
+        summary.recordHigh && summary.recordHigh.value,
+        ...summary.days.flatMap(day => [day.minTemp, day.maxTemp])
+    ].filter(value => typeof value === 'number');
+    const trackMin = Math.min(...trackValues);
+    const trackMax = Math.max(...trackValues);
+
+    return (
+        <div className={`p-4 rounded-lg shadow-md ${theme.detailCardBg} ${theme.labelTextColor}`}>
+            {weekClass && (
+                <p className={`text-lg font-semibold text-center ${percentileClassStyles[weekClass]}`}>
+                    {t(`climate.verdict.${weekClass}`)}
+                </p>
+            )}
+            {summary.weekHighAnomaly !== null && (
+                <p className="text-sm text-center mb-4">
+                    {t('climate.weekAnomaly', { difference: formatQuantityDifference(summary.weekHighAnomaly, 'temperature', units, { locale }) })}
+                    {' '}{t('climate.wetDaysForecast', { count: summary.forecastWetDays, days: forecastDays.length })}
+                </p>
+            )}
+
+            <dl className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+                {normals.map(({ key, value }) => (
+                    <div key={key}>
+                        <dt className="text-xs uppercase tracking-wide">{t(`climate.${key}`)}</dt>
+                        <dd className={`font-semibold ${theme.detailText}`}>{value}</dd>
+                    </div>
+                ))}
+            </dl>
+
+            {/* Forecast low/high of each day against the normal range (mean low to mean high) and the records */}
+            <ul className="space-y-2" aria-label={t('climate.distributionLabel')}>
+                {summary.days.map(day => {
+                    const forecastDay = forecastDays.find(entry => entry.dateKey === day.dateKey);
+                    const highClass = getPercentileClass(day.highRank);
+                    return (
+                        <li key={day.dateKey} className="flex items-center gap-3 text-sm">
+                            <span className="w-20 flex-shrink-0">
+                                {formatDate(forecastDay.date, { weekday: 'short', day: 'numeric', timeZone: timeZone || undefined })}
+                            </span>
+                            <div className="relative flex-1 h-4 rounded bg-gray-200" aria-hidden="true">
+                                {summary.meanLow !== null && summary.meanHigh !== null && (
+                                    <div
+                                        className="absolute inset-y-0 bg-gray-400/60 rounded"
+                                        style={{ left: toPercent(summary.meanLow, trackMin, trackMax), right: `calc(100% - ${toPercent(summary.meanHigh, trackMin, trackMax)})` }}
+                                    />
+                                )}
+                                {day.minTemp !== null && (
+                                    <div className="absolute top-0.5 w-3 h-3 -ml-1.5 rounded-full bg-blue-600" style={{ left: toPercent(day.minTemp, trackMin, trackMax) }} />
+                                )}
+                                {day.maxTemp !== null && (
+                                    <div className="absolute top-0.5 w-3 h-3 -ml-1.5 rounded-full bg-red-600" style={{ left: toPercent(day.maxTemp, trackMin, trackMax) }} />
+                                )}
+                            </div>
+                            <span className={`w-36 flex-shrink-0 text-right ${highClass ? percentileClassStyles[highClass] : ''}`}>
+                                {day.isRecordHigh && <strong>{t('climate.newRecordHigh')} </strong>}
+                                {day.isRecordLow && <strong>{t('climate.newRecordLow')} </strong>}
+                                {!day.isRecordHigh && !day.isRecordLow && day.highRank !== null && t('climate.highRank', { percent: formatPercent(day.highRank / 100) })}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ul>
+            <p className="text-xs mt-3">
+                {t('climate.legend')} {t('climate.basis', { years: summary.yearCount, days: summary.dayCount })}
+            </p>
+        </div>
+    );
+};
+
+export default ClimatePanel;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { useI18n } from '../i18n/context';
+import { compareWithPastYears } from '../utils/history';
+import { formatQuantity, formatQuantityDifference } from '../utils/units';
+
+// Tailwind classes for an anomaly: warmer/wetter than usual in red/blue, close to usual neutral
+const getAnomalyClass = (difference, threshold) => {
+    if (difference === null || Math.abs(difference) < threshold) return '';
+    return difference > 0 ? 'text-red-600' : 'text-blue-600';
+};
+
+// Today's forecast next to the same date in previous years, with the difference to their average.
+// `history` is the result of the useSameDayHistory hook, which only loads while the panel is `open`;
+// until then the panel offers to load it.
+const ComparisonPanel = ({ forecastDay, history, open, onOpen, units, theme }) => {
+    const { t, locale } = useI18n();
+    const { days, loading, error } = history;
+
+    // Function to format a raw value, or 'N/A' when it is missing
+    const format = (value, type) => (
+        value === null || value === undefined ? t('common.notAvailable') : formatQuantity(value, type, units, { locale })
+    );
+    const formatDifference = (value, type) => (
+        value === null ? t('common.notAvailable') : formatQuantityDifference(value, type, units, { locale })
+    );
+
+    if (!open) {
+        return (
+            <div className="text-center">
+                <button onClick={onOpen} className="py-2 px-4 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">
+                    {t('comparison.show')}
+                </button>
+            </div>
+        );
+    }
+    if (loading) {
+        return <p className={`text-center ${theme.labelTextColor}`}>{t('comparison.loading')}</p>;
+    }
+    if (error || days.length === 0) {
+        return <p className={`text-center ${theme.labelTextColor}`}>{t('comparison.unavailable')}</p>;
+    }
+
+    const comparison = compareWithPastYears(forecastDay, days);
+    const rows = [
+        { key: 'forecast', label: t('comparison.forecast'), day: forecastDay, highlight: true },
+        ...days.map(({ year, day }) => ({ key: year, label: String(year), day }))
+    ];
+
+    return (
+        <div className={`p-4 rounded-lg shadow-md ${theme.detailCardBg}`}>
+            <table className={`w-full text-sm ${theme.labelTextColor}`}>
+                <thead>
+                    <tr className="text-left">
+                        <th className="font-semibold pb-1">{t('comparison.date')}</th>
+                        <th className="font-semibold pb-1 text-right">{t('comparison.high')}</th>
+                        <th className="font-semibold pb-1 text-right">{t('comparison.low')}</th>
+                        <th className="font-semibold pb-1 text-right">{t('comparison.precipitation')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(({ key, label, day, highlight }) => (
+                        <tr key={key} className={highlight ? `font-bold ${theme.detailText}` : ''}>
+                            <td className="py-0.5">{label}</td>
+                            <td className="py-0.5 text-right">{day ? format(day.maxTemp, 'temperature') : t('common.notAvailable')}</td>
+                            <td className="py-0.5 text-right">{day ? format(day.minTemp, 'temperature') : t('common.notAvailable')}</td>
+                            <td className="py-0.5 text-right">{day ? format(day.totalPrecipitation, 'precipitation') : t('common.notAvailable')}</td>
+                        </tr>
+                    ))}
+                    <tr className="border-t border-current/20">
+                        <td className="pt-1">{t('comparison.average', { years: days.filter(entry => entry.day).length })}</td>
+                        <td className="pt-1 text-right">{format(comparison.averageMax, 'temperature')}</td>
+                        <td className="pt-1 text-right">{format(comparison.averageMin, 'temperature')}</td>
+                        <td className="pt-1 text-right">{format(comparison.averagePrecipitation, 'precipitation')}</td>
+                    </tr>
+                    <tr className="font-bold">
+                        <td className="pt-1">{t('comparison.anomaly')}</td>
+                        <td className={`pt-1 text-right ${getAnomalyClass(comparison.maxTempAnomaly, 1)}`}>{formatDifference(comparison.maxTempAnomaly, 'temperature')}</td>
+                        <td className={`pt-1 text-right ${getAnomalyClass(comparison.minTempAnomaly, 1)}`}>{formatDifference(comparison.minTempAnomaly, 'temperature')}</td>
+                        <td className={`pt-1 text-right ${getAnomalyClass(comparison.precipitationAnomaly, 1)}`}>{formatDifference(comparison.precipitationAnomaly, 'precipitation')}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default ComparisonPanel;
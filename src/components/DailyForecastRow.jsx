@@ -0,0 +1,111 @@
+import React from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import AstronomyDetails from './AstronomyDetails';
+import { UvBadge } from './UvPanel';
+import { isNight } from '../utils/astronomy';
+import { formatQuantity, getCompassPoint } from '../utils/units';
+import { getUvPeak } from '../utils/uv';
+
+// One day of the daily forecast. The summary line toggles a details panel with the day's
+// aggregates and an hour-by-hour timeline, both in the location's timezone.
+const DailyForecastRow = ({ day, units, timeZone, coords, theme, expanded, onToggle, alertMarker, getWeatherIcon, getConditionLabel }) => {
+    const { t, locale, formatDate, formatDuration } = useI18n();
+    const detailsId = `daily-details-${day.dateKey}`;
+
+    // Function to format a raw value, or 'N/A' when it is missing
+    const format = (value, type) => (
+        value === null || value === undefined ? t('common.notAvailable') : formatQuantity(value, type, units, { locale })
+    );
+
+    const compassPoint = getCompassPoint(day.windDirection);
+    const details = [
+        { key: 'precipitation', value: format(day.totalPrecipitation, 'precipitation') },
+        { key: 'maxWind', value: format(day.maxWindSpeed, 'wind_speed') },
+        { key: 'maxGust', value: format(day.maxWindGust, 'wind_speed') },
+        { key: 'windDirection', value: compassPoint ? t(`directions.${compassPoint}`) : t('common.notAvailable') },
+        {
+            key: 'humidity',
+            value: day.minHumidity === null
+                ? t('common.notAvailable')
+                : t('daily.range', { min: format(day.minHumidity, 'humidity'), max: format(day.maxHumidity, 'humidity') })
+        },
+        { key: 'sunshine', value: day.sunshine === null ? t('common.notAvailable') : formatDuration(day.sunshine / 60) },
+        { key: 'cloudCover', value: format(day.averageCloudCover, 'cloud_cover') }
+    ];
+    const uvPeak = coords ? getUvPeak(day.hours, coords) : null;
+    if (uvPeak) {
+        details.push({
+            key: 'uvPeak',
+            value: (
+                <>
+                    <UvBadge value={uvPeak.value} /> {t('uv.peakAt', { time: formatDate(uvPeak.time, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined }) })}
+                </>
+            )
+        });
+    }
+
+    return (
+        <div className={`rounded-lg shadow-md ${theme.dailyCardBg}`}>
+            <button
+                type="button"
+                onClick={onToggle}
+                aria-expanded={expanded}
+                aria-controls={detailsId}
+                className="w-full flex items-center justify-between p-4 text-left"
+            >
+                <span className={`text-lg font-semibold w-1/4 flex items-center gap-1 ${theme.labelTextColor}`}>
+                    {formatDate(day.date, { weekday: 'short', month: 'short', day: 'numeric', timeZone: timeZone || undefined })}
+                    {alertMarker}
+                </span>
+                <span className="w-1/6 text-center flex items-center justify-center">{getWeatherIcon(day.dominantIcon, 32, theme.mainIconColor)}</span>
+                <span className={`text-lg w-1/3 text-center ${theme.labelTextColor}`}>
+                    {getConditionLabel(day.dominantIcon)}
+                </span>
+                <span className={`text-lg font-bold w-1/4 text-right ${theme.dailyText}`}>
+                    {day.maxTemp !== null && day.minTemp !== null
+                        ? `${format(day.maxTemp, 'temperature')} / ${format(day.minTemp, 'temperature')}`
+                        : t('common.notAvailable')
+                    }
+                </span>
+                {expanded
+                    ? <ChevronUp size={20} className={`ml-2 flex-shrink-0 ${theme.labelTextColor}`} />
+                    : <ChevronDown size={20} className={`ml-2 flex-shrink-0 ${theme.labelTextColor}`} />
+                }
+            </button>
+            {expanded && (
+                <div id={detailsId} className="px-4 pb-4">
+                    <dl className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+                        {details.map(({ key, value }) => (
+                            <div key={key}>
+                                <dt className={`text-xs ${theme.labelTextColor}`}>{t(`daily.${key}`)}</dt>
+                                <dd className={`text-sm font-bold ${theme.dailyText}`}>{value}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                    {coords && (
+                        <div className="mb-3">
+                            <p className={`text-xs font-semibold mb-1 ${theme.labelTextColor}`}>{t('astronomy.title')}</p>
+                            <AstronomyDetails day={day} coords={coords} timeZone={timeZone} labelClassName={theme.labelTextColor} valueClassName={theme.dailyText} />
+                        </div>
+                    )}
+                    <p className={`text-xs font-semibold mb-1 ${theme.labelTextColor}`}>{t('daily.timeline')}</p>
+                    <div className="overflow-x-auto">
+                        <div className="flex gap-1 pb-1">
+                            {day.hours.map(hour => (
+                                <div key={hour.timestamp} className={`flex-shrink-0 w-14 text-center text-xs rounded ${theme.labelTextColor} ${coords && isNight(new Date(hour.timestamp), coords.lat, coords.lon) ? 'bg-black/10' : ''}`}>
+                                    <p>{formatDate(hour.timestamp, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined })}</p>
+                                    <div className="flex justify-center my-1" title={getConditionLabel(hour.icon)}>{getWeatherIcon(hour.icon, 18, theme.mainIconColor)}</div>
+                                    <p className={`font-bold ${theme.dailyText}`}>{format(hour.temperature, 'temperature')}</p>
+                                    <p>{hour.precipitation > 0 ? format(hour.precipitation, 'precipitation') : ' '}</p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DailyForecastRow;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { ChevronUp, ChevronDown, Trash2, WifiOff } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { getCurrentHourWeather } from '../utils/currentWeather';
+import { getDailyForecast } from '../utils/dailyForecast';
+
+// Function to reduce a forecast to current conditions plus today's high/low (Kelvin)
+const getTodaySummary = (hourlyData, timeZone) => {
+    const [today] = getDailyForecast(hourlyData, timeZone, { maxDays: 1 });
+    return {
+        current: getCurrentHourWeather(hourlyData),
+        maxTemp: today ? today.maxTemp : null,
+        minTemp: today ? today.minTemp : null
+    };
+};
+
+// Compact card for one saved location, showing the forecast fetched for it in the background (see useSavedForecasts).
+// A cached forecast shown while offline is marked as stale.
+const FavoriteCard = ({ favorite, forecast, editing, isFirst, isLast, onSelect, onRemove, onMove, formatTemperature, getWeatherIcon }) => {
+    const { t, formatDate } = useI18n();
+    const summary = forecast && forecast.weather ? getTodaySummary(forecast.weather, favorite.timezone) : null;
+    const failed = Boolean(forecast) && !forecast.weather;
+    // Time of the cached forecast shown while offline, null for fresh data
+    const staleSince = summary && forecast.stale ? forecast.fetchedAt : null;
+
+    const current = summary ? summary.current : null;
+
+    return (
+        <div className="flex items-center gap-2 p-3 rounded-lg shadow-md bg-blue-50">
+            <button
+                type="button"
+                onClick={() => onSelect(favorite)}
+                className="flex-1 flex items-center justify-between gap-3 text-left"
+                title={favorite.displayName}
+            >
+                <span className="text-lg font-semibold text-gray-800 truncate">{favorite.name}</span>
+                <span className="flex items-center gap-3 flex-shrink-0">
+                    {current && getWeatherIcon(current.icon, 28, 'text-blue-600')}
+                    <span className="text-xl font-bold text-blue-700">
+                        {current ? formatTemperature(current.temperature) : (failed ? t('common.notAvailable') : '…')}
+                    </span>
+                    {summary && (
+                        <span className="text-sm text-gray-700">
+                            {formatTemperature(summary.maxTemp)} / {formatTemperature(summary.minTemp)}
+                        </span>
+                    )}
+                    {staleSince && (
+                        <span title={t('offline.staleSince', { time: formatDate(staleSince, { dateStyle: 'short', timeStyle: 'short', timeZone: favorite.timezone || undefined }) })}>
+                            <WifiOff size={16} className="text-amber-600" aria-label={t('offline.cached')} />
+                        </span>
+                    )}
+                </span>
+            </button>
+            {editing && (
+                <div className="flex items-center flex-shrink-0">
+                    <button type="button" onClick={() => onMove(favorite.id, -1)} disabled={isFirst} className="p-1 text-gray-700 disabled:opacity-30" aria-label={t('favorites.moveUp', { name: favorite.name })}>
+                        <ChevronUp size={18} />
+                    </button>
+                    <button type="button" onClick={() => onMove(favorite.id, 1)} disabled={isLast} className="p-1 text-gray-700 disabled:opacity-30" aria-label={t('favorites.moveDown', { name: favorite.name })}>
+                        <ChevronDown size={18} />
+                    </button>
+                    <button type="button" onClick={() => onRemove(favorite.id)} className="p-1 text-red-600" aria-label={t('favorites.delete', { name: favorite.name })}>
+                        <Trash2 size={18} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Dashboard of all saved locations with their current temperature, icon and high/low.
+// `forecasts` is the result of the useSavedForecasts hook, keyed by favorite id.
+const FavoritesDashboard = ({ favorites, forecasts, onSelect, onRemove, onMove, formatTemperature, getWeatherIcon }) => {
+    const { t } = useI18n();
+    const [editing, setEditing] = useState(false);
+
+    if (favorites.length === 0) return null;
+
+    return (
+        <div className="mt-6">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-xl font-semibold text-gray-800">{t('favorites.title')}</h2>
+                <button
+                    type="button"
+                    onClick={() => setEditing(!editing)}
+                    className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+                >
+                    {editing ? t('favorites.done') : t('favorites.edit')}
+                </button>
+            </div>
+            <div className="flex flex-col space-y-2">
+                {favorites.map((favorite, index) => (
+                    <FavoriteCard
+                        key={favorite.id}
+                        favorite={favorite}
+                        forecast={forecasts[favorite.id] || null}
+                        editing={editing}
+                        isFirst={index === 0}
+                        isLast={index === favorites.length - 1}
+                        onSelect={onSelect}
+                        onRemove={onRemove}
+                        onMove={onMove}
+                        formatTemperature={formatTemperature}
+                        getWeatherIcon={getWeatherIcon}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default FavoritesDashboard;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { History } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { MAX_HISTORY_DAYS, addDays, getSameDateInYear, validateHistoryRange } from '../utils/history';
+
+// Date range picker that switches the hourly and daily views to archived data.
+// `activeRange` is the range currently shown, or null while the forecast is shown.
+const HistoryControls = ({ todayKey, activeRange, loading, onSubmit, onExit }) => {
+    const { t, formatDate } = useI18n();
+    const [open, setOpen] = useState(false);
+    // Start with the same date last year
+    const lastYear = getSameDateInYear(todayKey, Number(todayKey.slice(0, 4)) - 1);
+    const [start, setStart] = useState(lastYear);
+    const [end, setEnd] = useState(lastYear);
+    const problem = validateHistoryRange({ start, end }, todayKey);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (problem) return;
+        onSubmit({ start, end });
+    };
+
+    // Dates are shown as picked, so they are formatted as UTC calendar dates
+    const formatKey = (dateKey) => formatDate(`${dateKey}T00:00:00Z`, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+    if (activeRange) {
+        return (
+            <div className="mb-6 p-3 rounded-lg border border-amber-400 bg-amber-50 text-amber-900 flex flex-wrap items-center justify-between gap-2">
+                <p className="flex items-center gap-2 font-semibold">
+                    <History size={18} />
+                    {activeRange.start === activeRange.end
+                        ? t('history.showingDay', { date: formatKey(activeRange.start) })
+                        : t('history.showingRange', { start: formatKey(activeRange.start), end: formatKey(activeRange.end) })
+                    }
+                </p>
+                <button onClick={onExit} className="bg-amber-600 text-white py-1 px-3 rounded-lg font-semibold hover:bg-amber-700">
+                    {t('history.backToForecast')}
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mb-4">
+            <button
+                onClick={() => setOpen(!open)}
+                aria-expanded={open}
+                className="text-sm text-gray-700 hover:text-gray-900 flex items-center gap-1 mx-auto"
+            >
+                <History size={16} /> {t('history.open')}
+            </button>
+            {open && (
+                <form onSubmit={handleSubmit} className="mt-3 p-3 bg-gray-50 rounded-lg border border-gray-200 flex flex-wrap items-end justify-center gap-3 text-sm text-gray-700">
+                    <label className="flex flex-col">
+                        {t('history.from')}
+                        <input
+                            type="date"
+                            value={start}
+                            max={addDays(todayKey, -1)}
+                            onChange={(e) => setStart(e.target.value)}
+                            className="p-1 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <label className="flex flex-col">
+                        {t('history.to')}
+                        <input
+                            type="date"
+                            value={end}
+                            min={start}
+                            max={addDays(todayKey, -1)}
+                            onChange={(e) => setEnd(e.target.value)}
+                            className="p-1 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <button
+                        type="submit"
+                        disabled={Boolean(problem) || loading}
+                        className="bg-blue-600 text-white py-1 px-3 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {t('history.show')}
+                    </button>
+                    {problem && (
+                        <p className="w-full text-center text-red-700">{t(problem, { days: MAX_HISTORY_DAYS })}</p>
+                    )}
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default HistoryControls;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useI18n } from '../i18n/context';
+import { calculateApparentTemperature } from '../utils/apparentTemperature';
+import { isNight } from '../utils/astronomy';
+import { buildLinePath, createLinearScale, getExtent, getHourIndex, getNiceTicks, getTimeTicks } from '../utils/charts';
+import { convertValue, formatQuantity, getCompassPoint } from '../utils/units';
+
+const HOUR_WIDTH = 8; // Horizontal pixels per hour, the full range scrolls horizontally
+const MARGIN_LEFT = 44; // Room for the y axis labels
+const MARGIN_RIGHT = 12;
+const DAY_AXIS_HEIGHT = 18;
+const HOUR_AXIS_HEIGHT = 18;
+const PANEL_TITLE_HEIGHT = 16;
+const PANEL_GAP = 10;
+const ARROW_EVERY_HOURS = 3;
+const MIN_PRECIPITATION_SCALE_MM = 2; // Keep light rain visibly light by never scaling below this
+
+// Panels from top to bottom with their plot heights
+const PANELS = [
+    { key: 'temperature', height: 110 },
+    { key: 'precipitation', height: 70 },
+    { key: 'wind', height: 80 },
+    { key: 'pressure', height: 70 }
+];
+
+// Function to convert a raw value into the selected display unit, keeping missing values as null
+const toDisplay = (value, type, units) => (
+    value === null || value === undefined ? null : convertValue(value, type, units).value
+);
+
+// Function to stack the panels below the day axis and work out where each one's plot area is
+const getPanelLayout = () => {
+    let top = DAY_AXIS_HEIGHT;
+    const layout = {};
+    PANELS.forEach(({ key, height }) => {
+        const plotTop = top + PANEL_TITLE_HEIGHT;
+        layout[key] = { titleY: top + 11, top: plotTop, bottom: plotTop + height };
+        top = plotTop + height + PANEL_GAP;
+    });
+    return { layout, bottom: top - PANEL_GAP };
+};
+
+// Charts for the whole fetched range: temperature and feels-like, precipitation with probability,
+// wind speed and gusts with direction arrows, and pressure. All panels share a time cursor
+// that follows the pointer, a tap, or the arrow keys. Night hours are shaded when `coords` are known.
+const HourlyCharts = ({ hours, units, timeZone, coords, theme }) => {
+    const { t, locale, formatDate } = useI18n();
+    const [activeIndex, setActiveIndex] = useState(null);
+    const scrollRef = useRef(null);
+
+    const times = hours.map(hour => new Date(hour.timestamp));
+    const nowIndex = getHourIndex(times, Date.now());
+    const { layout, bottom: panelsBottom } = getPanelLayout();
+    const width = MARGIN_LEFT + hours.length * HOUR_WIDTH + MARGIN_RIGHT;
+    const height = panelsBottom + HOUR_AXIS_HEIGHT;
+    const getX = (index) => MARGIN_LEFT + index * HOUR_WIDTH + HOUR_WIDTH / 2;
+
+    // Scroll the current hour into view when a new forecast arrives
+    useEffect(() => {
+        setActiveIndex(null);
+        const index = getHourIndex(hours.map(hour => new Date(hour.timestamp)), Date.now());
+        if (scrollRef.current && index !== null) {
+            scrollRef.current.scrollLeft = Math.max(0, (index - 6) * HOUR_WIDTH);
+        }
+    }, [hours]);
+
+    // Series in display units
+    const temperature = hours.map(hour => toDisplay(hour.temperature, 'temperature', units));
+    const feelsLikeRaw = hours.map(hour => calculateApparentTemperature(hour.temperature, hour.relative_humidity, hour.wind_speed, hour.dew_point));
+    const feelsLike = feelsLikeRaw.map(value => toDisplay(value, 'temperature', units));
+    const precipitation = hours.map(hour => toDisplay(hour.precipitation, 'precipitation', units));
+    const windSpeed = hours.map(hour => toDisplay(hour.wind_speed, 'wind_speed', units));
+    const windGust = hours.map(hour => toDisplay(hour.wind_gust_speed, 'wind_speed', units));
+    const pressure = hours.map(hour => toDisplay(hour.pressure_msl, 'pressure', units));
+
+    const symbols = {
+        temperature: convertValue(273.15, 'temperature', units).symbol,
+        precipitation: convertValue(0, 'precipitation', units).symbol,
+        wind: convertValue(0, 'wind_speed', units).symbol,
+        pressure: convertValue(1013, 'pressure', units).symbol
+    };
+
+    // Value axes. Precipitation and wind always start at zero.
+    const temperatureAxis = getNiceTicks(getExtent([...temperature, ...feelsLike]) || [0, 1], 4);
+    const precipitationMax = Math.max(toDisplay(MIN_PRECIPITATION_SCALE_MM, 'precipitation', units), ...precipitation.filter(value => value !== null));
+    const precipitationAxis = getNiceTicks([0, precipitationMax], 2);
+    const windAxis = getNiceTicks([0, Math.max(1, ...[...windSpeed, ...windGust].filter(value => value !== null))], 3);
+    const pressureAxis = getNiceTicks(getExtent(pressure) || [1000, 1020], 2);
+
+    const scales = {
+        temperature: createLinearScale(temperatureAxis.domain, [layout.temperature.bottom, layout.temperature.top]),
+        precipitation: createLinearScale(precipitationAxis.domain, [layout.precipitation.bottom, layout.precipitation.top]),
+        wind: createLinearScale(windAxis.domain, [layout.wind.bottom, layout.wind.top]),
+        pressure: createLinearScale(pressureAxis.domain, [layout.pressure.bottom, layout.pressure.top])
+    };
+
+    const tickFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2, useGrouping: false });
+    const percentFormat = new Intl.NumberFormat(locale, { style: 'percent' });
+    const timeTicks = getTimeTicks(times, timeZone);
+    // Label the first day even when the range does not start at midnight
+    const dayLabels = timeTicks.filter(tick => tick.isMidnight);
+    if (times.length > 0 && (dayLabels.length === 0 || dayLabels[0].index > 0)) {
+        dayLabels.unshift({ index: 0, time: times[0] });
+    }
+
+    // Function to build a line path for a series on a panel's scale
+    const linePath = (values, scale) => buildLinePath(values.map((value, index) => ({
+        x: getX(index),
+        y: value === null ? null : scale(value)
+    })));
+
+    // Function to move the cursor to the hour under the pointer
+    const handlePointer = (event) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (width / rect.width);
+        const index = Math.floor((x - MARGIN_LEFT) / HOUR_WIDTH);
+        setActiveIndex(Math.min(hours.length - 1, Math.max(0, index)));
+    };
+
+    // Keyboard navigation for the cursor
+    const handleKeyDown = (event) => {
+        const steps = { ArrowLeft: -1, ArrowRight: 1, PageUp: -24, PageDown: 24 };
+        if (event.key === 'Escape') {
+            setActiveIndex(null);
+            return;
+        }
+        let next = null;
+        if (steps[event.key]) {
+            const start = activeIndex === null ? (nowIndex ?? 0) : activeIndex;
+            next = start + (activeIndex === null ? 0 : steps[event.key]);
+        } else if (event.key === 'Home') {
+            next = 0;
+        } else if (event.key === 'End') {
+            next = hours.length - 1;
+        }
+        if (next === null) return;
+        event.preventDefault();
+        const index = Math.min(hours.length - 1, Math.max(0, next));
+        setActiveIndex(index);
+        // Keep the cursor visible while stepping through the range
+        const container = scrollRef.current;
+        if (container) {
+            const x = getX(index);
+            if (x < container.scrollLeft + MARGIN_LEFT || x > container.scrollLeft + container.clientWidth - MARGIN_RIGHT) {
+                container.scrollLeft = Math.max(0, x - container.clientWidth / 2);
+            }
+        }
+    };
+
+    // Function to render the y axis labels and grid lines of a panel
+    const renderValueAxis = (panel, axis, scale) => axis.ticks.map(tick => (
+        <g key={`${panel}-${tick}`}>
+            <line x1={MARGIN_LEFT} x2={width - MARGIN_RIGHT} y1={scale(tick)} y2={scale(tick)} stroke="currentColor" strokeOpacity="0.12" />
+            <text x={MARGIN_LEFT - 4} y={scale(tick) + 3} textAnchor="end" fontSize="10" fill="currentColor">{tickFormat.format(tick)}</text>
+        </g>
+    ));
+
+    // Function to render a panel title with colored legend entries
+    const renderTitle = (panel, entries) => (
+        <text x={MARGIN_LEFT} y={layout[panel].titleY} fontSize="11" fontWeight="600">
+            {entries.map(({ label, className }, index) => (
+                <tspan key={label} className={className} dx={index > 0 ? 10 : 0}>{label}</tspan>
+            ))}
+        </text>
+    );
+
+    const activeHour = activeIndex !== null ? hours[activeIndex] : null;
+    const activeCompassPoint = activeHour ? getCompassPoint(activeHour.wind_direction) : null;
+
+    return (
+        <div className={`p-2 rounded-lg shadow-md ${theme.hourlyCardBg} ${theme.labelTextColor}`}>
+            <div ref={scrollRef} className="overflow-x-auto relative">
+                <div className="relative" style={{ width }}>
+                    <svg
+                        width={width}
+                        height={height}
+                        viewBox={`0 0 ${width} ${height}`}
+                        role="img"
+                        aria-label={t('charts.label')}
+                        tabIndex={0}
+                        className="block touch-pan-x focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 rounded"
+                        onPointerMove={handlePointer}
+                        onPointerDown={handlePointer}
+                        onPointerLeave={(event) => { if (event.pointerType === 'mouse') setActiveIndex(null); }}
+                        onKeyDown={handleKeyDown}
+                    >
+                        {/* Night hours */}
+                        {coords && times.map((time, index) => (
+                            isNight(time, coords.lat, coords.lon) && (
+                                <rect key={`night-${index}`} x={getX(index) - HOUR_WIDTH / 2} y={DAY_AXIS_HEIGHT} width={HOUR_WIDTH} height={panelsBottom - DAY_AXIS_HEIGHT} fill="currentColor" fillOpacity="0.06" />
+                            )
+                        ))}
+
+                        {/* Day boundaries and labels in the location's timezone */}
+                        {timeTicks.filter(tick => tick.isMidnight).map(tick => (
+                            <line key={`day-${tick.index}`} x1={getX(tick.index) - HOUR_WIDTH / 2} x2={getX(tick.index) - HOUR_WIDTH / 2} y1={DAY_AXIS_HEIGHT - 4} y2={panelsBottom} stroke="currentColor" strokeOpacity="0.35" />
+                        ))}
+                        {dayLabels.map(tick => (
+                            <text key={`day-label-${tick.index}`} x={getX(tick.index) - HOUR_WIDTH / 2 + 3} y={12} fontSize="11" fontWeight="600" fill="currentColor">
+                                {formatDate(tick.time, { weekday: 'short', day: 'numeric', month: 'short', timeZone: timeZone || undefined })}
+                            </text>
+                        ))}
+                        {timeTicks.filter(tick => !tick.isMidnight).map(tick => (
+                            <line key={`hour-${tick.index}`} x1={getX(tick.index) - HOUR_WIDTH / 2} x2={getX(tick.index) - HOUR_WIDTH / 2} y1={DAY_AXIS_HEIGHT} y2={panelsBottom} stroke="currentColor" strokeOpacity="0.08" />
+                        ))}
+                        {timeTicks.map(tick => (
+                            <text key={`hour-label-${tick.index}`} x={getX(tick.index) - HOUR_WIDTH / 2} y={panelsBottom + 13} textAnchor="middle" fontSize="10" fill="currentColor">
+                                {formatDate(tick.time, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined })}
+                            </text>
+                        ))}
+
+                        {/* Temperature and feels-like */}
+                        {renderTitle('temperature', [
+                            { label: t('charts.withUnit', { label: t('charts.temperature'), unit: symbols.temperature }), className: 'fill-red-600' },
+                            { label: t('charts.feelsLike'), className: 'fill-orange-400' }
+                        ])}
+                        {renderValueAxis('temperature', temperatureAxis, scales.temperature)}
+                        <path d={linePath(feelsLike, scales.temperature)} fill="none" className="stroke-orange-400" strokeWidth="1.5" strokeDasharray="4 3" />
+                        <path d={linePath(temperature, scales.temperature)} fill="none" className="stroke-red-600" strokeWidth="2" />
+
+                        {/* Precipitation bars over probability shading */}
+                        {renderTitle('precipitation', [
+                            { label: t('charts.withUnit', { label: t('charts.precipitation'), unit: symbols.precipitation }), className: 'fill-blue-600' },
+                            { label: t('charts.probability'), className: 'fill-blue-300' }
+                        ])}
+                        {hours.map((hour, index) => (
+                            typeof hour.precipitation_probability === 'number' && hour.precipitation_probability > 0 && (
+                                <rect
+                                    key={`probability-${index}`}
+                                    x={getX(index) - HOUR_WIDTH / 2}
+                                    y={layout.precipitation.top}
+                                    width={HOUR_WIDTH}
+                                    height={layout.precipitation.bottom - layout.precipitation.top}
+                                    className="fill-blue-400"
+                                    fillOpacity={(hour.precipitation_probability / 100) * 0.35}
+                                />
+                            )
+                        ))}
+                        {renderValueAxis('precipitation', precipitationAxis, scales.precipitation)}
+                        {precipitation.map((value, index) => (
+                            value > 0 && (
+                                <rect
+                                    key={`precipitation-${index}`}
+                                    x={getX(index) - HOUR_WIDTH / 2 + 1}
+                                    y={scales.precipitation(value)}
+                                    width={HOUR_WIDTH - 2}
+                                    height={layout.precipitation.bottom - scales.precipitation(value)}
+                                    className="fill-blue-600"
+                                />
+                            )
+                        ))}
+
+                        {/* Wind speed, gusts and direction arrows */}
+                        {renderTitle('wind', [
+                            { label: t('charts.withUnit', { label: t('charts.wind'), unit: symbols.wind }), className: 'fill-teal-600' },
+                            { label: t('charts.gust'), className: 'fill-teal-400' }
+                        ])}
+                        {renderValueAxis('wind', windAxis, scales.wind)}
+                        <path d={linePath(windGust, scales.wind)} fill="none" className="stroke-teal-400" strokeWidth="1.5" strokeDasharray="4 3" />
+                        <path d={linePath(windSpeed, scales.wind)} fill="none" className="stroke-teal-600" strokeWidth="2" />
+                        {hours.map((hour, index) => (
+                            index % ARROW_EVERY_HOURS === 0 && hour.wind_direction !== null && hour.wind_direction !== undefined && (
+                                // Arrows point where the wind blows to, i.e. away from the reported direction
+                                <path
+                                    key={`arrow-${index}`}
+                                    d="M0,-5 L3.5,3 L0,1.5 L-3.5,3 Z"
+                                    transform={`translate(${getX(index)}, ${layout.wind.top + 6}) rotate(${hour.wind_direction + 180})`}
+                                    className="fill-teal-700"
+                                />
+                            )
+                        ))}
+
+                        {/* Pressure trend */}
+                        {renderTitle('pressure', [
+                            { label: t('charts.withUnit', { label: t('charts.pressure'), unit: symbols.pressure }), className: 'fill-purple-600' }
+                        ])}
+                        {renderValueAxis('pressure', pressureAxis, scales.pressure)}
+                        <path d={linePath(pressure, scales.pressure)} fill="none" className="stroke-purple-600" strokeWidth="2" />
+
+                        {/* Current time */}
+                        {nowIndex !== null && (
+                            <line x1={getX(nowIndex)} x2={getX(nowIndex)} y1={DAY_AXIS_HEIGHT} y2={panelsBottom} className="stroke-gray-500" strokeWidth="1" strokeDasharray="2 2">
+                                <title>{t('charts.now')}</title>
+                            </line>
+                        )}
+
+                        {/* Shared cursor */}
+                        {activeIndex !== null && (
+                            <g pointerEvents="none">
+                                <line x1={getX(activeIndex)} x2={getX(activeIndex)} y1={DAY_AXIS_HEIGHT} y2={panelsBottom} stroke="currentColor" strokeOpacity="0.7" />
+                                {temperature[activeIndex] !== null && <circle cx={getX(activeIndex)} cy={scales.temperature(temperature[activeIndex])} r="3" className="fill-red-600" />}
+                                {windSpeed[activeIndex] !== null && <circle cx={getX(activeIndex)} cy={scales.wind(windSpeed[activeIndex])} r="3" className="fill-teal-600" />}
+                                {pressure[activeIndex] !== null && <circle cx={getX(activeIndex)} cy={scales.pressure(pressure[activeIndex])} r="3" className="fill-purple-600" />}
+                            </g>
+                        )}
+                    </svg>
+
+                    {/* Tooltip for the hour under the cursor */}
+                    {activeHour && (
+                        <div
+                            className="absolute z-10 pointer-events-none bg-white text-gray-800 text-xs rounded-lg shadow-lg border border-gray-200 p-2 w-44"
+                            style={{
+                                top: layout.temperature.top,
+                                // Flip to the other side of the cursor near the right edge
+                                left: getX(activeIndex) + (getX(activeIndex) + 190 > width ? -186 : 10)
+                            }}
+                            aria-live="polite"
+                        >
+                            <p className="font-semibold mb-1">
+                                {formatDate(times[activeIndex], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined })}
+                            </p>
+                            <p>{t('charts.temperature')}: <span className="font-bold">{activeHour.temperature !== null ? formatQuantity(activeHour.temperature, 'temperature', units, { locale }) : t('common.notAvailable')}</span></p>
+                            <p>{t('charts.feelsLike')}: <span className="font-bold">{feelsLikeRaw[activeIndex] !== null ? formatQuantity(feelsLikeRaw[activeIndex], 'temperature', units, { locale }) : t('common.notAvailable')}</span></p>
+                            <p>
+                                {t('charts.precipitation')}: <span className="font-bold">{activeHour.precipitation !== null ? formatQuantity(activeHour.precipitation, 'precipitation', units, { locale }) : t('common.notAvailable')}</span>
+                                {typeof activeHour.precipitation_probability === 'number' && ` (${percentFormat.format(activeHour.precipitation_probability / 100)})`}
+                            </p>
+                            <p>
+                                {t('charts.wind')}: <span className="font-bold">{activeHour.wind_speed !== null ? formatQuantity(activeHour.wind_speed, 'wind_speed', units, { locale }) : t('common.notAvailable')}</span>
+                                {activeCompassPoint && ` ${t(`directions.${activeCompassPoint}`)}`}
+                            </p>
+                            {activeHour.wind_gust_speed !== null && activeHour.wind_gust_speed !== undefined && (
+                                <p>{t('charts.gust')}: <span className="font-bold">{formatQuantity(activeHour.wind_gust_speed, 'wind_speed', units, { locale })}</span></p>
+                            )}
+                            <p>{t('charts.pressure')}: <span className="font-bold">{activeHour.pressure_msl !== null ? formatQuantity(activeHour.pressure_msl, 'pressure', units, { locale }) : t('common.notAvailable')}</span></p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HourlyCharts;
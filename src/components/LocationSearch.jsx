@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useId, useRef } from 'react';
+import { useI18n } from '../i18n/context';
+
+// Location input with suggestions, following the WAI-ARIA combobox pattern: arrow keys move through
+// the suggestions, Enter picks the highlighted one (or searches for the typed text), Escape closes them.
+// `search` is the result of the useLocationSearch hook for the typed text.
+const LocationSearch = ({ value, search, onChange, onSelect, onSubmit, onDismiss }) => {
+    const { t } = useI18n();
+    const id = useId();
+    const listboxId = `${id}-listbox`;
+    const getOptionId = (index) => `${id}-option-${index}`;
+    const listRef = useRef(null);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const { suggestions, loading, searched } = search;
+    const open = suggestions.length > 0;
+
+    // Effect to drop the highlight when new suggestions arrive
+    useEffect(() => {
+        setActiveIndex(-1);
+    }, [suggestions]);
+
+    // Effect to keep the highlighted suggestion visible in the scrollable list
+    useEffect(() => {
+        if (activeIndex < 0 || !listRef.current) return;
+        const option = listRef.current.children[activeIndex];
+        if (option) option.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    const handleKeyDown = (e) => {
+        switch (e.key) {
+            case 'ArrowDown':
+                if (!open) return;
+                e.preventDefault();
+                setActiveIndex((activeIndex + 1) % suggestions.length);
+                break;
+            case 'ArrowUp':
+                if (!open) return;
+                e.preventDefault();
+                setActiveIndex(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (open && activeIndex >= 0) {
+                    onSelect(suggestions[activeIndex]);
+                } else if (value.trim() !== '') {
+                    onSubmit();
+                }
+                break;
+            case 'Escape':
+                if (!open) return;
+                e.preventDefault();
+                onDismiss();
+                break;
+            default:
+        }
+    };
+
+    // Text for screen readers, which do not notice the list appearing on their own
+    let announcement = '';
+    if (loading) {
+        announcement = t('search.loading');
+    } else if (searched) {
+        if (suggestions.length === 0) announcement = t('search.noResults');
+        else if (suggestions.length === 1) announcement = t('search.oneResult');
+        else announcement = t('search.results', { count: suggestions.length });
+    }
+
+    return (
+        <div className="relative">
+            <input
+                type="text"
+                role="combobox"
+                aria-expanded={open}
+                aria-controls={listboxId}
+                aria-autocomplete="list"
+                aria-activedescendant={open && activeIndex >= 0 ? getOptionId(activeIndex) : undefined}
+                autoComplete="off"
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition duration-200 shadow-sm text-gray-700"
+                placeholder={t('search.placeholder')}
+                value={value}
+                onChange={onChange}
+                onKeyDown={handleKeyDown}
+                onBlur={onDismiss}
+                aria-label={t('search.inputLabel')}
+            />
+            <ul
+                id={listboxId}
+                ref={listRef}
+                role="listbox"
+                aria-label={t('search.suggestions')}
+                className={`absolute z-10 w-full bg-white border border-gray-300 rounded-lg shadow-lg mt-1 max-h-60 overflow-y-auto ${open ? '' : 'hidden'}`}
+            >
+                {suggestions.map((suggestion, index) => (
+                    <li
+                        key={suggestion.placeId}
+                        id={getOptionId(index)}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        className={`p-3 cursor-pointer border-b border-gray-200 text-gray-800 ${index === activeIndex ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+                        // Keep the focus in the input, so the click is not lost to the blur closing the list
+                        onMouseDown={(e) => e.preventDefault()}
+                        onMouseEnter={() => setActiveIndex(index)}
+                        onClick={() => onSelect(suggestion)}
+                    >
+                        {suggestion.displayName}
+                    </li>
+                ))}
+            </ul>
+            {searched && !loading && suggestions.length === 0 && (
+                <p className="mt-1 text-sm text-gray-600">{t('search.noResults')}</p>
+            )}
+            <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+        </div>
+    );
+};
+
+export default LocationSearch;
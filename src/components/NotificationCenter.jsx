@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Bell, X } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import NotificationRulesEditor from './NotificationRulesEditor';
+import { RULE_METRICS } from '../utils/notifications';
+import { formatInUnit } from '../utils/units';
+
+/**
+ * Turns a notification into its title and text in the current language.
+ *
+ * @param {import('../utils/notifications').NotificationEntry} entry
+ * @param {{ t: Function, locale: string }} i18n
+ * @returns {{ title: string, body: string }}
+ */
+export const describeNotification = (entry, { t, locale }) => {
+    const quantity = RULE_METRICS[entry.metric].quantity;
+    const format = (value) => formatInUnit(value, quantity, entry.unit, { locale, maximumFractionDigits: 1 });
+    return {
+        title: t('notifications.title', { location: entry.locationName }),
+        body: t('notifications.body', {
+            metric: t(`notifications.metric.${entry.metric}`),
+            comparison: t(`notifications.comparison.${entry.comparison}`),
+            threshold: format(entry.threshold),
+            period: t(`notifications.period.${entry.period}`),
+            value: format(entry.value)
+        })
+    };
+};
+
+// Bell with the number of unread notifications, opening the notification center:
+// the notifications produced by the rules, browser notification permission, and the rules editor.
+// `center` is the result of the useNotifications hook.
+const NotificationCenter = ({ center, favorites, units }) => {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const [open, setOpen] = useState(false);
+
+    // Closing the center marks everything as read, so new entries stay highlighted while it is open
+    const handleToggle = () => {
+        if (open) center.markAllRead();
+        setOpen(!open);
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={handleToggle}
+                aria-expanded={open}
+                aria-label={t('notifications.open', { count: center.unreadCount })}
+                className="relative p-1 rounded-lg text-gray-700 hover:bg-gray-200"
+            >
+                <Bell size={18} />
+                {center.unreadCount > 0 && (
+                    <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center">
+                        {center.unreadCount}
+                    </span>
+                )}
+            </button>
+            {open && (
+                <div className="absolute right-0 z-20 mt-2 w-80 md:w-[32rem] max-h-[80vh] overflow-y-auto p-4 rounded-lg bg-white border border-gray-200 shadow-lg text-gray-800 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <h2 className="text-lg font-semibold">{t('notifications.centerTitle')}</h2>
+                        <button onClick={handleToggle} className="p-1" aria-label={t('notifications.close')}>
+                            <X size={18} />
+                        </button>
+                    </div>
+
+                    {/* Browser notifications need permission; without it notifications only appear here */}
+                    {center.permission === 'default' && (
+                        <div className="flex flex-wrap items-center justify-between gap-2 text-sm p-2 rounded-lg bg-blue-50">
+                            <span>{t('notifications.permissionPrompt')}</span>
+                            <button onClick={center.requestPermission} className="bg-blue-600 text-white py-1 px-3 rounded-lg font-semibold hover:bg-blue-700">
+                                {t('notifications.enable')}
+                            </button>
+                        </div>
+                    )}
+                    {(center.permission === 'denied' || center.permission === 'unsupported') && (
+                        <p className="text-sm p-2 rounded-lg bg-amber-50">{t('notifications.inAppOnly')}</p>
+                    )}
+
+                    {center.notifications.length === 0 ? (
+                        <p className="text-sm">{t('notifications.empty')}</p>
+                    ) : (
+                        <>
+                            <ul className="divide-y divide-gray-200 max-h-64 overflow-y-auto">
+                                {center.notifications.map(entry => {
+                                    const { title, body } = describeNotification(entry, i18n);
+                                    return (
+                                        <li key={entry.id} className={`py-2 text-sm ${entry.read ? '' : 'font-semibold'}`}>
+                                            <p>{title}</p>
+                                            <p className="font-normal">{body}</p>
+                                            <p className="text-xs font-normal text-gray-600">
+                                                {formatDate(entry.createdAt, { dateStyle: 'medium', timeStyle: 'short', timeZone: entry.timeZone || undefined })}
+                                            </p>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                            <button onClick={center.clearNotifications} className="text-sm text-blue-600 hover:text-blue-800">
+                                {t('notifications.clear')}
+                            </button>
+                        </>
+                    )}
+
+                    <NotificationRulesEditor
+                        rules={center.rules}
+                        favorites={favorites}
+                        units={units}
+                        onAdd={center.addRule}
+                        onUpdate={center.updateRule}
+                        onRemove={center.removeRule}
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { RULE_COMPARISONS, RULE_METRICS, RULE_PERIODS, createRuleId } from '../utils/notifications';
+import { UNIT_OPTIONS, convertValue, formatInUnit } from '../utils/units';
+
+// Function to get a metric's default threshold in the given display units, rounded for the input field
+const getDefaultThreshold = (metric, units) => {
+    const { quantity, defaults } = RULE_METRICS[metric];
+    return Math.round(convertValue(defaults.value, quantity, units).value * 10) / 10;
+};
+
+// Editor for notification rules: the list of rules with on/off and delete, and a form to add one.
+// Thresholds are entered in the current display unit, which is stored with the rule.
+const NotificationRulesEditor = ({ rules, favorites, units, onAdd, onUpdate, onRemove }) => {
+    const { t, locale } = useI18n();
+    const [metric, setMetric] = useState('temperature');
+    const [comparison, setComparison] = useState(RULE_METRICS.temperature.defaults.comparison);
+    const [threshold, setThreshold] = useState(() => String(getDefaultThreshold('temperature', units)));
+    const [period, setPeriod] = useState('tonight');
+    const [locationId, setLocationId] = useState('');
+
+    const quantity = RULE_METRICS[metric].quantity;
+    const unit = UNIT_OPTIONS[quantity].units[units[quantity]] ? units[quantity] : Object.keys(UNIT_OPTIONS[quantity].units)[0];
+    const thresholdValue = Number(threshold);
+    const isValid = threshold.trim() !== '' && !isNaN(thresholdValue);
+
+    // Function to switch the metric, resetting comparison and threshold to that metric's defaults
+    const handleMetricChange = (value) => {
+        setMetric(value);
+        setComparison(RULE_METRICS[value].defaults.comparison);
+        setThreshold(String(getDefaultThreshold(value, units)));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isValid) return;
+        onAdd({
+            id: createRuleId(),
+            metric,
+            comparison,
+            threshold: thresholdValue,
+            unit,
+            period,
+            locationId: locationId || null,
+            enabled: true
+        });
+    };
+
+    // Function to describe a rule in one line
+    const describeRule = (rule) => {
+        const location = rule.locationId === null
+            ? t('notifications.allLocations')
+            : (favorites.find(favorite => favorite.id === rule.locationId) || { name: t('notifications.removedLocation') }).name;
+        return t('notifications.ruleSummary', {
+            metric: t(`notifications.metric.${rule.metric}`),
+            comparison: t(`notifications.comparison.${rule.comparison}`),
+            threshold: formatInUnit(rule.threshold, RULE_METRICS[rule.metric].quantity, rule.unit, { locale, maximumFractionDigits: 1 }),
+            period: t(`notifications.period.${rule.period}`),
+            location
+        });
+    };
+
+    return (
+        <div>
+            <h3 className="font-semibold mb-2">{t('notifications.rulesTitle')}</h3>
+            {rules.length === 0 ? (
+                <p className="text-sm mb-3">{t('notifications.noRules')}</p>
+            ) : (
+                <ul className="mb-3 divide-y divide-gray-200 text-sm">
+                    {rules.map(rule => (
+                        <li key={rule.id} className="py-2 flex items-center gap-2">
+                            <input
+                                type="checkbox"
+                                checked={rule.enabled}
+                                onChange={(e) => onUpdate(rule.id, { enabled: e.target.checked })}
+                                aria-label={t('notifications.ruleEnabled')}
+                            />
+                            <span className={`flex-1 ${rule.enabled ? '' : 'opacity-50'}`}>{describeRule(rule)}</span>
+                            <button type="button" onClick={() => onRemove(rule.id)} className="p-1 text-red-600" aria-label={t('notifications.deleteRule')}>
+                                <Trash2 size={16} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-3 gap-2 items-end text-sm">
+                <label className="flex flex-col">
+                    {t('notifications.field.metric')}
+                    <select value={metric} onChange={(e) => handleMetricChange(e.target.value)} className="p-1 border border-gray-300 rounded-lg bg-white">
+                        {Object.keys(RULE_METRICS).map(key => (
+                            <option key={key} value={key}>{t(`notifications.metric.${key}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col">
+                    {t('notifications.field.comparison')}
+                    <select value={comparison} onChange={(e) => setComparison(e.target.value)} className="p-1 border border-gray-300 rounded-lg bg-white">
+                        {RULE_COMPARISONS.map(key => (
+                            <option key={key} value={key}>{t(`notifications.comparison.${key}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col">
+                    {t('notifications.field.threshold', { unit: UNIT_OPTIONS[quantity].units[unit].symbol })}
+                    <input
+                        type="number"
+                        step="0.1"
+                        value={threshold}
+                        onChange={(e) => setThreshold(e.target.value)}
+                        className="p-1 border border-gray-300 rounded-lg"
+                    />
+                </label>
+                <label className="flex flex-col">
+                    {t('notifications.field.period')}
+                    <select value={period} onChange={(e) => setPeriod(e.target.value)} className="p-1 border border-gray-300 rounded-lg bg-white">
+                        {RULE_PERIODS.map(key => (
+                            <option key={key} value={key}>{t(`notifications.period.${key}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col">
+                    {t('notifications.field.location')}
+                    <select value={locationId} onChange={(e) => setLocationId(e.target.value)} className="p-1 border border-gray-300 rounded-lg bg-white">
+                        <option value="">{t('notifications.allLocations')}</option>
+                        {favorites.map(favorite => (
+                            <option key={favorite.id} value={favorite.id}>{favorite.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <button
+                    type="submit"
+                    disabled={!isValid}
+                    className="bg-blue-600 text-white py-1 px-3 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {t('notifications.addRule')}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default NotificationRulesEditor;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Umbrella } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { NOWCAST_WINDOW_MS, getNowcastSeries, summarizeNowcast } from '../utils/nowcast';
+import { formatQuantity } from '../utils/units';
+
+const SPARKLINE_WIDTH = 300;
+const SPARKLINE_HEIGHT = 48;
+const MIN_SCALE_MM_H = 2.5; // Keep light rain visibly light by never scaling below this
+
+// Function to turn a nowcast summary into a sentence such as "Light rain starting in 15 min, ending in 40 min"
+const describeNowcast = (summary, { t, formatDuration }) => {
+    const horizon = formatDuration(summary.horizon);
+    if (!summary.intensity) {
+        return t('nowcast.dry', { horizon });
+    }
+    const params = {
+        intensity: t(`nowcast.intensity.${summary.intensity}`),
+        start: formatDuration(summary.startsIn),
+        end: summary.endsIn === null ? null : formatDuration(summary.endsIn),
+        horizon
+    };
+    if (summary.raining) {
+        return t(summary.endsIn === null ? 'nowcast.nowContinuing' : 'nowcast.nowEnding', params);
+    }
+    return t(summary.endsIn === null ? 'nowcast.laterContinuing' : 'nowcast.laterEnding', params);
+};
+
+// Minute-level precipitation outlook for the next two hours, sampled from the radar nowcast.
+// `now` (from useNow) keeps the minutes counting down between radar reloads.
+const NowcastCard = ({ radar, units, now, theme }) => {
+    const i18n = useI18n();
+    const { t, locale, formatDuration } = i18n;
+    const series = getNowcastSeries(radar.frames, radar.position, now);
+    const summary = summarizeNowcast(series);
+    if (!summary) return null;
+
+    const windowMinutes = NOWCAST_WINDOW_MS / 60000;
+    const scaleMax = Math.max(MIN_SCALE_MM_H, summary.peakRate);
+    const barWidth = SPARKLINE_WIDTH / (windowMinutes / 5);
+
+    return (
+        <div className={`mb-8 p-4 rounded-lg shadow-md ${theme.detailCardBg}`}>
+            <div className="flex items-center gap-2 mb-2">
+                <Umbrella size={20} className={theme.labelTextColor} />
+                <p className={`text-lg font-medium ${theme.labelTextColor}`}>{describeNowcast(summary, i18n)}</p>
+            </div>
+            <svg
+                viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+                className="w-full h-12"
+                preserveAspectRatio="none"
+                role="img"
+                aria-label={t('nowcast.chartLabel', { horizon: formatDuration(windowMinutes) })}
+            >
+                <line x1="0" y1={SPARKLINE_HEIGHT - 0.5} x2={SPARKLINE_WIDTH} y2={SPARKLINE_HEIGHT - 0.5} stroke="currentColor" strokeOpacity="0.3" className={theme.labelTextColor} />
+                {series.map(point => {
+                    const height = Math.min(1, point.rate / scaleMax) * SPARKLINE_HEIGHT;
+                    return (
+                        <rect
+                            key={point.time}
+                            x={(point.minutes / windowMinutes) * SPARKLINE_WIDTH}
+                            y={SPARKLINE_HEIGHT - height}
+                            width={Math.max(1, barWidth - 1)}
+                            height={height}
+                            className="fill-blue-500"
+                        >
+                            <title>{`+${formatDuration(point.minutes)}: ${formatQuantity(point.rate, 'precipitation_rate', units, { locale })}`}</title>
+                        </rect>
+                    );
+                })}
+            </svg>
+            <div className={`flex justify-between text-xs ${theme.labelTextColor}`}>
+                <span>{t('nowcast.now')}</span>
+                <span>{formatDuration(windowMinutes / 2)}</span>
+                <span>{formatDuration(windowMinutes)}</span>
+            </div>
+            {summary.peakRate > 0 && (
+                <p className={`text-sm mt-1 ${theme.labelTextColor}`}>{t('nowcast.peak')} <span className={`font-bold ${theme.detailText}`}>{formatQuantity(summary.peakRate, 'precipitation_rate', units, { locale })}</span></p>
+            )}
+        </div>
+    );
+};
+
+export default NowcastCard;
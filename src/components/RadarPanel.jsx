@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, Pause } from 'lucide-react';
+import { RADAR_DISTANCE_M } from '../hooks/useRadar';
+import { useI18n } from '../i18n/context';
+import { RADAR_COLOR_SCALE } from '../utils/radar';
+import { convertValue, formatQuantity } from '../utils/units';
+
+const CANVAS_SIZE = 400;
+const FRAME_INTERVAL_MS = 400;
+const RING_INTERVAL_KM = 25;
+
+// Function to format a legend value in the selected precipitation unit.
+// Legend steps are small in inches, so they get an extra decimal and no padding zeros.
+const formatRate = (mmPerHour, units, locale) => {
+    const { unit } = convertValue(mmPerHour, 'precipitation_rate', units);
+    return formatQuantity(mmPerHour, 'precipitation_rate', units, {
+        locale,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: unit === 'in/h' ? 3 : 1
+    });
+};
+
+// Function to pick the frame closest to a time (ms since epoch)
+const getClosestFrameIndex = (frames, now) => {
+    let closestIndex = 0;
+    frames.forEach((frame, index) => {
+        if (Math.abs(frame.time - now) < Math.abs(frames[closestIndex].time - now)) {
+            closestIndex = index;
+        }
+    });
+    return closestIndex;
+};
+
+// Precipitation radar around the current location with an animated timeline.
+// `radar` is the result of the useRadar hook; `now` (from useNow) tells past frames from forecast ones.
+const RadarPanel = ({ radar, units, timeZone, now }) => {
+    const { frames, position, loading, error } = radar;
+    const { t, locale, formatDate } = useI18n();
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [playing, setPlaying] = useState(false);
+    const canvasRef = useRef(null);
+
+    // Start at the frame closest to now whenever a new set of frames arrives.
+    // Later ticks of `now` leave the frame the user is looking at alone.
+    useEffect(() => {
+        setPlaying(false);
+        setFrameIndex(frames.length > 0 ? getClosestFrameIndex(frames, now.getTime()) : 0);
+    }, [frames]);
+
+    // Advance the animation while playing
+    useEffect(() => {
+        if (!playing || frames.length === 0) return undefined;
+        const timer = setInterval(() => {
+            setFrameIndex(index => (index + 1) % frames.length);
+        }, FRAME_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [playing, frames.length]);
+
+    // Draw the current frame, distance rings and the location marker
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const frame = frames[frameIndex];
+        if (!canvas || !frame) return;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = frame.grid;
+        const scale = CANVAS_SIZE / Math.max(width, height);
+
+        ctx.fillStyle = '#1f2937';
+        ctx.fillRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+
+        // Paint the grid at native resolution on an offscreen canvas, then scale it up without smoothing
+        const offscreen = document.createElement('canvas');
+        offscreen.width = width;
+        offscreen.height = height;
+        offscreen.getContext('2d').putImageData(new ImageData(frame.pixels, width, height), 0, 0);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(offscreen, 0, 0, width * scale, height * scale);
+
+        const center = position
+            ? { x: position.x * scale, y: position.y * scale }
+            : { x: (width * scale) / 2, y: (height * scale) / 2 };
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 1;
+        for (let km = RING_INTERVAL_KM; km <= RADAR_DISTANCE_M / 1000; km += RING_INTERVAL_KM) {
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, km * scale, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#111827';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }, [frames, frameIndex, position]);
+
+    const currentFrame = frames[Math.min(frameIndex, frames.length - 1)];
+    const isForecast = currentFrame ? currentFrame.time > now.getTime() : false;
+
+    return (
+        <div className="p-4 rounded-lg shadow-md bg-gray-100">
+            {loading && <p className="text-center text-gray-700">{t('radar.loading')}</p>}
+            {error && <p className="text-center text-red-700">{t('radar.error')}</p>}
+            {!loading && !error && frames.length === 0 && (
+                <p className="text-center text-gray-700">{t('radar.empty')}</p>
+            )}
+            {frames.length > 0 && (
+                <>
+                    <canvas
+                        ref={canvasRef}
+                        width={CANVAS_SIZE}
+                        height={CANVAS_SIZE}
+                        className="w-full max-w-md mx-auto block rounded-lg"
+                        aria-label={t('radar.map')}
+                        role="img"
+                    />
+                    <div className="flex items-center gap-3 mt-3">
+                        <button
+                            type="button"
+                            onClick={() => setPlaying(!playing)}
+                            className="p-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition duration-300 shadow-sm"
+                            aria-label={playing ? t('radar.pause') : t('radar.play')}
+                        >
+                            {playing ? <Pause size={18} /> : <Play size={18} />}
+                        </button>
+                        <input
+                            type="range"
+                            min={0}
+                            max={frames.length - 1}
+                            value={frameIndex}
+                            onChange={(e) => {
+                                setPlaying(false);
+                                setFrameIndex(Number(e.target.value));
+                            }}
+                            className="flex-1"
+                            aria-label={t('radar.time')}
+                        />
+                    </div>
+                    <p className="text-center text-sm font-semibold text-gray-800 mt-2">
+                        {formatDate(currentFrame.timestamp, { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone: timeZone || undefined })}
+                        {isForecast && <span className="ml-2 text-blue-700">{t('radar.forecast')}</span>}
+                    </p>
+                    <div className="flex flex-wrap justify-center gap-2 mt-3 text-xs text-gray-700">
+                        {RADAR_COLOR_SCALE.map(band => (
+                            <span key={band.min} className="flex items-center gap-1">
+                                <span
+                                    className="inline-block w-3 h-3 rounded-sm"
+                                    style={{ backgroundColor: `rgba(${band.color[0]}, ${band.color[1]}, ${band.color[2]}, ${band.color[3] / 255})` }}
+                                />
+                                {formatRate(band.min, units, locale)}
+                            </span>
+                        ))}
+                    </div>
+                    <p className="text-center text-xs text-gray-600 mt-1">
+                        {t('radar.rings', { distance: formatQuantity(RING_INTERVAL_KM * 1000, 'distance', units, { locale, maximumFractionDigits: 0 }) })}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RadarPanel;
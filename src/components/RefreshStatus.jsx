@@ -0,0 +1,51 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { REFRESH_INTERVALS } from '../utils/refresh';
+
+// "Last updated" line with a manual refresh button and the auto-refresh interval setting.
+// `status` is the result of the useAutoRefresh hook; times are shown in the location's `timeZone`.
+const RefreshStatus = ({ lastUpdated, status, timeZone, intervalMinutes, onIntervalChange }) => {
+    const { t, formatDate } = useI18n();
+    const { refreshing, failures, nextRefresh, refreshNow } = status;
+    const formatTime = (time) => formatDate(time, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined });
+
+    return (
+        <div className="mb-4 flex flex-wrap items-center justify-center gap-x-3 gap-y-1 text-sm text-gray-700">
+            <span aria-live="polite">
+                {refreshing
+                    ? t('refresh.refreshing')
+                    : t('refresh.lastUpdated', { time: formatDate(lastUpdated, { dateStyle: 'medium', timeStyle: 'short', timeZone: timeZone || undefined }) })
+                }
+            </span>
+            {failures > 0 && !refreshing && nextRefresh !== null && (
+                <span className="text-red-700">{t('refresh.retrying', { time: formatTime(nextRefresh) })}</span>
+            )}
+            <button
+                onClick={refreshNow}
+                disabled={refreshing}
+                className="p-1 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                aria-label={t('refresh.now')}
+                title={t('refresh.now')}
+            >
+                <RefreshCw size={16} className={refreshing ? 'animate-spin' : ''} />
+            </button>
+            <label className="flex items-center gap-1">
+                {t('refresh.interval')}
+                <select
+                    value={intervalMinutes}
+                    onChange={(e) => onIntervalChange(Number(e.target.value))}
+                    className="p-1 border border-gray-300 rounded-lg bg-white"
+                >
+                    {REFRESH_INTERVALS.map(minutes => (
+                        <option key={minutes} value={minutes}>
+                            {minutes === 0 ? t('refresh.off') : t('refresh.every', { minutes })}
+                        </option>
+                    ))}
+                </select>
+            </label>
+        </div>
+    );
+};
+
+export default RefreshStatus;
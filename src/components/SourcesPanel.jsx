@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { MapPin, Pin, PinOff } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import useNearbyStations from '../hooks/useNearbyStations';
+import { formatQuantity } from '../utils/units';
+import { getSourceUsage, isPinnedStation, toPinnedStation } from '../utils/sources';
+
+// Colours telling the sources apart in the timeline, in order of first use
+const SOURCE_COLORS = ['bg-blue-500', 'bg-emerald-500', 'bg-amber-500', 'bg-fuchsia-500', 'bg-cyan-500', 'bg-rose-500'];
+
+// The stations and forecast points behind the displayed data, which hours each one delivered,
+// and a picker to pin a specific DWD station for the location (only offered where `stationsSupported`, i.e. with Bright Sky).
+const SourcesPanel = ({ hours, sources, coords, pinnedStation, onPinStation, stationsSupported, units, timeZone, theme }) => {
+    const { t, locale, formatDate } = useI18n();
+    const [pickerOpen, setPickerOpen] = useState(false);
+    const nearby = useNearbyStations(coords ? coords.lat : null, coords ? coords.lon : null, pickerOpen);
+
+    const usage = getSourceUsage(hours, sources);
+    const rangeStart = hours.length > 0 ? new Date(hours[0].timestamp).getTime() : 0;
+    const rangeEnd = hours.length > 0 ? new Date(hours[hours.length - 1].timestamp).getTime() + 60 * 60 * 1000 : 1;
+
+    // Function to format a raw value, or 'N/A' when it is missing
+    const format = (value, type) => (
+        value === null || value === undefined ? t('common.notAvailable') : formatQuantity(value, type, units, { locale })
+    );
+    const formatTime = (date) => formatDate(date, { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined });
+    // Function to list a station's DWD and WMO ids
+    const formatIds = (dwdStationId, wmoStationId) => [
+        dwdStationId && t('sources.dwdId', { id: dwdStationId }),
+        wmoStationId && t('sources.wmoId', { id: wmoStationId })
+    ].filter(Boolean).join(' · ');
+
+    return (
+        <div className={`p-4 rounded-lg shadow-md ${theme.detailCardBg} ${theme.labelTextColor}`}>
+            {pinnedStation && (
+                <div className="mb-3 flex flex-wrap items-center justify-between gap-2 text-sm">
+                    <p className="flex items-center gap-1 font-semibold">
+                        <Pin size={16} /> {t('sources.pinned', { station: pinnedStation.name || formatIds(pinnedStation.dwdStationId, pinnedStation.wmoStationId) })}
+                    </p>
+                    <button onClick={() => onPinStation(null)} className="flex items-center gap-1 py-1 px-3 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 font-semibold">
+                        <PinOff size={14} /> {t('sources.unpin')}
+                    </button>
+                </div>
+            )}
+
+            {/* Which source delivered which hours */}
+            {hours.length > 0 && (
+                <div className="relative h-3 rounded overflow-hidden bg-gray-200 mb-3" aria-hidden="true">
+                    {usage.flatMap((entry, index) => entry.segments.map(segment => (
+                        <div
+                            key={`${entry.source.id}-${segment.start.getTime()}`}
+                            className={`absolute inset-y-0 ${SOURCE_COLORS[index % SOURCE_COLORS.length]}`}
+                            style={{
+                                left: `${((segment.start.getTime() - rangeStart) / (rangeEnd - rangeStart)) * 100}%`,
+                                width: `${((segment.end.getTime() - segment.start.getTime()) / (rangeEnd - rangeStart)) * 100}%`
+                            }}
+                        />
+                    )))}
+                </div>
+            )}
+
+            <ul className="space-y-3 text-sm">
+                {usage.map(({ source, count, segments }, index) => (
+                    <li key={source.id} className="flex gap-2">
+                        <span className={`mt-1 w-3 h-3 rounded-sm flex-shrink-0 ${count > 0 ? SOURCE_COLORS[index % SOURCE_COLORS.length] : 'bg-gray-300'}`} />
+                        <div>
+                            <p className={`font-semibold ${theme.detailText}`}>
+                                {source.station_name || t('sources.unnamed')} <span className="font-normal">({t(`sources.type.${source.observation_type}`)})</span>
+                            </p>
+                            <p>
+                                {[
+                                    formatIds(source.dwd_station_id, source.wmo_station_id),
+                                    t('sources.distance', { distance: format(source.distance, 'distance') }),
+                                    t('sources.height', { height: format(source.height, 'elevation') }),
+                                    t('sources.sourceId', { id: source.id })
+                                ].filter(Boolean).join(' · ')}
+                            </p>
+                            <p className="text-xs">
+                                {count > 0
+                                    ? t('sources.records', {
+                                        count,
+                                        ranges: segments.map(segment => `${formatTime(segment.start)} – ${formatTime(segment.end)}`).join(', ')
+                                    })
+                                    : t('sources.noRecords')
+                                }
+                            </p>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {/* Station picker */}
+            {stationsSupported && (
+                <>
+                    <button
+                        onClick={() => setPickerOpen(!pickerOpen)}
+                        aria-expanded={pickerOpen}
+                        className="mt-4 text-sm flex items-center gap-1 hover:underline"
+                    >
+                        <MapPin size={16} /> {t('sources.choose')}
+                    </button>
+                    {pickerOpen && (
+                        <div className="mt-2">
+                            {nearby.loading && <p className="text-sm">{t('sources.loadingStations')}</p>}
+                            {nearby.error && <p className="text-sm text-red-700">{t('sources.stationsError')}</p>}
+                            {!nearby.loading && !nearby.error && nearby.stations.length === 0 && (
+                                <p className="text-sm">{t('sources.noStations')}</p>
+                            )}
+                            <ul className="divide-y divide-gray-300 text-sm max-h-64 overflow-y-auto">
+                                {nearby.stations.map(station => {
+                                    const pinned = isPinnedStation(pinnedStation, station);
+                                    return (
+                                        <li key={station.key} className="py-2 flex items-center justify-between gap-2">
+                                            <div>
+                                                <p className="font-semibold">{station.name || t('sources.unnamed')}</p>
+                                                <p className="text-xs">
+                                                    {[
+                                                        formatIds(station.dwdStationId, station.wmoStationId),
+                                                        t('sources.distance', { distance: format(station.distance, 'distance') }),
+                                                        t('sources.height', { height: format(station.height, 'elevation') }),
+                                                        station.observationTypes.map(type => t(`sources.type.${type}`)).join(', ')
+                                                    ].filter(Boolean).join(' · ')}
+                                                </p>
+                                            </div>
+                                            <button
+                                                onClick={() => onPinStation(toPinnedStation(station))}
+                                                disabled={pinned || (!station.dwdStationId && !station.wmoStationId)}
+                                                className="flex-shrink-0 flex items-center gap-1 py-1 px-3 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+                                            >
+                                                <Pin size={14} /> {pinned ? t('sources.isPinned') : t('sources.pin')}
+                                            </button>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SourcesPanel;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Settings } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { UNIT_OPTIONS, UNIT_PRESETS, getMatchingPreset } from '../utils/units';
+
+// Units settings: metric/imperial/UK presets plus a per-quantity selection
+const UnitsSettings = ({ units, onChange }) => {
+    const { t } = useI18n();
+    const [open, setOpen] = useState(false);
+    const activePreset = getMatchingPreset(units);
+    const presetKeys = Object.keys(UNIT_PRESETS);
+
+    return (
+        <div className="mb-4">
+            <div className="flex justify-center items-center gap-2">
+                <div className="flex">
+                    {presetKeys.map((key, index) => (
+                        <button
+                            key={key}
+                            onClick={() => onChange({ ...UNIT_PRESETS[key].units })}
+                            className={`px-4 py-2 font-semibold transition duration-300 ease-in-out ${
+                                index === 0 ? 'rounded-l-lg' : ''
+                            } ${
+                                index === presetKeys.length - 1 ? 'rounded-r-lg' : ''
+                            } ${
+                                activePreset === key ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                            }`}
+                        >
+                            {t(`units.preset.${key}`)}
+                        </button>
+                    ))}
+                </div>
+                <button
+                    onClick={() => setOpen(!open)}
+                    className={`p-2 rounded-lg transition duration-300 ease-in-out ${
+                        open || activePreset === null ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                    aria-label={t('units.customize')}
+                    aria-expanded={open}
+                    title={activePreset === null ? t('units.custom') : t('units.customize')}
+                >
+                    <Settings size={20} />
+                </button>
+            </div>
+            {open && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-3 p-4 rounded-lg bg-gray-100 shadow-sm">
+                    {Object.entries(UNIT_OPTIONS).map(([quantity, option]) => (
+                        <label key={quantity} className="flex items-center justify-between gap-2 text-gray-800">
+                            <span className="font-medium">{t(`units.quantity.${quantity}`)}</span>
+                            <select
+                                value={units[quantity]}
+                                onChange={(e) => onChange({ ...units, [quantity]: e.target.value })}
+                                className="p-2 border border-gray-300 rounded-lg bg-white text-gray-700"
+                            >
+                                {Object.keys(option.units).map(unit => (
+                                    <option key={unit} value={unit}>{t(`units.unit.${unit}`)}</option>
+                                ))}
+                            </select>
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default UnitsSettings;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Sun } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+import { buildLinePath, getHourIndex } from '../utils/charts';
+import { convertValue, formatQuantity } from '../utils/units';
+import { getUvCategory, getUvIndex, getUvPeak, uvCategoryStyles } from '../utils/uv';
+
+const CHART_HOURS = 24;
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 100;
+const MIN_UV_SCALE = 8; // Keep a low UV day looking low
+const MIN_IRRADIANCE_SCALE = 800; // W/m², roughly a clear summer noon
+
+// Colored badge with a UV index and its WHO category
+export const UvBadge = ({ value }) => {
+    const { t, locale } = useI18n();
+    const category = getUvCategory(value);
+    return (
+        <span className={`inline-block px-2 py-0.5 rounded text-sm font-bold ${uvCategoryStyles[category].badge}`}>
+            {new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(value)} {t(`uv.category.${category}`)}
+        </span>
+    );
+};
+
+// UV index and solar irradiance for the next 24 hours, with today's peak and WHO protection advice.
+// Where the data source has no UV index, it is estimated from the sun's elevation and cloud cover.
+// `now` (from useNow) moves the chart on to the current hour while the page stays open.
+const UvPanel = ({ hours, today, coords, units, timeZone, now, theme }) => {
+    const { t, locale, formatDate } = useI18n();
+
+    const times = hours.map(hour => new Date(hour.timestamp));
+    const startIndex = getHourIndex(times, now.getTime()) ?? 0;
+    const upcoming = hours.slice(startIndex, startIndex + CHART_HOURS);
+    if (upcoming.length === 0) return null;
+
+    const uvValues = upcoming.map(hour => getUvIndex(hour, coords));
+    const irradiance = upcoming.map(hour => (typeof hour.solar === 'number' ? convertValue(hour.solar, 'solar', units).value : null));
+    const peak = today ? getUvPeak(today.hours, coords) : null;
+    const peakCategory = peak ? getUvCategory(peak.value) : null;
+    const anyEstimated = uvValues.some(uv => uv.estimated) || (peak && peak.estimated);
+
+    const uvScale = Math.max(MIN_UV_SCALE, ...uvValues.map(uv => uv.value));
+    const irradianceScale = Math.max(MIN_IRRADIANCE_SCALE, ...irradiance.filter(value => value !== null));
+    const barWidth = CHART_WIDTH / upcoming.length;
+    const uvFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+    const formatHour = (time) => formatDate(time, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timeZone || undefined });
+
+    // Irradiance line through the middle of each hour, with gaps where the value is missing
+    const irradiancePath = buildLinePath(irradiance.map((value, index) => ({
+        x: index * barWidth + barWidth / 2,
+        y: value === null ? null : CHART_HEIGHT - (value / irradianceScale) * CHART_HEIGHT
+    })));
+
+    return (
+        <div className={`p-4 rounded-lg shadow-md ${theme.detailCardBg}`}>
+            {peak && (
+                <div className="mb-3">
+                    <p className={`text-lg font-medium flex flex-wrap items-center gap-2 ${theme.labelTextColor}`}>
+                        <Sun size={20} />
+                        {t('uv.peakToday')} <UvBadge value={peak.value} />
+                        <span>{t('uv.peakAt', { time: formatHour(peak.time) })}</span>
+                    </p>
+                    <p className={`text-sm mt-1 ${theme.labelTextColor}`}>{t(`uv.advice.${peakCategory}`)}</p>
+                </div>
+            )}
+            <svg
+                viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                className={`w-full h-32 ${theme.labelTextColor}`}
+                preserveAspectRatio="none"
+                role="img"
+                aria-label={t('uv.chartLabel')}
+            >
+                <line x1="0" y1={CHART_HEIGHT - 0.5} x2={CHART_WIDTH} y2={CHART_HEIGHT - 0.5} stroke="currentColor" strokeOpacity="0.3" vectorEffect="non-scaling-stroke" />
+                {uvValues.map((uv, index) => {
+                    const height = (uv.value / uvScale) * CHART_HEIGHT;
+                    return (
+                        <rect
+                            key={upcoming[index].timestamp}
+                            x={index * barWidth + 1}
+                            y={CHART_HEIGHT - height}
+                            width={Math.max(1, barWidth - 2)}
+                            height={height}
+                            className={uvCategoryStyles[getUvCategory(uv.value)].fill}
+                        >
+                            <title>
+                                {`${formatHour(times[startIndex + index])}: ${t('uv.index')} ${uvFormat.format(uv.value)}${irradiance[index] !== null ? ` • ${formatQuantity(upcoming[index].solar, 'solar', units, { locale })}` : ''}`}
+                            </title>
+                        </rect>
+                    );
+                })}
+                <path d={irradiancePath} fill="none" stroke="currentColor" strokeWidth="1.5" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+            </svg>
+            <div className={`relative h-4 text-xs ${theme.labelTextColor}`}>
+                {upcoming.map((hour, index) => (
+                    index % 6 === 0 && (
+                        <span key={hour.timestamp} className="absolute -translate-x-1/2" style={{ left: `${((index + 0.5) / upcoming.length) * 100}%` }}>
+                            {formatHour(times[startIndex + index])}
+                        </span>
+                    )
+                ))}
+            </div>
+            <p className={`text-xs mt-1 ${theme.labelTextColor}`}>
+                {t('uv.legend')}
+                {anyEstimated && ` ${t('uv.estimatedNote')}`}
+            </p>
+        </div>
+    );
+};
+
+export default UvPanel;
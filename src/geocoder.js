@@ -0,0 +1,28 @@
+import { DEFAULT_MIN_INTERVAL, createGeocoder } from './api/geocoder';
+import { createNominatimClient } from './api/nominatim';
+import { createPhotonClient } from './api/photon';
+import { createGeocodeCache } from './utils/geocodeCache';
+
+// Geocoding backend, configured at build time through VITE_GEOCODER_* variables (see .env.example)
+const env = import.meta.env;
+const provider = env.VITE_GEOCODER_PROVIDER === 'photon' ? 'photon' : 'nominatim';
+const baseUrl = env.VITE_GEOCODER_URL || undefined; // The public instance when not set
+const minInterval = env.VITE_GEOCODER_MIN_INTERVAL !== undefined && env.VITE_GEOCODER_MIN_INTERVAL !== ''
+    ? Number(env.VITE_GEOCODER_MIN_INTERVAL)
+    : DEFAULT_MIN_INTERVAL;
+
+const client = provider === 'photon'
+    ? createPhotonClient({ baseUrl })
+    : createNominatimClient({ baseUrl, email: env.VITE_GEOCODER_EMAIL || null });
+
+// Service credited in the footer
+export const geocoderAttribution = provider === 'photon'
+    ? { name: 'Photon', url: 'https://photon.komoot.io' }
+    : { name: 'Nominatim', url: 'https://nominatim.org' };
+
+// Rate-limited, cached geocoder used for the location search and naming the device's position
+export const geocoder = createGeocoder(client, {
+    name: `${provider}:${baseUrl || 'public'}`,
+    minInterval: Number.isFinite(minInterval) && minInterval >= 0 ? minInterval : DEFAULT_MIN_INTERVAL,
+    cache: createGeocodeCache()
+});
@@ -0,0 +1,150 @@
+import { useState, useEffect } from 'react';
+import { brightSky } from '../api/brightSky';
+import { ApiErrorCode, isApiError } from '../api/errors';
+import { getArchiveChunkKey, getMonthRange, getMonthsInRange, readArchiveChunk, toArchiveDay, writeArchiveChunk } from '../utils/archiveCache';
+import { getDailyForecast, getDateKey } from '../utils/dailyForecast';
+import { addDays } from '../utils/history';
+
+// Archive months requested from Bright Sky at the same time; the climate statistics need 10 to 20 of them
+const MAX_CONCURRENT_REQUESTS = 3;
+let activeRequests = 0;
+const waitingRequests = [];
+
+// Function to wait for a free request slot
+const acquireRequestSlot = () => {
+    if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+        activeRequests += 1;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waitingRequests.push(resolve));
+};
+
+// Function to pass a request slot on to the next waiting request, or free it
+const releaseRequestSlot = () => {
+    const next = waitingRequests.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests -= 1;
+    }
+};
+
+// Function to load one calendar month of archived daily summaries, from the cache when it has been fetched before.
+// A month without data or that failed to load resolves with no days; the failure is passed on as `error`.
+const loadMonth = async ({ lat, lon, station, month, timeZone }, signal) => {
+    const key = getArchiveChunkKey({ lat, lon, station, month, timeZone });
+    const cached = readArchiveChunk(key);
+    if (cached) return { days: cached };
+
+    const { start, end } = getMonthRange(month);
+    // A month that is not over yet still gains days, so it is fetched but not cached
+    const complete = end < getDateKey(new Date(), timeZone);
+    await acquireRequestSlot();
+    try {
+        // Another view may have fetched the month while this one waited for a slot
+        const fetched = readArchiveChunk(key);
+        if (fetched) return { days: fetched };
+        const data = await brightSky.getWeather({ lat, lon, station, date: start, lastDate: addDays(end, 1), tz: timeZone }, { signal });
+        const days = getDailyForecast(data.weather, timeZone, { includePast: true, maxDays: null })
+            .filter(day => day.dateKey >= start && day.dateKey <= end)
+            .map(toArchiveDay);
+        if (complete) writeArchiveChunk(key, days);
+        return { days };
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        // No station covered the location back then; that will not change, so remember it
+        if (isApiError(err, ApiErrorCode.NO_SOURCES)) {
+            if (complete) writeArchiveChunk(key, []);
+            return { days: [] };
+        }
+        console.error(`Error fetching archive data for ${month}:`, err);
+        return { days: [], error: err };
+    } finally {
+        releaseRequestSlot();
+    }
+};
+
+/**
+ * Loads the archived daily summaries of a date range, one cached calendar month at a time.
+ * At most MAX_CONCURRENT_REQUESTS months are fetched at once, across all callers.
+ *
+ * @param {{ lat: number, lon: number, station?: import('../utils/sources').PinnedStation|null, start: string, end: string, timeZone: string|null }} range
+ *   `end` is inclusive; a pinned station replaces the lat/lon lookup
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ days: import('../utils/archiveCache').ArchiveDay[], error?: Error }>}
+ *   `error` is the first failure of a month, whose days are missing
+ */
+export const loadArchiveDays = async ({ lat, lon, station = null, start, end, timeZone }, { signal } = {}) => {
+    const months = await Promise.all(getMonthsInRange(start, end).map(month => loadMonth({ lat, lon, station, month, timeZone }, signal)));
+    const failed = months.find(result => result.error);
+    return {
+        days: months.flatMap(result => result.days).filter(day => day.dateKey >= start && day.dateKey <= end),
+        ...(failed ? { error: failed.error } : {})
+    };
+};
+
+/**
+ * Loads archived daily summaries for several date ranges, e.g. the same week in each previous year.
+ * Nothing is requested until `enabled` is set, so archive data is only fetched for a panel that is open.
+ *
+ * @param {number|null} lat
+ * @param {number|null} lon
+ * @param {import('../utils/sources').PinnedStation|null} station Station pinned for the location, if any
+ * @param {Array<{ start: string, end: string }>} ranges Inclusive date ranges ('YYYY-MM-DD' in the location's timezone)
+ * @param {string|null} timeZone
+ * @param {boolean} enabled
+ * @returns {{ results: Array<{ start: string, end: string, days: import('../utils/archiveCache').ArchiveDay[] }>, loading: boolean, error: Error|null }}
+ *   `results` follow the order of `ranges`
+ */
+const useArchiveDays = (lat, lon, station, ranges, timeZone, enabled) => {
+    // Results together with the request they belong to, so results for another location or period are never shown
+    const [loaded, setLoaded] = useState({ key: null, results: [], error: null });
+    // The ranges as a string, so a new array with the same ranges does not reload them
+    const rangesKey = ranges.map(({ start, end }) => `${start}/${end}`).join(',');
+    // The station as its ids, so a new object for the same station does not reload either
+    const dwdStationId = station ? station.dwdStationId || null : null;
+    const wmoStationId = station ? station.wmoStationId || null : null;
+    const requestKey = `${lat},${lon}|${dwdStationId}/${wmoStationId}|${timeZone || ''}|${rangesKey}`;
+    const active = enabled && lat !== null && lat !== undefined && lon !== null && lon !== undefined && rangesKey !== '';
+
+    useEffect(() => {
+        if (!active) return undefined;
+        const controller = new AbortController();
+        const pinned = dwdStationId || wmoStationId ? { dwdStationId, wmoStationId } : null;
+        const requested = rangesKey.split(',').map(range => {
+            const [start, end] = range.split('/');
+            return { start, end };
+        });
+
+        const loadRanges = async () => {
+            try {
+                const loadedRanges = await Promise.all(requested.map(({ start, end }) => (
+                    loadArchiveDays({ lat, lon, station: pinned, start, end, timeZone }, { signal: controller.signal })
+                )));
+                if (controller.signal.aborted) return;
+                // Only report an error when no range could be loaded at all
+                const error = loadedRanges.every(result => result.days.length === 0)
+                    ? loadedRanges.find(result => result.error)?.error || null
+                    : null;
+                setLoaded({ key: requestKey, results: loadedRanges.map(({ days }, index) => ({ ...requested[index], days })), error });
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                setLoaded({ key: requestKey, results: [], error: err });
+            }
+        };
+
+        loadRanges();
+        return () => controller.abort();
+        // `requestKey` only combines the other dependencies
+    }, [active, lat, lon, dwdStationId, wmoStationId, rangesKey, timeZone]);
+
+    // Until the results of the current request arrive, it is loading
+    const current = active && loaded.key === requestKey;
+    return {
+        results: current ? loaded.results : [],
+        loading: active && !current,
+        error: current ? loaded.error : null
+    };
+};
+
+export default useArchiveDays;
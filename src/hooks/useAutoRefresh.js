@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { RETURN_REFRESH_AGE_MS, getNextRefreshTime } from '../utils/refresh';
+
+/**
+ * Schedules refreshes of the displayed data: every `intervalMinutes`, right away when the data came
+ * from the offline cache, and with exponential backoff after failures. Due refreshes wait while the
+ * tab is hidden or the browser is offline and run as soon as it is visible and online again.
+ * Returning to the tab also refreshes data older than RETURN_REFRESH_AGE_MS, even with the interval off.
+ *
+ * @param {() => Promise<boolean>} refresh Reloads the data, resolving with whether fresh data arrived
+ * @param {object} options
+ * @param {number} options.intervalMinutes 0 turns the interval off
+ * @param {number|null} options.lastUpdated Time the shown data was fetched, null while nothing is shown
+ * @param {boolean} [options.stale] Whether the shown data came from the offline cache
+ * @returns {{ refreshing: boolean, failures: number, nextRefresh: number|null, refreshNow: () => Promise<void> }}
+ */
+const useAutoRefresh = (refresh, { intervalMinutes, lastUpdated, stale = false }) => {
+    const [failures, setFailures] = useState(0);
+    const [lastAttempt, setLastAttempt] = useState(null);
+    const [refreshing, setRefreshing] = useState(false);
+    const refreshingRef = useRef(false); // Guards against overlapping refreshes from the timer and events
+
+    // New data (e.g. another location was searched) starts without failures
+    useEffect(() => {
+        setFailures(0);
+        setLastAttempt(null);
+    }, [lastUpdated]);
+
+    const nextRefresh = lastUpdated === null
+        ? null
+        : getNextRefreshTime({ lastUpdated, lastAttempt, failures, intervalMinutes, stale });
+
+    const refreshNow = useCallback(async () => {
+        if (refreshingRef.current) return;
+        refreshingRef.current = true;
+        setRefreshing(true);
+        const succeeded = await refresh();
+        refreshingRef.current = false;
+        setRefreshing(false);
+        if (succeeded) {
+            setFailures(0);
+            setLastAttempt(null);
+        } else {
+            setFailures(current => current + 1);
+            setLastAttempt(Date.now());
+        }
+    }, [refresh]);
+
+    useEffect(() => {
+        if (nextRefresh === null || nextRefresh === Infinity) return undefined;
+
+        // Function to refresh when due; while hidden or offline the events catch up later
+        const refreshIfDue = () => {
+            if (document.visibilityState !== 'visible' || !navigator.onLine) return;
+            if (Date.now() >= nextRefresh) refreshNow();
+        };
+        const timer = setTimeout(refreshIfDue, Math.max(0, nextRefresh - Date.now()));
+        window.addEventListener('online', refreshIfDue);
+        return () => {
+            clearTimeout(timer);
+            window.removeEventListener('online', refreshIfDue);
+        };
+    }, [nextRefresh, refreshNow]);
+
+    // Returning to the tab refreshes what has become due while it was hidden, and anything no longer recent
+    useEffect(() => {
+        if (lastUpdated === null) return undefined;
+
+        const refreshOnReturn = () => {
+            if (document.visibilityState !== 'visible' || !navigator.onLine) return;
+            const now = Date.now();
+            if (now - lastUpdated >= RETURN_REFRESH_AGE_MS || now >= nextRefresh) refreshNow();
+        };
+        document.addEventListener('visibilitychange', refreshOnReturn);
+        return () => document.removeEventListener('visibilitychange', refreshOnReturn);
+    }, [lastUpdated, nextRefresh, refreshNow]);
+
+    return { refreshing, failures, nextRefresh, refreshNow };
+};
+
+export default useAutoRefresh;
@@ -0,0 +1,26 @@
+import { useMemo } from 'react';
+import { getClimatePeriods } from '../utils/climate';
+import useArchiveDays from './useArchiveDays';
+
+/**
+ * Loads the archived daily summaries of a calendar period in each of the previous years.
+ * The archive is cached per calendar month (see useArchiveDays), so later periods in the same months
+ * and the comparison with previous years reuse what was fetched once.
+ *
+ * @param {number|null} lat
+ * @param {number|null} lon
+ * @param {import('../utils/sources').PinnedStation|null} station Station pinned for the location, if any
+ * @param {string|null} startKey First day of the period ('YYYY-MM-DD' in the location's timezone)
+ * @param {number} dayCount Length of the period in days
+ * @param {string|null} timeZone
+ * @param {boolean} enabled Whether to load at all, set while the climate panel is open
+ * @returns {{ years: Array<{ year: number, days: import('../utils/archiveCache').ArchiveDay[] }>, loading: boolean, error: Error|null }}
+ */
+const useClimateHistory = (lat, lon, station, startKey, dayCount, timeZone, enabled) => {
+    const periods = useMemo(() => (startKey && dayCount > 0 ? getClimatePeriods(startKey, dayCount) : []), [startKey, dayCount]);
+    const { results, loading, error } = useArchiveDays(lat, lon, station, periods, timeZone, enabled);
+    const years = results.map(({ days }, index) => ({ year: periods[index].year, days }));
+    return { years, loading, error };
+};
+
+export default useClimateHistory;
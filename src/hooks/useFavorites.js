@@ -0,0 +1,23 @@
+import { useState, useEffect, useCallback } from 'react';
+import { addFavorite, loadFavorites, moveFavorite, removeFavorite, saveFavorites } from '../utils/favorites';
+
+/**
+ * Saved locations, persisted to localStorage on every change.
+ *
+ * @returns {{ favorites: import('../utils/favorites').Favorite[], add: Function, remove: Function, move: Function }}
+ */
+const useFavorites = () => {
+    const [favorites, setFavorites] = useState(loadFavorites);
+
+    useEffect(() => {
+        saveFavorites(favorites);
+    }, [favorites]);
+
+    const add = useCallback((favorite) => setFavorites(current => addFavorite(current, favorite)), []);
+    const remove = useCallback((id) => setFavorites(current => removeFavorite(current, id)), []);
+    const move = useCallback((id, offset) => setFavorites(current => moveFavorite(current, id, offset)), []);
+
+    return { favorites, add, remove, move };
+};
+
+export default useFavorites;
@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { geocoder } from '../geocoder';
+
+export const MIN_QUERY_LENGTH = 3; // Shorter queries match too much to be useful
+const SUGGESTION_LIMIT = 5;
+const DEBOUNCE_MS = 500;
+// Recent queries kept in memory for the session, so suggestions for them appear without a wait.
+// Correcting a typo or deleting back repeats queries a lot. The geocoder keeps its own persistent cache.
+const MAX_CACHED_QUERIES = 30;
+
+// Results per query, oldest first so the least recently used one is dropped first
+const queryCache = new Map();
+
+// Function to get the cache key of a query: case and extra whitespace do not change the results
+const getCacheKey = (query, language) => `${language || ''}|${query.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+
+// Function to read cached results, marking them as recently used
+const readCache = (key) => {
+    if (!queryCache.has(key)) return null;
+    const results = queryCache.get(key);
+    queryCache.delete(key);
+    queryCache.set(key, results);
+    return results;
+};
+
+/**
+ * Searches places through the geocoder, answering repeated queries from the cache.
+ *
+ * @param {string} query
+ * @param {{ language?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<import('../api/nominatim').LocationResult[]>}
+ */
+export const searchLocations = async (query, { language, signal } = {}) => {
+    const key = getCacheKey(query, language);
+    const cached = readCache(key);
+    if (cached) return cached;
+
+    const results = await geocoder.search(query, { limit: SUGGESTION_LIMIT, language, signal });
+    queryCache.set(key, results);
+    if (queryCache.size > MAX_CACHED_QUERIES) {
+        queryCache.delete(queryCache.keys().next().value);
+    }
+    return results;
+};
+
+/**
+ * Suggestions for the location search as the user types. Queries are debounced, a query that is
+ * replaced by a newer one is cancelled, and cached queries are answered at once.
+ *
+ * @param {string} query Text typed so far; an empty string closes the suggestions
+ * @param {string} language Language of the place names
+ * @returns {{ suggestions: import('../api/nominatim').LocationResult[], loading: boolean, error: Error|null, searched: boolean }}
+ *   `searched` is set once the suggestions belong to the current query, so an empty list means no matches
+ */
+const useLocationSearch = (query, language) => {
+    // Results together with the query they belong to, so results of an older query are never shown as current
+    const [result, setResult] = useState({ key: null, suggestions: [] });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const tooShort = query.trim().length < MIN_QUERY_LENGTH;
+    const key = getCacheKey(query, language);
+
+    useEffect(() => {
+        if (tooShort) {
+            setLoading(false);
+            return undefined;
+        }
+        const cached = readCache(key);
+        if (cached) {
+            setResult({ key, suggestions: cached });
+            setLoading(false);
+            setError(null);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            setLoading(true);
+            try {
+                const suggestions = await searchLocations(query, { language, signal: controller.signal });
+                if (controller.signal.aborted) return;
+                setResult({ key, suggestions });
+                setError(null);
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.error("Error fetching location suggestions:", err);
+                setResult({ key, suggestions: [] });
+                setError(err);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        }, DEBOUNCE_MS);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+        // `key` covers the query and language; the raw query only differs in case and whitespace
+    }, [key, tooShort]);
+
+    const current = !tooShort && result.key === key;
+    return {
+        suggestions: current ? result.suggestions : [],
+        loading: !tooShort && loading,
+        error: current ? error : null,
+        searched: current
+    };
+};
+
+export default useLocationSearch;
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { brightSky } from '../api/brightSky';
+import { groupSourcesByStation } from '../utils/sources';
+
+export const NEARBY_STATIONS_DISTANCE = 50000; // 50 km, Bright Sky's default search radius
+
+/**
+ * Loads the DWD stations around a location, grouped so that each station appears once.
+ * Nothing is requested until `enabled` is set, as the list is only needed for picking a station.
+ *
+ * @param {number|null} lat
+ * @param {number|null} lon
+ * @param {boolean} enabled
+ * @returns {{ stations: ReturnType<typeof groupSourcesByStation>, loading: boolean, error: Error|null }}
+ */
+const useNearbyStations = (lat, lon, enabled) => {
+    const [stations, setStations] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!enabled || lat === null || lat === undefined || lon === null || lon === undefined) {
+            return undefined;
+        }
+        const controller = new AbortController();
+
+        const loadStations = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const data = await brightSky.getSources({ lat, lon, maxDist: NEARBY_STATIONS_DISTANCE }, { signal: controller.signal });
+                if (controller.signal.aborted) return;
+                setStations(groupSourcesByStation(data.sources));
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.error("Error fetching nearby stations:", err);
+                setStations([]);
+                setError(err);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        loadStations();
+        return () => controller.abort();
+    }, [lat, lon, enabled]);
+
+    return { stations, loading, error };
+};
+
+export default useNearbyStations;
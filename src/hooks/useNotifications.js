@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getNewNotifications, loadNotifications, loadRules, saveNotifications, saveRules } from '../utils/notifications';
+
+// Function to get the browser's notification permission, 'unsupported' when there is no Notifications API
+const getPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+// Function to show a system notification. Some mobile browsers only allow this through the service worker.
+const showSystemNotification = async ({ title, body, tag }) => {
+    const options = { body, tag, icon: `${import.meta.env.BASE_URL}icon.svg` };
+    try {
+        new Notification(title, options);
+    } catch {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification(title, options);
+        }
+    }
+};
+
+/**
+ * Notification rules and the in-app notification center, both persisted to localStorage.
+ * `evaluateForecast` is called with every fresh forecast of a saved location; new events are added
+ * to the center and, when the user allowed it, shown as browser notifications.
+ *
+ * @param {(entry: import('../utils/notifications').NotificationEntry) => { title: string, body: string }} describe
+ *   Turns a notification into text in the current language
+ */
+const useNotifications = (describe) => {
+    const [rules, setRules] = useState(loadRules);
+    const [notifications, setNotifications] = useState(loadNotifications);
+    const [permission, setPermission] = useState(getPermission);
+    // Evaluation runs from fetch callbacks, so it reads the latest rules and texts through refs
+    const rulesRef = useRef(rules);
+    const describeRef = useRef(describe);
+    const permissionRef = useRef(permission);
+
+    useEffect(() => {
+        rulesRef.current = rules;
+        saveRules(rules);
+    }, [rules]);
+
+    useEffect(() => {
+        saveNotifications(notifications);
+    }, [notifications]);
+
+    useEffect(() => {
+        describeRef.current = describe;
+        permissionRef.current = permission;
+    }, [describe, permission]);
+
+    const evaluateForecast = useCallback((location, hours, timeZone) => {
+        const entries = getNewNotifications(rulesRef.current, location, hours, { timeZone });
+        if (entries.length === 0) return;
+        setNotifications(current => [...entries, ...current]);
+        if (permissionRef.current === 'granted') {
+            entries.forEach(entry => {
+                showSystemNotification({ ...describeRef.current(entry), tag: entry.id })
+                    .catch(err => console.error("Error showing notification:", err));
+            });
+        }
+    }, []);
+
+    const requestPermission = useCallback(async () => {
+        if (typeof Notification === 'undefined') return;
+        setPermission(await Notification.requestPermission());
+    }, []);
+
+    const addRule = useCallback((rule) => setRules(current => [...current, rule]), []);
+    const updateRule = useCallback((id, changes) => setRules(current => current.map(rule => (rule.id === id ? { ...rule, ...changes } : rule))), []);
+    const removeRule = useCallback((id) => setRules(current => current.filter(rule => rule.id !== id)), []);
+    const markAllRead = useCallback(() => setNotifications(current => current.map(entry => ({ ...entry, read: true }))), []);
+    const clearNotifications = useCallback(() => setNotifications([]), []);
+
+    return {
+        rules,
+        notifications,
+        unreadCount: notifications.filter(entry => !entry.read).length,
+        permission,
+        requestPermission,
+        evaluateForecast,
+        addRule,
+        updateRule,
+        removeRule,
+        markAllRead,
+        clearNotifications
+    };
+};
+
+export default useNotifications;
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * The current time, updated at the start of every minute, so that views depending on
+ * "now" (current hour, past hours) move on while the page stays open.
+ *
+ * @returns {Date}
+ */
+const useNow = () => {
+    const [now, setNow] = useState(() => new Date());
+
+    useEffect(() => {
+        let timer = null;
+        // Function to wait until the next full minute, then update and schedule the following tick
+        const scheduleTick = () => {
+            timer = setTimeout(() => {
+                setNow(new Date());
+                scheduleTick();
+            }, MINUTE_MS - (Date.now() % MINUTE_MS));
+        };
+        scheduleTick();
+        return () => clearTimeout(timer);
+    }, []);
+
+    return now;
+};
+
+export default useNow;
@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Whether the browser currently has a network connection, following the online/offline events.
+ *
+ * @returns {boolean}
+ */
+const useOnlineStatus = () => {
+    const [online, setOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+
+    useEffect(() => {
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    return online;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,23 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadPreferences, savePreferences } from '../utils/preferences';
+
+/**
+ * User preferences, restored from localStorage on startup and saved on every change.
+ *
+ * @returns {{ preferences: import('../utils/preferences').Preferences, updatePreferences: (changes: object) => void }}
+ */
+const usePreferences = () => {
+    const [preferences, setPreferences] = useState(loadPreferences);
+
+    useEffect(() => {
+        savePreferences(preferences);
+    }, [preferences]);
+
+    const updatePreferences = useCallback((changes) => {
+        setPreferences(current => ({ ...current, ...changes }));
+    }, []);
+
+    return { preferences, updatePreferences };
+};
+
+export default usePreferences;
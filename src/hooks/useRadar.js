@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef } from 'react';
+import { brightSky } from '../api/brightSky';
+import { canDecodeCompressedRadar, decodeRadarGrid, gridToPixels } from '../utils/radar';
+
+export const RADAR_DISTANCE_M = 100000; // 100 km around the location, the radar grid has 1 km pixels
+const RADAR_PAST_MS = 2 * 60 * 60 * 1000; // Past two hours of observations
+const RADAR_FUTURE_MS = 2 * 60 * 60 * 1000; // Up to two hours of nowcast
+
+/**
+ * Loads and decodes the Bright Sky radar frames around a location.
+ * Frames are sorted by time; `position` is the location within the grid.
+ * The frames are reloaded whenever `refreshKey` changes; while they reload, the previous frames
+ * of the same location stay shown.
+ *
+ * @param {number|null} lat
+ * @param {number|null} lon
+ * @param {number} [refreshKey] Bumped by the caller to reload, e.g. with every refresh of the forecast
+ * @returns {{ frames: Array<{ timestamp: string, time: number, grid: object, pixels: Uint8ClampedArray }>, position: { x: number, y: number }|null, loading: boolean, error: Error|null }}
+ */
+const useRadar = (lat, lon, refreshKey = 0) => {
+    const [frames, setFrames] = useState([]);
+    const [position, setPosition] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const loadedLocationRef = useRef(null); // Location of the frames shown
+
+    useEffect(() => {
+        if (lat === null || lat === undefined || lon === null || lon === undefined) {
+            setFrames([]);
+            setPosition(null);
+            loadedLocationRef.current = null;
+            return undefined;
+        }
+        const controller = new AbortController();
+        const now = Date.now();
+        const location = `${lat},${lon}`;
+        // Only a new location starts from scratch; a reload keeps the current frames until new ones arrive
+        const reloading = loadedLocationRef.current === location;
+
+        const loadRadar = async () => {
+            if (!reloading) {
+                setFrames([]);
+                setPosition(null);
+                setLoading(true);
+            }
+            setError(null);
+            try {
+                const data = await brightSky.getRadar({
+                    lat,
+                    lon,
+                    distance: RADAR_DISTANCE_M,
+                    date: new Date(now - RADAR_PAST_MS),
+                    lastDate: new Date(now + RADAR_FUTURE_MS),
+                    format: canDecodeCompressedRadar() ? 'compressed' : 'plain'
+                }, { signal: controller.signal });
+
+                const decoded = await Promise.all(data.radar.map(async (record) => {
+                    const grid = await decodeRadarGrid(record.precipitation_5, data.bbox);
+                    return {
+                        timestamp: record.timestamp,
+                        time: new Date(record.timestamp).getTime(),
+                        grid,
+                        pixels: gridToPixels(grid)
+                    };
+                }));
+                if (controller.signal.aborted) return;
+
+                decoded.sort((a, b) => a.time - b.time);
+                setFrames(decoded);
+                setPosition(data.latlon_position);
+                loadedLocationRef.current = location;
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.error("Error fetching radar data:", err);
+                setFrames([]);
+                setPosition(null);
+                loadedLocationRef.current = null;
+                setError(err);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        loadRadar();
+        return () => controller.abort();
+    }, [lat, lon, refreshKey]);
+
+    return { frames, position, loading, error };
+};
+
+export default useRadar;
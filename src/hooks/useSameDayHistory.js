@@ -0,0 +1,35 @@
+import { useMemo } from 'react';
+import { getSameDateInYear } from '../utils/history';
+import useArchiveDays from './useArchiveDays';
+
+export const COMPARISON_YEARS = 5;
+
+/**
+ * Loads the archived weather of the same calendar date in each of the previous years,
+ * from the same monthly archive cache as the climate statistics.
+ * Years without archive data (e.g. before the nearest station started reporting) have `day: null`.
+ *
+ * @param {number|null} lat
+ * @param {number|null} lon
+ * @param {import('../utils/sources').PinnedStation|null} station Station pinned for the location, if any
+ * @param {string|null} dateKey Date to compare ('YYYY-MM-DD' in the location's timezone)
+ * @param {string|null} timeZone
+ * @param {boolean} enabled Whether to load at all, set while the comparison panel is open
+ * @returns {{ days: Array<{ year: number, day: import('../utils/archiveCache').ArchiveDay|null }>, loading: boolean, error: Error|null }}
+ */
+const useSameDayHistory = (lat, lon, station, dateKey, timeZone, enabled) => {
+    const dates = useMemo(() => {
+        if (!dateKey) return [];
+        const currentYear = Number(dateKey.slice(0, 4));
+        return Array.from({ length: COMPARISON_YEARS }, (_, index) => {
+            const year = currentYear - index - 1;
+            const pastDateKey = getSameDateInYear(dateKey, year);
+            return { year, start: pastDateKey, end: pastDateKey };
+        });
+    }, [dateKey]);
+    const { results, loading, error } = useArchiveDays(lat, lon, station, dates, timeZone, enabled);
+    const days = results.map(({ days: [day] }, index) => ({ year: dates[index].year, day: day || null }));
+    return { days, loading, error };
+};
+
+export default useSameDayHistory;
@@ -0,0 +1,135 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ApiErrorCode, isApiError } from '../api/errors';
+import { getForecastRequestDates } from '../utils/dailyForecast';
+import { readCachedForecast, writeCachedForecast } from '../utils/forecastCache';
+import { RETURN_REFRESH_AGE_MS, getNextRefreshTime } from '../utils/refresh';
+import { getForecast } from '../weatherProviders';
+
+/**
+ * The latest forecast of a saved location, as fetched in the background.
+ *
+ * @typedef {object} SavedForecast
+ * @property {string} requestKey Station, provider and timezone the forecast was requested for
+ * @property {object[]|null} weather Hourly records, null while none could be loaded
+ * @property {number|null} fetchedAt Time `weather` was fetched
+ * @property {boolean} stale Whether `weather` is the cached forecast shown while offline
+ * @property {number} failures Failed attempts since the last success
+ * @property {number|null} lastAttempt Time of the last failed attempt
+ */
+
+// Function to describe what a saved location's forecast is requested for; a change fetches it again
+const getRequestKey = (favorite, station, weatherProvider) => [
+    station ? station.dwdStationId || '' : '',
+    station ? station.wmoStationId || '' : '',
+    weatherProvider || '',
+    favorite.timezone || ''
+].join('|');
+
+// Function to get when a saved location is due: right away when it has not been fetched for the current
+// request, otherwise on the auto-refresh schedule with its own backoff (see getNextRefreshTime)
+const getDueTime = (entry, requestKey, intervalMinutes) => {
+    if (!entry || entry.requestKey !== requestKey) return 0;
+    return getNextRefreshTime({
+        lastUpdated: entry.fetchedAt || 0,
+        lastAttempt: entry.lastAttempt,
+        failures: entry.failures,
+        intervalMinutes,
+        stale: entry.stale
+    });
+};
+
+/**
+ * Fetches the forecasts of all saved locations in the background, whatever screen is shown: each one
+ * right after startup (or after being saved) even when auto-refresh is off, then at the auto-refresh interval.
+ * Every location keeps its own schedule, so one that keeps failing is retried with backoff on its own.
+ * Due refreshes wait while the tab is hidden or the browser is offline. Returning to the tab also refreshes
+ * forecasts older than RETURN_REFRESH_AGE_MS.
+ * Fresh forecasts are written to the offline cache and passed to `onForecast` to check the notification rules;
+ * without a connection the cached forecast is used instead.
+ *
+ * @param {import('../utils/favorites').Favorite[]} favorites
+ * @param {object} options
+ * @param {Object<string, import('../utils/sources').PinnedStation>} options.pinnedStations Pinned station per favorite id
+ * @param {string|null} options.weatherProvider Chosen provider id, null picks one by location
+ * @param {number} options.intervalMinutes 0 turns the interval off
+ * @param {(location: { id: string, name: string }, hours: object[], timeZone: string|null) => void} options.onForecast
+ * @returns {Object<string, SavedForecast>} Keyed by favorite id
+ */
+const useSavedForecasts = (favorites, { pinnedStations, weatherProvider, intervalMinutes, onForecast }) => {
+    const [forecasts, setForecasts] = useState({});
+    const pendingRef = useRef(new Set()); // Ids of the locations being fetched
+
+    // Function to fetch one saved location and record the outcome for it alone
+    const fetchForecast = useCallback(async (favorite, station, requestKey) => {
+        pendingRef.current.add(favorite.id);
+        const request = { lat: favorite.lat, lon: favorite.lon, station, ...getForecastRequestDates(new Date(), favorite.timezone), tz: favorite.timezone };
+        try {
+            const data = await getForecast(request, { provider: weatherProvider });
+            const fetchedAt = Date.now();
+            writeCachedForecast(favorite.lat, favorite.lon, data, { fetchedAt });
+            onForecast({ id: favorite.id, name: favorite.name }, data.weather, favorite.timezone);
+            setForecasts(current => ({
+                ...current,
+                [favorite.id]: { requestKey, weather: data.weather, fetchedAt, stale: false, failures: 0, lastAttempt: null }
+            }));
+        } catch (err) {
+            const cached = isApiError(err, ApiErrorCode.NETWORK) ? readCachedForecast(favorite.lat, favorite.lon) : null;
+            if (!cached) console.error(`Error fetching weather for ${favorite.name}:`, err);
+            setForecasts(current => {
+                const previous = current[favorite.id];
+                // Without a connection the cached forecast stands in, otherwise the last one shown is kept
+                const fallback = cached || (previous && previous.weather ? previous : null);
+                return {
+                    ...current,
+                    [favorite.id]: {
+                        requestKey,
+                        weather: fallback ? fallback.weather : null,
+                        fetchedAt: fallback ? fallback.fetchedAt : null,
+                        stale: cached ? true : Boolean(fallback && fallback.stale),
+                        failures: previous && previous.requestKey === requestKey ? previous.failures + 1 : 1,
+                        lastAttempt: Date.now()
+                    }
+                };
+            });
+        } finally {
+            pendingRef.current.delete(favorite.id);
+        }
+    }, [weatherProvider, onForecast]);
+
+    useEffect(() => {
+        const scheduled = favorites.map(favorite => {
+            const station = pinnedStations[favorite.id] || null;
+            const requestKey = getRequestKey(favorite, station, weatherProvider);
+            const entry = forecasts[favorite.id];
+            return { favorite, station, requestKey, entry, due: getDueTime(entry, requestKey, intervalMinutes) };
+        });
+
+        // Function to fetch the locations a test selects, skipping those already being fetched.
+        // While offline only locations without any forecast are tried, so they can fall back to the cache.
+        const fetchWhere = (isSelected) => {
+            if (document.visibilityState !== 'visible') return;
+            scheduled
+                .filter(item => !pendingRef.current.has(item.favorite.id) && (navigator.onLine || !item.entry) && isSelected(item))
+                .forEach(({ favorite, station, requestKey }) => fetchForecast(favorite, station, requestKey));
+        };
+        const fetchDue = () => fetchWhere(({ due }) => Date.now() >= due);
+        // Returning to the tab also refreshes forecasts that are no longer recent
+        const fetchOnReturn = () => fetchWhere(({ due, entry }) => (
+            Date.now() >= due || Date.now() - entry.fetchedAt >= RETURN_REFRESH_AGE_MS
+        ));
+
+        const nextDue = Math.min(...scheduled.map(({ due }) => due));
+        const timer = nextDue === Infinity ? null : setTimeout(fetchDue, Math.max(0, nextDue - Date.now()));
+        window.addEventListener('online', fetchDue);
+        document.addEventListener('visibilitychange', fetchOnReturn);
+        return () => {
+            clearTimeout(timer);
+            window.removeEventListener('online', fetchDue);
+            document.removeEventListener('visibilitychange', fetchOnReturn);
+        };
+    }, [favorites, pinnedStations, weatherProvider, intervalMinutes, forecasts, fetchForecast]);
+
+    return forecasts;
+};
+
+export default useSavedForecasts;
@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+import { createI18n } from './index';
+
+// Translation helpers for the active language, provided by App
+export const I18nContext = createContext(createI18n());
+
+// Hook to access the active translation helpers
+export const useI18n = () => useContext(I18nContext);
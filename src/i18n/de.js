@@ -0,0 +1,362 @@
+// German message catalog. Missing keys fall back to English.
+const de = {
+    'app.title': 'SkyCast',
+
+    'language.label': 'Sprache',
+    'language.auto': 'Automatisch',
+
+    'provider.label': 'Anbieter der Wetterdaten',
+    'provider.auto': 'Anbieter: automatisch',
+
+    'search.placeholder': 'Stadt oder Ort eingeben',
+    'search.inputLabel': 'Ort eingeben',
+    'search.button': 'Wetter abrufen',
+    'search.buttonLabel': 'Wetter suchen',
+    'search.suggestions': 'Vorgeschlagene Orte',
+    'search.loading': 'Suche läuft…',
+    'search.noResults': 'Keine passenden Orte gefunden.',
+    'search.oneResult': '1 Ort gefunden. Mit den Pfeiltasten auswählen.',
+    'search.results': '{count} Orte gefunden. Mit den Pfeiltasten einen auswählen.',
+    'location.change': 'Ort ändern',
+
+    'favorites.title': 'Gespeicherte Orte',
+    'favorites.save': 'Speichern',
+    'favorites.saved': 'Gespeichert',
+    'favorites.cancel': 'Abbrechen',
+    'favorites.nameLabel': 'Name für den gespeicherten Ort',
+    'favorites.edit': 'Bearbeiten',
+    'favorites.done': 'Fertig',
+    'favorites.moveUp': '{name} nach oben verschieben',
+    'favorites.moveDown': '{name} nach unten verschieben',
+    'favorites.delete': '{name} löschen',
+
+    'error.title': 'Fehler!',
+    'errors.suggestions': 'Ortsvorschläge konnten nicht geladen werden: {reason}',
+    'errors.weather': 'Wetterdaten konnten nicht geladen werden: {reason}',
+    'errors.history': 'Vergangene Wetterdaten konnten nicht geladen werden: {reason}',
+    'errors.geolocation': 'Standort konnte nicht bestimmt werden: {reason}',
+    'errors.noSources': 'Für diesen Ort oder Zeitraum sind keine Wetterdaten verfügbar. Bitte versuche einen anderen Ort.',
+    'errors.network': 'Der Dienst ist nicht erreichbar. Bitte prüfe deine Verbindung.',
+    'errors.http': 'Der Dienst hat mit einem Fehler geantwortet ({status}).',
+    'errors.invalidJson': 'Der Dienst hat eine ungültige Antwort geliefert.',
+
+    'current.title': 'Aktuelles Wetter',
+    'current.station': '{station} ({distance} entfernt)',
+    'current.observedJustNow': 'gerade eben gemessen',
+    'current.observedAgo': 'vor {duration} gemessen',
+    'current.forecast': 'Vorhersage für diese Stunde',
+
+    'details.title': 'Details',
+    'details.highLow': 'Max. / Min.:',
+    'details.feelsLike': 'Gefühlt:',
+    'details.dewPoint': 'Taupunkt:',
+    'details.humidity': 'Luftfeuchtigkeit:',
+    'details.wind': 'Wind:',
+    'details.gust': 'Böen: {speed}',
+    'details.pressure': 'Luftdruck:',
+    'details.cloudCover': 'Bewölkung:',
+    'details.visibility': 'Sichtweite:',
+    'details.uvIndex': 'UV-Index:',
+    'details.solar': 'Globalstrahlung:',
+    'details.precipitation10': 'Niederschlag (10 Min.):',
+    'details.sunshine60': 'Sonnenschein (1 Std.):',
+
+    'hourly.title': 'Stündliche Vorhersage',
+    'hourly.view.label': 'Ansicht der stündlichen Vorhersage',
+    'hourly.view.cards': 'Kacheln',
+    'hourly.view.charts': 'Diagramme',
+    'daily.title': 'Tägliche Vorhersage',
+    'daily.precipitation': 'Niederschlag',
+    'daily.maxWind': 'Max. Wind',
+    'daily.maxGust': 'Max. Böe',
+    'daily.windDirection': 'Windrichtung',
+    'daily.humidity': 'Luftfeuchtigkeit',
+    'daily.sunshine': 'Sonnenschein',
+    'daily.cloudCover': 'Mittl. Bewölkung',
+    'daily.uvPeak': 'UV-Maximum',
+    'daily.range': '{min} – {max}',
+    'daily.timeline': 'Stunde für Stunde',
+
+    'charts.label': 'Diagramme der stündlichen Vorhersage. Mit den Pfeiltasten zwischen den Stunden wechseln.',
+    'charts.withUnit': '{label} ({unit})',
+    'charts.temperature': 'Temperatur',
+    'charts.feelsLike': 'Gefühlt',
+    'charts.precipitation': 'Niederschlag',
+    'charts.probability': 'Wahrscheinlichkeit',
+    'charts.wind': 'Wind',
+    'charts.gust': 'Böen',
+    'charts.pressure': 'Luftdruck',
+    'charts.now': 'Jetzt',
+
+    'astronomy.title': 'Sonne & Mond',
+    'astronomy.sunrise': 'Sonnenaufgang',
+    'astronomy.sunset': 'Sonnenuntergang',
+    'astronomy.solarNoon': 'Sonnenhöchststand',
+    'astronomy.dayLength': 'Tageslänge',
+    'astronomy.civilTwilight': 'Bürgerliche Dämmerung',
+    'astronomy.nauticalTwilight': 'Nautische Dämmerung',
+    'astronomy.moon': 'Mond',
+    'astronomy.illumination': '{phase}, {percent} beleuchtet',
+    'astronomy.moonrise': 'Mondaufgang',
+    'astronomy.moonset': 'Monduntergang',
+    'astronomy.range': '{from} – {to}',
+    'astronomy.noEvent': '—',
+    'astronomy.polarDay': 'Polartag',
+    'astronomy.polarNight': 'Polarnacht',
+    'astronomy.moonAlwaysUp': 'Ganztägig sichtbar',
+    'astronomy.moonAlwaysDown': 'Ganztägig unter dem Horizont',
+    'astronomy.night': 'Nacht',
+    'astronomy.phase.new': 'Neumond',
+    'astronomy.phase.waxingCrescent': 'Zunehmende Sichel',
+    'astronomy.phase.firstQuarter': 'Erstes Viertel',
+    'astronomy.phase.waxingGibbous': 'Zunehmender Mond',
+    'astronomy.phase.full': 'Vollmond',
+    'astronomy.phase.waningGibbous': 'Abnehmender Mond',
+    'astronomy.phase.lastQuarter': 'Letztes Viertel',
+    'astronomy.phase.waningCrescent': 'Abnehmende Sichel',
+
+    'uv.title': 'UV & Sonnenstrahlung',
+    'uv.index': 'UV-Index',
+    'uv.peakToday': 'UV-Maximum heute:',
+    'uv.peakAt': 'um {time}',
+    'uv.chartLabel': 'UV-Index und Globalstrahlung für die nächsten 24 Stunden',
+    'uv.legend': 'Balken: UV-Index. Gestrichelte Linie: Globalstrahlung.',
+    'uv.estimatedNote': 'UV-Index aus Sonnenstand und Bewölkung geschätzt.',
+    'uv.category.low': 'Niedrig',
+    'uv.category.moderate': 'Mäßig',
+    'uv.category.high': 'Hoch',
+    'uv.category.veryHigh': 'Sehr hoch',
+    'uv.category.extreme': 'Extrem',
+    'uv.advice.low': 'Kein Schutz erforderlich. Sie können sich gefahrlos draußen aufhalten.',
+    'uv.advice.moderate': 'Schutz erforderlich. Mittags Schatten suchen, schützende Kleidung tragen und Sonnenschutzmittel verwenden.',
+    'uv.advice.high': 'Schutz erforderlich. Mittags Schatten suchen, schützende Kleidung tragen und Sonnenschutzmittel verwenden.',
+    'uv.advice.veryHigh': 'Besonderer Schutz erforderlich. Mittags möglichst nicht draußen aufhalten. Hemd, Sonnenschutzmittel und Hut sind ein Muss.',
+    'uv.advice.extreme': 'Besonderer Schutz erforderlich. Mittags möglichst nicht draußen aufhalten. Hemd, Sonnenschutzmittel und Hut sind ein Muss.',
+
+    'history.open': 'Vergangenes Wetter nachschlagen',
+    'history.from': 'Von',
+    'history.to': 'Bis',
+    'history.show': 'Anzeigen',
+    'history.showingDay': 'Gemessenes Wetter am {date}',
+    'history.showingRange': 'Gemessenes Wetter vom {start} bis {end}',
+    'history.backToForecast': 'Zurück zur Vorhersage',
+    'history.hourlyTitle': 'Stündlicher Verlauf',
+    'history.dailyTitle': 'Täglicher Verlauf',
+    'history.invalid.missing': 'Bitte wähle ein Start- und Enddatum.',
+    'history.invalid.order': 'Das Enddatum darf nicht vor dem Startdatum liegen.',
+    'history.invalid.future': 'Es können nur Tage vor heute nachgeschlagen werden.',
+    'history.invalid.tooLong': 'Bitte wähle höchstens {days} Tage.',
+
+    'comparison.title': 'Heute in den Vorjahren',
+    'comparison.show': 'Mit den Vorjahren vergleichen',
+    'comparison.loading': 'Vorjahre werden geladen…',
+    'comparison.unavailable': 'Für dieses Datum sind keine Archivdaten verfügbar.',
+    'comparison.date': 'Jahr',
+    'comparison.forecast': 'Heute (Vorhersage)',
+    'comparison.high': 'Höchstwert',
+    'comparison.low': 'Tiefstwert',
+    'comparison.precipitation': 'Niederschlag',
+    'comparison.average': 'Mittel aus {years} Jahren',
+    'comparison.anomaly': 'Abweichung',
+
+    'climate.title': 'Klima dieser Woche',
+    'climate.show': 'Klimastatistik anzeigen',
+    'climate.loading': 'Klimastatistik wird geladen…',
+    'climate.unavailable': 'Für die Klimastatistik sind keine Archivdaten verfügbar.',
+    'climate.verdict.muchBelow': 'Diese Woche wird voraussichtlich deutlich kälter als üblich.',
+    'climate.verdict.below': 'Diese Woche wird voraussichtlich kälter als üblich.',
+    'climate.verdict.normal': 'Diese Woche wird voraussichtlich etwa so warm wie üblich.',
+    'climate.verdict.above': 'Diese Woche wird voraussichtlich wärmer als üblich.',
+    'climate.verdict.muchAbove': 'Diese Woche wird voraussichtlich deutlich wärmer als üblich.',
+    'climate.weekAnomaly': 'Mittleres Maximum {difference} gegenüber dem Normalwert.',
+    'climate.wetDaysForecast': 'An {count} von {days} Tagen wird Niederschlag erwartet.',
+    'climate.meanHigh': 'Normales Maximum',
+    'climate.meanLow': 'Normales Minimum',
+    'climate.meanPrecipitation': 'Niederschlag pro Tag',
+    'climate.wetDays': 'Nasse Tage',
+    'climate.recordHigh': 'Rekordhoch',
+    'climate.recordLow': 'Rekordtief',
+    'climate.record': '{value} ({date})',
+    'climate.distributionLabel': 'Vorhergesagte Temperaturen im Vergleich zum Normalbereich',
+    'climate.highRank': 'Maximum über {percent} der Tage',
+    'climate.newRecordHigh': 'Neues Rekordhoch',
+    'climate.newRecordLow': 'Neues Rekordtief',
+    'climate.legend': 'Grauer Bereich: Normalbereich vom mittleren Minimum bis zum mittleren Maximum. Punkte: vorhergesagtes Minimum (blau) und Maximum (rot).',
+    'climate.basis': 'Grundlage: {days} Tage aus demselben Zeitraum in {years} Vorjahren.',
+
+    'sources.title': 'Datenquellen',
+    'sources.pinned': 'Festgelegte Station: {station}',
+    'sources.unpin': 'Nächstgelegene Stationen verwenden',
+    'sources.unnamed': 'Unbenannte Quelle',
+    'sources.dwdId': 'DWD {id}',
+    'sources.wmoId': 'WMO {id}',
+    'sources.distance': '{distance} entfernt',
+    'sources.height': 'Höhe {height}',
+    'sources.sourceId': 'Quelle {id}',
+    'sources.records': '{count} Stundenwerte: {ranges}',
+    'sources.noRecords': 'Ergänzt Werte, die die Hauptquelle nicht meldet.',
+    'sources.choose': 'Station auswählen',
+    'sources.loadingStations': 'Stationen in der Nähe werden geladen…',
+    'sources.stationsError': 'Stationen in der Nähe konnten nicht geladen werden.',
+    'sources.noStations': 'Keine Stationen in der Nähe gefunden.',
+    'sources.pin': 'Festlegen',
+    'sources.isPinned': 'Festgelegt',
+    'sources.type.forecast': 'MOSMIX-Vorhersage',
+    'sources.type.synop': 'SYNOP-Beobachtungen',
+    'sources.type.current': 'aktuelle Beobachtungen',
+    'sources.type.historical': 'historische Beobachtungen',
+    'sources.type.model': 'Modellvorhersage',
+
+    'offline.offline': 'Du bist offline. Die angezeigten Daten sind eventuell nicht aktuell.',
+    'offline.staleSince': 'Veraltet seit {time}.',
+    'offline.cachedForecast': 'Es besteht keine Verbindung, daher wird die zuletzt gespeicherte Vorhersage angezeigt. Sie wird automatisch aktualisiert, sobald du wieder online bist.',
+    'offline.cached': 'Gespeicherte Vorhersage',
+
+    'refresh.lastUpdated': 'Zuletzt aktualisiert {time}',
+    'refresh.refreshing': 'Wird aktualisiert…',
+    'refresh.retrying': 'Aktualisierung fehlgeschlagen, neuer Versuch um {time}',
+    'refresh.now': 'Jetzt aktualisieren',
+    'refresh.interval': 'Automatisch aktualisieren:',
+    'refresh.off': 'Aus',
+    'refresh.every': 'Alle {minutes} Min.',
+
+    'notifications.open': 'Benachrichtigungen ({count} ungelesen)',
+    'notifications.close': 'Benachrichtigungen schließen',
+    'notifications.centerTitle': 'Benachrichtigungen',
+    'notifications.permissionPrompt': 'Browser-Benachrichtigungen erlauben, um auch im Hintergrund informiert zu werden.',
+    'notifications.enable': 'Erlauben',
+    'notifications.inAppOnly': 'Browser-Benachrichtigungen sind blockiert oder werden nicht unterstützt; Benachrichtigungen erscheinen nur hier.',
+    'notifications.empty': 'Noch keine Benachrichtigungen.',
+    'notifications.clear': 'Alle löschen',
+    'notifications.title': 'SkyCast: {location}',
+    'notifications.body': '{metric} {comparison} {threshold} {period} (Vorhersage: {value})',
+    'notifications.rulesTitle': 'Regeln',
+    'notifications.noRules': 'Noch keine Regeln. Regeln werden geprüft, sobald die Vorhersage eines gespeicherten Orts aktualisiert wird.',
+    'notifications.ruleEnabled': 'Regel aktiv',
+    'notifications.deleteRule': 'Regel löschen',
+    'notifications.allLocations': 'Alle gespeicherten Orte',
+    'notifications.removedLocation': 'Entfernter Ort',
+    'notifications.ruleSummary': '{metric} {comparison} {threshold} {period} · {location}',
+    'notifications.field.metric': 'Wert',
+    'notifications.field.comparison': 'Bedingung',
+    'notifications.field.threshold': 'Schwelle ({unit})',
+    'notifications.field.period': 'Wann',
+    'notifications.field.location': 'Ort',
+    'notifications.addRule': 'Regel hinzufügen',
+    'notifications.metric.temperature': 'Temperatur',
+    'notifications.metric.precipitation': 'Niederschlag',
+    'notifications.metric.wind_gust_speed': 'Windböen',
+    'notifications.metric.wind_speed': 'Windgeschwindigkeit',
+    'notifications.comparison.above': 'über',
+    'notifications.comparison.below': 'unter',
+    'notifications.period.tonight': 'heute Nacht',
+    'notifications.period.today': 'heute',
+    'notifications.period.tomorrow': 'morgen',
+    'notifications.period.next24h': 'in den nächsten 24 Stunden',
+
+    'geolocation.useMyLocation': 'Meinen Standort verwenden',
+    'geolocation.locating': 'Standort wird bestimmt…',
+    'geolocation.locateOnStartup': 'Beim Öffnen meinen Standort verwenden',
+    'geolocation.coordinates': 'Position {lat}, {lon}',
+    'geolocation.denied': 'Der Standortzugriff wurde verweigert. Erlaube ihn in den Website-Einstellungen des Browsers, um diese Funktion zu nutzen.',
+    'geolocation.timeout': 'Die Standortbestimmung hat zu lange gedauert. Bitte versuche es erneut.',
+    'geolocation.unavailable': 'Dein Standort ist derzeit nicht verfügbar.',
+    'geolocation.unsupported': 'Dein Browser unterstützt keinen Standortzugriff.',
+
+    'alerts.region': 'Wetterwarnungen',
+    'alerts.fallbackHeadline': 'Wetterwarnung',
+    'alerts.now': 'Jetzt',
+    'alerts.furtherNotice': 'auf Weiteres',
+    'alerts.validity': '{from} – {until}',
+    'alerts.source': 'Amtliche Warnungen des DWD für {name}',
+    'alerts.severity.minor': 'Wetterwarnung',
+    'alerts.severity.moderate': 'Markante Wetterwarnung',
+    'alerts.severity.severe': 'Unwetterwarnung',
+    'alerts.severity.extreme': 'Extreme Unwetterwarnung',
+    'alerts.severity.unknown': 'Warnung',
+
+    'radar.title': 'Niederschlagsradar',
+    'radar.loading': 'Radar wird geladen…',
+    'radar.error': 'Radar konnte nicht geladen werden.',
+    'radar.empty': 'Für diesen Ort sind keine Radardaten verfügbar.',
+    'radar.map': 'Karte des Niederschlagsradars',
+    'radar.play': 'Radaranimation abspielen',
+    'radar.pause': 'Radaranimation anhalten',
+    'radar.time': 'Radarzeit',
+    'radar.forecast': '(Vorhersage)',
+    'radar.rings': 'Ringe alle {distance}',
+
+    'nowcast.dry': 'Kein Regen in den nächsten {horizon} erwartet',
+    'nowcast.nowEnding': '{intensity} Regen, endet in {end}',
+    'nowcast.nowContinuing': '{intensity} Regen, hält länger als {horizon} an',
+    'nowcast.laterEnding': '{intensity} Regen ab in {start}, endet in {end}',
+    'nowcast.laterContinuing': '{intensity} Regen ab in {start}, hält länger als {horizon} an',
+    'nowcast.intensity.light': 'Leichter',
+    'nowcast.intensity.moderate': 'Mäßiger',
+    'nowcast.intensity.heavy': 'Starker',
+    'nowcast.chartLabel': 'Niederschlagsintensität für die nächsten {horizon}',
+    'nowcast.now': 'Jetzt',
+    'nowcast.peak': 'Maximum:',
+
+    'units.customize': 'Einheiten anpassen',
+    'units.custom': 'Eigene Einheiten',
+    'units.preset.metric': 'Metrisch',
+    'units.preset.imperial': 'Imperial',
+    'units.preset.uk': 'UK',
+    'units.quantity.temperature': 'Temperatur',
+    'units.quantity.wind_speed': 'Windgeschwindigkeit',
+    'units.quantity.pressure': 'Luftdruck',
+    'units.quantity.precipitation': 'Niederschlag',
+    'units.quantity.distance': 'Entfernung & Sichtweite',
+    'units.unit.celsius': 'Celsius (°C)',
+    'units.unit.fahrenheit': 'Fahrenheit (°F)',
+    'units.unit.kelvin': 'Kelvin (K)',
+    'units.unit.kmh': 'Kilometer pro Stunde (km/h)',
+    'units.unit.ms': 'Meter pro Sekunde (m/s)',
+    'units.unit.mph': 'Meilen pro Stunde (mph)',
+    'units.unit.kn': 'Knoten (kn)',
+    'units.unit.bft': 'Beaufort (Bft)',
+    'units.unit.hPa': 'Hektopascal (hPa)',
+    'units.unit.inHg': 'Zoll Quecksilbersäule (inHg)',
+    'units.unit.mmHg': 'Millimeter Quecksilbersäule (mmHg)',
+    'units.unit.mm': 'Millimeter (mm)',
+    'units.unit.in': 'Zoll (in)',
+    'units.unit.km': 'Kilometer (km)',
+    'units.unit.mi': 'Meilen (mi)',
+
+    'conditions.clear-day': 'Sonnig',
+    'conditions.clear-night': 'Klar',
+    'conditions.partly-cloudy-day': 'Teilweise bewölkt',
+    'conditions.partly-cloudy-night': 'Teilweise bewölkt',
+    'conditions.cloudy': 'Bewölkt',
+    'conditions.fog': 'Nebel',
+    'conditions.wind': 'Windig',
+    'conditions.rain': 'Regen',
+    'conditions.sleet': 'Schneeregen',
+    'conditions.snow': 'Schnee',
+    'conditions.hail': 'Hagel',
+    'conditions.thunderstorm': 'Gewitter',
+    'conditions.dry': 'Trocken',
+    'conditions.partly-cloudy': 'Teilweise bewölkt',
+
+    'directions.N': 'N',
+    'directions.NE': 'NO',
+    'directions.E': 'O',
+    'directions.SE': 'SO',
+    'directions.S': 'S',
+    'directions.SW': 'SW',
+    'directions.W': 'W',
+    'directions.NW': 'NW',
+
+    'duration.minutes': '{minutes} Min.',
+    'duration.hours': '{hours} Std.',
+    'duration.hoursMinutes': '{hours} Std. {minutes} Min.',
+
+    'common.notAvailable': 'k. A.',
+
+    'footer.dataFrom': 'Daten von',
+    'footer.alertsFrom': 'Warnungen, Radar und vergangenes Wetter von',
+    'footer.geocodingBy': 'Geocoding durch'
+};
+
+export default de;
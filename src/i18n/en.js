@@ -0,0 +1,362 @@
+// English message catalog. Keys are grouped by the part of the UI they belong to.
+const en = {
+    'app.title': 'SkyCast',
+
+    'language.label': 'Language',
+    'language.auto': 'Auto',
+
+    'provider.label': 'Weather data provider',
+    'provider.auto': 'Provider: auto',
+
+    'search.placeholder': 'Enter city or location',
+    'search.inputLabel': 'Location input',
+    'search.button': 'Get Weather',
+    'search.buttonLabel': 'Search weather',
+    'search.suggestions': 'Suggested places',
+    'search.loading': 'Searching…',
+    'search.noResults': 'No matching places found.',
+    'search.oneResult': '1 place found. Use the arrow keys to choose it.',
+    'search.results': '{count} places found. Use the arrow keys to choose one.',
+    'location.change': 'Change Location',
+
+    'favorites.title': 'Saved Locations',
+    'favorites.save': 'Save',
+    'favorites.saved': 'Saved',
+    'favorites.cancel': 'Cancel',
+    'favorites.nameLabel': 'Name for saved location',
+    'favorites.edit': 'Edit',
+    'favorites.done': 'Done',
+    'favorites.moveUp': 'Move {name} up',
+    'favorites.moveDown': 'Move {name} down',
+    'favorites.delete': 'Delete {name}',
+
+    'error.title': 'Error!',
+    'errors.suggestions': 'Failed to get location suggestions: {reason}',
+    'errors.weather': 'Failed to fetch weather data: {reason}',
+    'errors.history': 'Failed to fetch historical weather data: {reason}',
+    'errors.geolocation': 'Could not determine your location: {reason}',
+    'errors.noSources': 'Weather data not available for this location or date range. Please try a different location.',
+    'errors.network': 'The service could not be reached. Please check your connection.',
+    'errors.http': 'The service responded with an error ({status}).',
+    'errors.invalidJson': 'The service returned an invalid response.',
+
+    'current.title': 'Current Weather',
+    'current.station': '{station} ({distance} away)',
+    'current.observedJustNow': 'observed just now',
+    'current.observedAgo': 'observed {duration} ago',
+    'current.forecast': 'Forecast for this hour',
+
+    'details.title': 'Details',
+    'details.highLow': 'High / Low:',
+    'details.feelsLike': 'Feels Like:',
+    'details.dewPoint': 'Dew Point:',
+    'details.humidity': 'Humidity:',
+    'details.wind': 'Wind:',
+    'details.gust': 'G: {speed}',
+    'details.pressure': 'Pressure:',
+    'details.cloudCover': 'Cloud Cover:',
+    'details.visibility': 'Visibility:',
+    'details.uvIndex': 'UV Index:',
+    'details.solar': 'Solar Radiation:',
+    'details.precipitation10': 'Precip. (10 min):',
+    'details.sunshine60': 'Sunshine (1 h):',
+
+    'hourly.title': 'Hourly Forecast',
+    'hourly.view.label': 'Hourly forecast view',
+    'hourly.view.cards': 'Cards',
+    'hourly.view.charts': 'Charts',
+    'daily.title': 'Daily Forecast',
+    'daily.precipitation': 'Precipitation',
+    'daily.maxWind': 'Max. wind',
+    'daily.maxGust': 'Max. gust',
+    'daily.windDirection': 'Wind direction',
+    'daily.humidity': 'Humidity',
+    'daily.sunshine': 'Sunshine',
+    'daily.cloudCover': 'Avg. cloud cover',
+    'daily.uvPeak': 'UV peak',
+    'daily.range': '{min} – {max}',
+    'daily.timeline': 'Hour by hour',
+
+    'charts.label': 'Hourly forecast charts. Use the arrow keys to move between hours.',
+    'charts.withUnit': '{label} ({unit})',
+    'charts.temperature': 'Temperature',
+    'charts.feelsLike': 'Feels like',
+    'charts.precipitation': 'Precipitation',
+    'charts.probability': 'Probability',
+    'charts.wind': 'Wind',
+    'charts.gust': 'Gusts',
+    'charts.pressure': 'Pressure',
+    'charts.now': 'Now',
+
+    'astronomy.title': 'Sun & Moon',
+    'astronomy.sunrise': 'Sunrise',
+    'astronomy.sunset': 'Sunset',
+    'astronomy.solarNoon': 'Solar noon',
+    'astronomy.dayLength': 'Day length',
+    'astronomy.civilTwilight': 'Civil twilight',
+    'astronomy.nauticalTwilight': 'Nautical twilight',
+    'astronomy.moon': 'Moon',
+    'astronomy.illumination': '{phase}, {percent} lit',
+    'astronomy.moonrise': 'Moonrise',
+    'astronomy.moonset': 'Moonset',
+    'astronomy.range': '{from} – {to}',
+    'astronomy.noEvent': '—',
+    'astronomy.polarDay': 'Sun up all day',
+    'astronomy.polarNight': 'Sun down all day',
+    'astronomy.moonAlwaysUp': 'Moon up all day',
+    'astronomy.moonAlwaysDown': 'Moon down all day',
+    'astronomy.night': 'Night',
+    'astronomy.phase.new': 'New moon',
+    'astronomy.phase.waxingCrescent': 'Waxing crescent',
+    'astronomy.phase.firstQuarter': 'First quarter',
+    'astronomy.phase.waxingGibbous': 'Waxing gibbous',
+    'astronomy.phase.full': 'Full moon',
+    'astronomy.phase.waningGibbous': 'Waning gibbous',
+    'astronomy.phase.lastQuarter': 'Last quarter',
+    'astronomy.phase.waningCrescent': 'Waning crescent',
+
+    'uv.title': 'UV & Solar Radiation',
+    'uv.index': 'UV index',
+    'uv.peakToday': 'Today\'s UV peak:',
+    'uv.peakAt': 'at {time}',
+    'uv.chartLabel': 'UV index and solar radiation for the next 24 hours',
+    'uv.legend': 'Bars: UV index. Dashed line: solar radiation.',
+    'uv.estimatedNote': 'UV index estimated from the sun\'s elevation and cloud cover.',
+    'uv.category.low': 'Low',
+    'uv.category.moderate': 'Moderate',
+    'uv.category.high': 'High',
+    'uv.category.veryHigh': 'Very high',
+    'uv.category.extreme': 'Extreme',
+    'uv.advice.low': 'No protection needed. You can safely stay outside.',
+    'uv.advice.moderate': 'Protection needed. Seek shade during midday hours, cover up and wear sunscreen.',
+    'uv.advice.high': 'Protection needed. Seek shade during midday hours, cover up and wear sunscreen.',
+    'uv.advice.veryHigh': 'Extra protection needed. Avoid being outside during midday hours. Shirt, sunscreen and hat are a must.',
+    'uv.advice.extreme': 'Extra protection needed. Avoid being outside during midday hours. Shirt, sunscreen and hat are a must.',
+
+    'history.open': 'Look up past weather',
+    'history.from': 'From',
+    'history.to': 'To',
+    'history.show': 'Show',
+    'history.showingDay': 'Showing recorded weather for {date}',
+    'history.showingRange': 'Showing recorded weather from {start} to {end}',
+    'history.backToForecast': 'Back to forecast',
+    'history.hourlyTitle': 'Hourly Record',
+    'history.dailyTitle': 'Daily Record',
+    'history.invalid.missing': 'Please pick a start and end date.',
+    'history.invalid.order': 'The end date must not be before the start date.',
+    'history.invalid.future': 'Only dates before today can be looked up.',
+    'history.invalid.tooLong': 'Please pick at most {days} days.',
+
+    'comparison.title': 'Today in Previous Years',
+    'comparison.show': 'Compare with previous years',
+    'comparison.loading': 'Loading previous years…',
+    'comparison.unavailable': 'No archived data available for this date.',
+    'comparison.date': 'Year',
+    'comparison.forecast': 'Today (forecast)',
+    'comparison.high': 'High',
+    'comparison.low': 'Low',
+    'comparison.precipitation': 'Precipitation',
+    'comparison.average': 'Average of {years} years',
+    'comparison.anomaly': 'Difference',
+
+    'climate.title': 'Climate for This Week',
+    'climate.show': 'Show climate statistics',
+    'climate.loading': 'Loading climate statistics…',
+    'climate.unavailable': 'No archived data available for climate statistics.',
+    'climate.verdict.muchBelow': 'This week is forecast to be much colder than usual.',
+    'climate.verdict.below': 'This week is forecast to be colder than usual.',
+    'climate.verdict.normal': 'This week is forecast to be about as warm as usual.',
+    'climate.verdict.above': 'This week is forecast to be warmer than usual.',
+    'climate.verdict.muchAbove': 'This week is forecast to be much warmer than usual.',
+    'climate.weekAnomaly': 'Mean high {difference} compared with normal.',
+    'climate.wetDaysForecast': '{count} of {days} days are forecast to be wet.',
+    'climate.meanHigh': 'Normal high',
+    'climate.meanLow': 'Normal low',
+    'climate.meanPrecipitation': 'Precipitation per day',
+    'climate.wetDays': 'Wet days',
+    'climate.recordHigh': 'Record high',
+    'climate.recordLow': 'Record low',
+    'climate.record': '{value} ({date})',
+    'climate.distributionLabel': 'Forecast temperatures compared with the normal range',
+    'climate.highRank': 'High above {percent} of days',
+    'climate.newRecordHigh': 'New record high',
+    'climate.newRecordLow': 'New record low',
+    'climate.legend': 'Grey band: normal range from mean low to mean high. Dots: forecast low (blue) and high (red).',
+    'climate.basis': 'Based on {days} days from the same period in {years} previous years.',
+
+    'sources.title': 'Data Sources',
+    'sources.pinned': 'Pinned station: {station}',
+    'sources.unpin': 'Use nearest stations',
+    'sources.unnamed': 'Unnamed source',
+    'sources.dwdId': 'DWD {id}',
+    'sources.wmoId': 'WMO {id}',
+    'sources.distance': '{distance} away',
+    'sources.height': 'height {height}',
+    'sources.sourceId': 'source {id}',
+    'sources.records': '{count} hourly records: {ranges}',
+    'sources.noRecords': 'Fills in values the main source does not report.',
+    'sources.choose': 'Choose a station',
+    'sources.loadingStations': 'Loading nearby stations…',
+    'sources.stationsError': 'Failed to load nearby stations.',
+    'sources.noStations': 'No stations found nearby.',
+    'sources.pin': 'Pin',
+    'sources.isPinned': 'Pinned',
+    'sources.type.forecast': 'MOSMIX forecast',
+    'sources.type.synop': 'SYNOP observations',
+    'sources.type.current': 'current observations',
+    'sources.type.historical': 'historical observations',
+    'sources.type.model': 'model forecast',
+
+    'offline.offline': 'You are offline. The data shown may be out of date.',
+    'offline.staleSince': 'Stale since {time}.',
+    'offline.cachedForecast': 'There is no connection, so the last saved forecast is shown. It refreshes automatically once you are back online.',
+    'offline.cached': 'Cached forecast',
+
+    'refresh.lastUpdated': 'Last updated {time}',
+    'refresh.refreshing': 'Updating…',
+    'refresh.retrying': 'Update failed, retrying at {time}',
+    'refresh.now': 'Refresh now',
+    'refresh.interval': 'Auto-refresh:',
+    'refresh.off': 'Off',
+    'refresh.every': 'Every {minutes} min',
+
+    'notifications.open': 'Notifications ({count} unread)',
+    'notifications.close': 'Close notifications',
+    'notifications.centerTitle': 'Notifications',
+    'notifications.permissionPrompt': 'Allow browser notifications to be alerted while SkyCast is in the background.',
+    'notifications.enable': 'Enable',
+    'notifications.inAppOnly': 'Browser notifications are blocked or not supported; notifications only appear here.',
+    'notifications.empty': 'No notifications yet.',
+    'notifications.clear': 'Clear all',
+    'notifications.title': 'SkyCast: {location}',
+    'notifications.body': '{metric} {comparison} {threshold} {period} (forecast: {value})',
+    'notifications.rulesTitle': 'Rules',
+    'notifications.noRules': 'No rules yet. Rules are checked whenever the forecast of a saved location is updated.',
+    'notifications.ruleEnabled': 'Rule enabled',
+    'notifications.deleteRule': 'Delete rule',
+    'notifications.allLocations': 'All saved locations',
+    'notifications.removedLocation': 'Removed location',
+    'notifications.ruleSummary': '{metric} {comparison} {threshold} {period} · {location}',
+    'notifications.field.metric': 'Value',
+    'notifications.field.comparison': 'Condition',
+    'notifications.field.threshold': 'Threshold ({unit})',
+    'notifications.field.period': 'When',
+    'notifications.field.location': 'Location',
+    'notifications.addRule': 'Add rule',
+    'notifications.metric.temperature': 'Temperature',
+    'notifications.metric.precipitation': 'Precipitation',
+    'notifications.metric.wind_gust_speed': 'Wind gusts',
+    'notifications.metric.wind_speed': 'Wind speed',
+    'notifications.comparison.above': 'above',
+    'notifications.comparison.below': 'below',
+    'notifications.period.tonight': 'tonight',
+    'notifications.period.today': 'today',
+    'notifications.period.tomorrow': 'tomorrow',
+    'notifications.period.next24h': 'in the next 24 hours',
+
+    'geolocation.useMyLocation': 'Use my location',
+    'geolocation.locating': 'Locating…',
+    'geolocation.locateOnStartup': 'Use my location when the app opens',
+    'geolocation.coordinates': 'Position {lat}, {lon}',
+    'geolocation.denied': 'Location access was denied. Allow it in your browser\'s site settings to use this feature.',
+    'geolocation.timeout': 'Locating took too long. Please try again.',
+    'geolocation.unavailable': 'Your position is currently unavailable.',
+    'geolocation.unsupported': 'Your browser does not support location access.',
+
+    'alerts.region': 'Weather warnings',
+    'alerts.fallbackHeadline': 'Weather warning',
+    'alerts.now': 'Now',
+    'alerts.furtherNotice': 'further notice',
+    'alerts.validity': '{from} – {until}',
+    'alerts.source': 'Official warnings from DWD for {name}',
+    'alerts.severity.minor': 'Minor',
+    'alerts.severity.moderate': 'Moderate',
+    'alerts.severity.severe': 'Severe',
+    'alerts.severity.extreme': 'Extreme',
+    'alerts.severity.unknown': 'Warning',
+
+    'radar.title': 'Precipitation Radar',
+    'radar.loading': 'Loading radar…',
+    'radar.error': 'Failed to load radar.',
+    'radar.empty': 'No radar data available for this location.',
+    'radar.map': 'Precipitation radar map',
+    'radar.play': 'Play radar animation',
+    'radar.pause': 'Pause radar animation',
+    'radar.time': 'Radar time',
+    'radar.forecast': '(forecast)',
+    'radar.rings': 'Rings every {distance}',
+
+    'nowcast.dry': 'No rain expected for the next {horizon}',
+    'nowcast.nowEnding': '{intensity} rain now, ending in {end}',
+    'nowcast.nowContinuing': '{intensity} rain now, continuing beyond {horizon}',
+    'nowcast.laterEnding': '{intensity} rain starting in {start}, ending in {end}',
+    'nowcast.laterContinuing': '{intensity} rain starting in {start}, continuing beyond {horizon}',
+    'nowcast.intensity.light': 'Light',
+    'nowcast.intensity.moderate': 'Moderate',
+    'nowcast.intensity.heavy': 'Heavy',
+    'nowcast.chartLabel': 'Precipitation intensity for the next {horizon}',
+    'nowcast.now': 'Now',
+    'nowcast.peak': 'Peak:',
+
+    'units.customize': 'Customize units',
+    'units.custom': 'Custom units',
+    'units.preset.metric': 'Metric',
+    'units.preset.imperial': 'Imperial',
+    'units.preset.uk': 'UK',
+    'units.quantity.temperature': 'Temperature',
+    'units.quantity.wind_speed': 'Wind speed',
+    'units.quantity.pressure': 'Pressure',
+    'units.quantity.precipitation': 'Precipitation',
+    'units.quantity.distance': 'Distance & visibility',
+    'units.unit.celsius': 'Celsius (°C)',
+    'units.unit.fahrenheit': 'Fahrenheit (°F)',
+    'units.unit.kelvin': 'Kelvin (K)',
+    'units.unit.kmh': 'Kilometers per hour (km/h)',
+    'units.unit.ms': 'Meters per second (m/s)',
+    'units.unit.mph': 'Miles per hour (mph)',
+    'units.unit.kn': 'Knots (kn)',
+    'units.unit.bft': 'Beaufort (Bft)',
+    'units.unit.hPa': 'Hectopascals (hPa)',
+    'units.unit.inHg': 'Inches of mercury (inHg)',
+    'units.unit.mmHg': 'Millimeters of mercury (mmHg)',
+    'units.unit.mm': 'Millimeters (mm)',
+    'units.unit.in': 'Inches (in)',
+    'units.unit.km': 'Kilometers (km)',
+    'units.unit.mi': 'Miles (mi)',
+
+    'conditions.clear-day': 'Sunny',
+    'conditions.clear-night': 'Clear',
+    'conditions.partly-cloudy-day': 'Partly Cloudy',
+    'conditions.partly-cloudy-night': 'Partly Cloudy',
+    'conditions.cloudy': 'Cloudy',
+    'conditions.fog': 'Foggy',
+    'conditions.wind': 'Windy',
+    'conditions.rain': 'Rainy',
+    'conditions.sleet': 'Sleety',
+    'conditions.snow': 'Snowy',
+    'conditions.hail': 'Hail',
+    'conditions.thunderstorm': 'Thunderstorm',
+    'conditions.dry': 'Dry',
+    'conditions.partly-cloudy': 'Partly Cloudy',
+
+    'directions.N': 'N',
+    'directions.NE': 'NE',
+    'directions.E': 'E',
+    'directions.SE': 'SE',
+    'directions.S': 'S',
+    'directions.SW': 'SW',
+    'directions.W': 'W',
+    'directions.NW': 'NW',
+
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h',
+    'duration.hoursMinutes': '{hours} h {minutes} min',
+
+    'common.notAvailable': 'N/A',
+
+    'footer.dataFrom': 'Data from',
+    'footer.alertsFrom': 'Warnings, radar and past weather from',
+    'footer.geocodingBy': 'Geocoding by'
+};
+
+export default en;
@@ -0,0 +1,67 @@
+import en from './en';
+import de from './de';
+
+// Supported UI languages with their catalogs and the locale used when the browser's locale does not match
+export const LANGUAGES = {
+    en: { label: 'English', messages: en, defaultLocale: 'en-US' },
+    de: { label: 'Deutsch', messages: de, defaultLocale: 'de-DE' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Function to get the browser's preferred locales, most preferred first
+const getBrowserLocales = () => {
+    if (typeof navigator === 'undefined') return [];
+    if (navigator.languages && navigator.languages.length > 0) return navigator.languages;
+    return navigator.language ? [navigator.language] : [];
+};
+
+// Function to pick the first supported language from the browser's preferences
+export const detectLanguage = (locales = getBrowserLocales()) => {
+    const match = locales
+        .map(locale => locale.split('-')[0].toLowerCase())
+        .find(language => LANGUAGES[language]);
+    return match || DEFAULT_LANGUAGE;
+};
+
+// Function to choose the locale for number/date formatting: the browser's own locale if it is a
+// variant of the language (so en-GB users keep British dates), the language default otherwise
+const resolveLocale = (language) => {
+    const browserLocale = getBrowserLocales().find(locale => locale.split('-')[0].toLowerCase() === language);
+    return browserLocale || LANGUAGES[language].defaultLocale;
+};
+
+// Function to replace {placeholders} in a message
+const interpolate = (message, params) => {
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+/**
+ * Creates the translation helpers for a language.
+ *
+ * @param {string|null} language Language code, or null to detect it from the browser
+ * @returns {{ language: string, locale: string, t: Function, formatDate: Function, formatDuration: Function }}
+ */
+export const createI18n = (language = null) => {
+    const resolvedLanguage = language && LANGUAGES[language] ? language : detectLanguage();
+    const { messages } = LANGUAGES[resolvedLanguage];
+    const locale = resolveLocale(resolvedLanguage);
+
+    // Function to translate a key, falling back to English and finally to the key itself
+    const t = (key, params) => interpolate(messages[key] ?? en[key] ?? key, params);
+
+    // Function to format a date/time with Intl options in the active locale
+    const formatDate = (date, options) => new Intl.DateTimeFormat(locale, options).format(date instanceof Date ? date : new Date(date));
+
+    // Function to format a duration in minutes ("15 min", "1 h 20 min")
+    const formatDuration = (totalMinutes) => {
+        const rounded = Math.round(totalMinutes);
+        if (rounded < 60) return t('duration.minutes', { minutes: rounded });
+        const hours = Math.floor(rounded / 60);
+        const minutes = rounded % 60;
+        return minutes === 0 ? t('duration.hours', { hours }) : t('duration.hoursMinutes', { hours, minutes });
+    };
+
+    return { language: resolvedLanguage, locale, t, formatDate, formatDuration };
+};
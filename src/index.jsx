@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css'; // Import the main CSS file
 import App from './App.jsx'; // Import your App component
 import reportWebVitals from './reportWebVitals';
+import registerServiceWorker from './registerServiceWorker';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -15,3 +16,6 @@ root.render(
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
 reportWebVitals();
+
+// Cache the app shell so the app opens without a network connection
+registerServiceWorker();
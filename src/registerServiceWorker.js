@@ -0,0 +1,13 @@
+// Registers the service worker in public/sw.js, which makes the app shell available offline.
+// Only production builds register it: in development it would serve stale modules.
+const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`, { scope: import.meta.env.BASE_URL })
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+};
+
+export default registerServiceWorker;
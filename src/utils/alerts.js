@@ -0,0 +1,82 @@
+// Severity levels used by DWD warnings, from least to most severe
+export const ALERT_SEVERITIES = ['minor', 'moderate', 'severe', 'extreme'];
+
+// Tailwind classes per severity, following the DWD warning colors (yellow, orange, red, dark red/purple)
+export const alertSeverityStyles = {
+    minor: {
+        banner: 'bg-yellow-100 border-yellow-400 text-yellow-900',
+        icon: 'text-yellow-500',
+        ring: 'ring-yellow-400'
+    },
+    moderate: {
+        banner: 'bg-orange-100 border-orange-400 text-orange-900',
+        icon: 'text-orange-500',
+        ring: 'ring-orange-400'
+    },
+    severe: {
+        banner: 'bg-red-100 border-red-500 text-red-900',
+        icon: 'text-red-600',
+        ring: 'ring-red-500'
+    },
+    extreme: {
+        banner: 'bg-purple-200 border-purple-700 text-purple-950',
+        icon: 'text-purple-700',
+        ring: 'ring-purple-700'
+    }
+};
+
+// Function to get a text field of an alert ('headline', 'description', 'instruction', 'event')
+// in the given language, falling back to English
+export const getAlertText = (alert, field, language) => {
+    return alert[`${field}_${language}`] || alert[`${field}_en`] || null;
+};
+
+// Function to get the style bundle for a severity, defaulting to 'minor' for unknown values
+export const getAlertSeverityStyle = (severity) => {
+    return alertSeverityStyles[severity] || alertSeverityStyles.minor;
+};
+
+// Function to rank a severity so alerts can be compared (-1 for unknown)
+const getSeverityRank = (severity) => ALERT_SEVERITIES.indexOf(severity);
+
+// Function to get the validity window of an alert in milliseconds.
+// A missing onset means "already in effect", a missing expiry means "until further notice".
+export const getAlertInterval = (alert) => {
+    const startSource = alert.onset || alert.effective;
+    return {
+        start: startSource ? new Date(startSource).getTime() : -Infinity,
+        end: alert.expires ? new Date(alert.expires).getTime() : Infinity
+    };
+};
+
+// Function to drop alerts that have already expired and sort the rest by severity, then onset
+export const getActiveAlerts = (alerts, now = new Date()) => {
+    if (!alerts) return [];
+    return alerts
+        .filter(alert => getAlertInterval(alert).end > now.getTime())
+        .sort((a, b) => {
+            const rankDiff = getSeverityRank(b.severity) - getSeverityRank(a.severity);
+            if (rankDiff !== 0) return rankDiff;
+            // Compared rather than subtracted: two alerts already in effect both start at -Infinity
+            const startA = getAlertInterval(a).start;
+            const startB = getAlertInterval(b).start;
+            return startA < startB ? -1 : startA > startB ? 1 : 0;
+        });
+};
+
+// Function to get all alerts overlapping the half-open time range [start, end)
+export const getAlertsInRange = (alerts, start, end) => {
+    if (!alerts || alerts.length === 0) return [];
+    const startMs = start instanceof Date ? start.getTime() : start;
+    const endMs = end instanceof Date ? end.getTime() : end;
+    return alerts.filter(alert => {
+        const interval = getAlertInterval(alert);
+        return interval.start < endMs && interval.end > startMs;
+    });
+};
+
+// Function to pick the most severe alert of a list (null if the list is empty)
+export const getMostSevereAlert = (alerts) => {
+    if (!alerts || alerts.length === 0) return null;
+    return alerts.reduce((worst, alert) => (getSeverityRank(alert.severity) > getSeverityRank(worst.severity) ? alert : worst));
+};
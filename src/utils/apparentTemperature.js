@@ -0,0 +1,77 @@
+// Function to calculate relative humidity from temperature (K) and dew point (K)
+export const calculateRelativeHumidity = (temperatureK, dewPointK) => {
+    if (temperatureK === null || dewPointK === null || temperatureK === undefined || dewPointK === undefined) {
+        return null;
+    }
+
+    // Convert Kelvin to Celsius for the formula
+    const T = temperatureK - 273.15; // Temperature in Celsius
+    const Td = dewPointK - 273.15; // Dew point in Celsius
+
+    // Magnus formula constants (for temperature in Celsius)
+    const A = 17.62;
+    const B = 243.12;
+
+    // Calculate saturation vapor pressure at temperature T
+    const es = 6.112 * Math.exp((A * T) / (B + T));
+    // Calculate actual vapor pressure at dew point Td
+    const ea = 6.112 * Math.exp((A * Td) / (B + Td));
+
+    // Calculate relative humidity
+    const rh = (ea / es) * 100;
+
+    // Ensure RH is within a valid range [0, 100]
+    return Math.min(100, Math.max(0, rh));
+};
+
+// Function to calculate apparent temperature (Heat Index or Wind Chill)
+// Based on common approximations. Requires Kelvin for temp, percentage for humidity, m/s for wind_speed.
+export const calculateApparentTemperature = (temperatureK, humidityFromAPI, windSpeedMs, dewPointK) => {
+    if (temperatureK === null || temperatureK === undefined) return null;
+
+    let actualHumidity = humidityFromAPI;
+    // If humidity is not provided by API, try to calculate it from dewPointK
+    if ((actualHumidity === null || actualHumidity === undefined || isNaN(actualHumidity)) && dewPointK !== null && dewPointK !== undefined) {
+        actualHumidity = calculateRelativeHumidity(temperatureK, dewPointK);
+    }
+
+    // If humidity is still not available or invalid, or windSpeed is invalid, return null
+    if (actualHumidity === null || actualHumidity === undefined || isNaN(actualHumidity) ||
+        windSpeedMs === null || windSpeedMs === undefined || isNaN(windSpeedMs)) {
+        return null;
+    }
+
+    const T_c = temperatureK - 273.15; // Convert Kelvin to Celsius
+
+    // Wind Chill (for cold temperatures and wind)
+    // Formula valid for T_c <= 10°C and windSpeedMs >= 1.3 m/s
+    if (T_c <= 10 && windSpeedMs >= 1.3) {
+        const V_kmh = windSpeedMs * 3.6; // Convert m/s to km/h for the formula
+        const windChill_c = 13.12 + (0.6215 * T_c) - (11.37 * Math.pow(V_kmh, 0.16)) + (0.3965 * T_c * Math.pow(V_kmh, 0.16));
+        return windChill_c + 273.15; // Convert back to Kelvin for consistency before formatting
+    }
+
+    // Heat Index (for warm temperatures and humidity)
+    // Steadman (1984) formula, simplified for Celsius
+    // Valid for T_c >= 20°C and RH >= 40% (approx)
+    if (T_c >= 20 && actualHumidity !== null) {
+        const T_f = (T_c * 9/5) + 32; // Convert Celsius to Fahrenheit for heat index formula
+        const RH = actualHumidity;
+
+        // NOAA Heat Index formula (in Fahrenheit)
+        let heatIndex_f = -42.379 + 2.04901523 * T_f + 10.14333127 * RH - 0.22475541 * T_f * RH - 0.00683783 * T_f * T_f - 0.05481717 * RH * RH + 0.00122874 * T_f * T_f * RH + 0.00085252 * T_f * RH * RH - 0.00000199 * T_f * T_f * RH * RH;
+
+        // Adjustments for very low/high humidity (simplified)
+        if (RH < 13 && T_f >= 80 && T_f <= 112) {
+            heatIndex_f -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T_f - 95)) / 17);
+        } else if (RH > 85 && T_f >= 80 && T_f <= 87) {
+            heatIndex_f += ((RH - 85) / 10) * ((87 - T_f) / 5);
+        }
+
+        const heatIndex_c = (heatIndex_f - 32) * 5/9; // Convert back to Celsius
+        return heatIndex_c + 273.15; // Convert back to Kelvin
+    }
+
+    // If neither wind chill nor heat index conditions are met, apparent temperature is just the air temperature
+    return temperatureK;
+};
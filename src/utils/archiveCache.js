@@ -0,0 +1,92 @@
+import { addDays } from './history';
+
+const ARCHIVE_STORAGE_KEY = 'skycast.archive';
+
+// Oldest chunks are dropped beyond this, to stay well within the localStorage quota
+export const MAX_ARCHIVE_CHUNKS = 200;
+
+/**
+ * Daily summary of archived observations, the part of a DailyForecast the comparison and the climate statistics need.
+ * Values are in the raw Bright Sky units (Kelvin, mm).
+ *
+ * @typedef {object} ArchiveDay
+ * @property {string} dateKey
+ * @property {number|null} maxTemp
+ * @property {number|null} minTemp
+ * @property {number} totalPrecipitation
+ */
+
+// Function to name the pinned station a chunk was fetched from, 'none' for the stations nearest to the location
+const getStationKey = (station) => {
+    if (station && station.dwdStationId) return `dwd:${station.dwdStationId}`;
+    if (station && station.wmoStationId) return `wmo:${station.wmoStationId}`;
+    return 'none';
+};
+
+// Function to build the cache key of an archive chunk, which holds one calendar month ('YYYY-MM') of a location.
+// Fixed months let every view that needs a day of that month reuse the chunk, whatever range it asks for.
+// Coordinates are rounded to about 1 km, which is much finer than the station network Bright Sky picks from.
+// A pinned station delivers other records than the nearest ones, so it gets chunks of its own.
+export const getArchiveChunkKey = ({ lat, lon, station = null, month, timeZone }) => (
+    `${lat.toFixed(2)},${lon.toFixed(2)}|${getStationKey(station)}|${timeZone || ''}|${month}`
+);
+
+// Function to get the first and last day ('YYYY-MM-DD', inclusive) of a month ('YYYY-MM')
+export const getMonthRange = (month) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const next = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+    return { start: `${month}-01`, end: addDays(`${next}-01`, -1) };
+};
+
+// Function to list the months ('YYYY-MM') a date range touches, in order; `end` is inclusive
+export const getMonthsInRange = (start, end) => {
+    const months = [];
+    let month = start.slice(0, 7);
+    while (month <= end.slice(0, 7)) {
+        months.push(month);
+        month = addDays(getMonthRange(month).end, 1).slice(0, 7);
+    }
+    return months;
+};
+
+// Function to read all cached chunks from localStorage, ignoring corrupt data
+const loadChunks = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ARCHIVE_STORAGE_KEY));
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (err) {
+        console.error("Error reading cached archive data:", err);
+        return {};
+    }
+};
+
+// Function to get the cached days of a chunk, or null when the chunk has not been fetched yet
+export const readArchiveChunk = (key) => {
+    const chunk = loadChunks()[key];
+    return chunk && Array.isArray(chunk.days) ? chunk.days : null;
+};
+
+// Function to cache the days of a chunk. Archived observations do not change, so chunks never expire;
+// only months that are over may be cached.
+export const writeArchiveChunk = (key, days) => {
+    const chunks = { ...loadChunks(), [key]: { storedAt: Date.now(), days } };
+    const keys = Object.keys(chunks);
+    if (keys.length > MAX_ARCHIVE_CHUNKS) {
+        keys.sort((a, b) => chunks[a].storedAt - chunks[b].storedAt)
+            .slice(0, keys.length - MAX_ARCHIVE_CHUNKS)
+            .forEach(oldKey => delete chunks[oldKey]);
+    }
+    try {
+        localStorage.setItem(ARCHIVE_STORAGE_KEY, JSON.stringify(chunks));
+    } catch (err) {
+        console.error("Error caching archive data:", err);
+    }
+};
+
+// Function to reduce a day of archived hourly records to what is cached
+export const toArchiveDay = (day) => ({
+    dateKey: day.dateKey,
+    maxTemp: day.maxTemp,
+    minTemp: day.minTemp,
+    totalPrecipitation: day.totalPrecipitation
+});
@@ -0,0 +1,292 @@
+// Sun and moon positions, rise/set times and moon phase, computed locally from latitude, longitude and time.
+// The position, rise/set and moon calculations are adapted from SunCalc 1.9 (https://github.com/mourner/suncalc),
+// which uses the low-precision formulas from Jean Meeus' "Astronomical Algorithms" and the astronomy answers
+// at aa.quae.nl. They are accurate to about a minute for rise/set times, which is plenty for display.
+//
+// SunCalc is distributed under the following license:
+//
+// Copyright (c) 2014, Vladimir Agafonkin
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without modification, are
+// permitted provided that the following conditions are met:
+//
+//    1. Redistributions of source code must retain the above copyright notice, this list of
+//       conditions and the following disclaimer.
+//
+//    2. Redistributions in binary form must reproduce the above copyright notice, this list
+//       of conditions and the following disclaimer in the documentation and/or other materials
+//       provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY
+// EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE
+// COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL,
+// EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+// SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION)
+// HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+// TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397; // Obliquity of the ecliptic
+
+// Sun altitudes (degrees) that define the events of a day. Sunrise/sunset account for refraction and the sun's radius.
+export const SUN_ALTITUDES = {
+    sunrise: -0.833,
+    civil: -6,
+    nautical: -12
+};
+
+// Moon phases in order, each covering an eighth of the lunar cycle (labels under 'astronomy.phase.*')
+export const MOON_PHASES = [
+    'new',
+    'waxingCrescent',
+    'firstQuarter',
+    'waxingGibbous',
+    'full',
+    'waningGibbous',
+    'lastQuarter',
+    'waningCrescent'
+];
+
+// Date conversions
+const toJulian = (date) => date.valueOf() / DAY_MS - 0.5 + J1970;
+const fromJulian = (julian) => new Date((julian + 0.5 - J1970) * DAY_MS);
+const toDays = (date) => toJulian(date) - J2000;
+
+// General calculations for positions
+const rightAscension = (l, b) => Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+const declination = (l, b) => Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+const azimuth = (H, phi, dec) => Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi));
+const altitude = (H, phi, dec) => Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+const siderealTime = (d, lw) => RAD * (280.16 + 360.9856235 * d) - lw;
+
+// Function to approximate atmospheric refraction (radians) for an altitude above the horizon
+const astroRefraction = (h) => {
+    const clamped = Math.max(0, h);
+    return 0.0002967 / Math.tan(clamped + 0.00312536 / (clamped + 0.08901179));
+};
+
+// General sun calculations
+const solarMeanAnomaly = (d) => RAD * (357.5291 + 0.98560028 * d);
+
+const eclipticLongitude = (M) => {
+    const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    const perihelion = RAD * 102.9372;
+    return M + center + perihelion + Math.PI;
+};
+
+const sunCoords = (d) => {
+    const L = eclipticLongitude(solarMeanAnomaly(d));
+    return { dec: declination(L, 0), ra: rightAscension(L, 0) };
+};
+
+/**
+ * Computes the sun's position in the sky.
+ *
+ * @param {Date} date
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{ altitude: number, azimuth: number }} Altitude above the horizon and azimuth
+ *   clockwise from north, both in degrees
+ */
+export const getSunPosition = (date, lat, lon) => {
+    const lw = RAD * -lon;
+    const phi = RAD * lat;
+    const d = toDays(date);
+    const { dec, ra } = sunCoords(d);
+    const H = siderealTime(d, lw) - ra;
+    return {
+        altitude: altitude(H, phi, dec) / RAD,
+        azimuth: (azimuth(H, phi, dec) / RAD + 180) % 360
+    };
+};
+
+// Function to check whether the sun is below the horizon at a time
+export const isNight = (date, lat, lon) => getSunPosition(date, lat, lon).altitude < SUN_ALTITUDES.sunrise;
+
+// Calculations for sun times
+const J0 = 0.0009;
+const julianCycle = (d, lw) => Math.round(d - J0 - lw / (2 * Math.PI));
+const approxTransit = (Ht, lw, n) => J0 + (Ht + lw) / (2 * Math.PI) + n;
+const solarTransitJ = (ds, M, L) => J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+const hourAngle = (h, phi, dec) => Math.acos((Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec)));
+
+/**
+ * Sun events of one day. Events that do not happen (e.g. sunset during the polar day) are null.
+ *
+ * @typedef {object} SunTimes
+ * @property {Date} solarNoon
+ * @property {Date|null} sunrise
+ * @property {Date|null} sunset
+ * @property {Date|null} civilDawn
+ * @property {Date|null} civilDusk
+ * @property {Date|null} nauticalDawn
+ * @property {Date|null} nauticalDusk
+ * @property {number} dayLength Time between sunrise and sunset in minutes (0 or 1440 at polar night/day)
+ */
+
+/**
+ * Computes sunrise, sunset, twilight and solar noon for the solar day closest to `date`.
+ * Pass a time around midday of the wanted day in the location's timezone.
+ *
+ * @param {Date} date
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {SunTimes}
+ */
+export const getSunTimes = (date, lat, lon) => {
+    const lw = RAD * -lon;
+    const phi = RAD * lat;
+    const n = julianCycle(toDays(date), lw);
+    const ds = approxTransit(0, lw, n);
+    const M = solarMeanAnomaly(ds);
+    const L = eclipticLongitude(M);
+    const dec = declination(L, 0);
+    const noon = solarTransitJ(ds, M, L);
+
+    // Function to get the rising and setting time for a sun altitude, or nulls when the sun never crosses it
+    const getRiseSet = (altitudeDeg) => {
+        const w = hourAngle(altitudeDeg * RAD, phi, dec);
+        if (isNaN(w)) return [null, null];
+        const set = solarTransitJ(approxTransit(w, lw, n), M, L);
+        const rise = noon - (set - noon);
+        return [fromJulian(rise), fromJulian(set)];
+    };
+
+    const [sunrise, sunset] = getRiseSet(SUN_ALTITUDES.sunrise);
+    const [civilDawn, civilDusk] = getRiseSet(SUN_ALTITUDES.civil);
+    const [nauticalDawn, nauticalDusk] = getRiseSet(SUN_ALTITUDES.nautical);
+    const solarNoon = fromJulian(noon);
+
+    let dayLength;
+    if (sunrise && sunset) {
+        dayLength = (sunset.getTime() - sunrise.getTime()) / 60000;
+    } else {
+        // Polar day or night: the sun is either up or down the whole day
+        dayLength = getSunPosition(solarNoon, lat, lon).altitude > SUN_ALTITUDES.sunrise ? 24 * 60 : 0;
+    }
+
+    return { solarNoon, sunrise, sunset, civilDawn, civilDusk, nauticalDawn, nauticalDusk, dayLength };
+};
+
+// Moon calculations, based on http://aa.quae.nl/en/reken/hemelpositie.html formulas
+const moonCoords = (d) => {
+    const L = RAD * (218.316 + 13.176396 * d); // Ecliptic longitude
+    const M = RAD * (134.963 + 13.064993 * d); // Mean anomaly
+    const F = RAD * (93.272 + 13.229350 * d); // Mean distance
+
+    const l = L + RAD * 6.289 * Math.sin(M); // Longitude
+    const b = RAD * 5.128 * Math.sin(F); // Latitude
+    const distance = 385001 - 20905 * Math.cos(M); // Distance to the moon in km
+
+    return { ra: rightAscension(l, b), dec: declination(l, b), distance };
+};
+
+// Function to get the moon's altitude above the horizon in radians, corrected for refraction
+const getMoonAltitude = (date, lat, lon) => {
+    const lw = RAD * -lon;
+    const phi = RAD * lat;
+    const d = toDays(date);
+    const { ra, dec } = moonCoords(d);
+    const H = siderealTime(d, lw) - ra;
+    const h = altitude(H, phi, dec);
+    return h + astroRefraction(h);
+};
+
+/**
+ * Computes the illuminated fraction and phase of the moon.
+ *
+ * @param {Date} date
+ * @returns {{ fraction: number, phase: number, phaseName: string }} `fraction` of the disc lit (0-1),
+ *   `phase` in the lunar cycle (0 new moon, 0.25 first quarter, 0.5 full moon, 0.75 last quarter)
+ *   and the matching MOON_PHASES entry
+ */
+export const getMoonIllumination = (date) => {
+    const d = toDays(date);
+    const sun = sunCoords(d);
+    const moon = moonCoords(d);
+    const sunDistance = 149598000; // Distance from Earth to the sun in km
+
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+    const inclination = Math.atan2(sunDistance * Math.sin(elongation), moon.distance - sunDistance * Math.cos(elongation));
+    const angle = Math.atan2(
+        Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+    const phase = 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI;
+
+    return {
+        fraction: (1 + Math.cos(inclination)) / 2,
+        phase,
+        phaseName: MOON_PHASES[Math.round(phase * MOON_PHASES.length) % MOON_PHASES.length]
+    };
+};
+
+/**
+ * Finds moonrise and moonset within the hours after `start` by sampling the moon's altitude
+ * every hour and fitting a parabola through each pair of hours.
+ *
+ * @param {Date} start Start of the day in the location's timezone
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [hours] Length of the day, 23 or 25 on DST changes
+ * @returns {{ rise: Date|null, set: Date|null, alwaysUp: boolean, alwaysDown: boolean }}
+ */
+export const getMoonTimes = (start, lat, lon, hours = 24) => {
+    const horizon = 0.133 * RAD; // The moon's apparent radius
+    const altitudeAt = (offset) => getMoonAltitude(new Date(start.getTime() + offset * HOUR_MS), lat, lon) - horizon;
+
+    let h0 = altitudeAt(0);
+    let rise = null;
+    let set = null;
+    let ye = 0;
+
+    for (let i = 1; i <= hours; i += 2) {
+        const h1 = altitudeAt(i);
+        const h2 = altitudeAt(i + 1);
+
+        const a = (h0 + h2) / 2 - h1;
+        const b = (h2 - h0) / 2;
+        const xe = -b / (2 * a);
+        ye = (a * xe + b) * xe + h1;
+        const discriminant = b * b - 4 * a * h1;
+        let roots = 0;
+        let x1 = 0;
+        let x2 = 0;
+
+        if (discriminant >= 0) {
+            const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+            x1 = xe - dx;
+            x2 = xe + dx;
+            if (Math.abs(x1) <= 1) roots += 1;
+            if (Math.abs(x2) <= 1) roots += 1;
+            if (x1 < -1) x1 = x2;
+        }
+
+        if (roots === 1) {
+            if (h0 < 0) rise = i + x1;
+            else set = i + x1;
+        } else if (roots === 2) {
+            rise = i + (ye < 0 ? x2 : x1);
+            set = i + (ye < 0 ? x1 : x2);
+        }
+
+        if (rise !== null && set !== null) break;
+        h0 = h2;
+    }
+
+    // With an odd number of hours the last pair reaches into the next day; events there belong to that day
+    const toDate = (offset) => (offset === null || offset > hours ? null : new Date(start.getTime() + offset * HOUR_MS));
+    return {
+        rise: toDate(rise),
+        set: toDate(set),
+        alwaysUp: rise === null && set === null && ye > 0,
+        alwaysDown: rise === null && set === null && ye <= 0
+    };
+};
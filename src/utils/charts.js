@@ -0,0 +1,105 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Creates a linear scale mapping a domain onto a pixel range.
+ * Ranges may be inverted (e.g. [height, 0] for y axes growing upwards).
+ *
+ * @param {[number, number]} domain
+ * @param {[number, number]} range
+ * @returns {(value: number) => number}
+ */
+export const createLinearScale = ([domainMin, domainMax], [rangeMin, rangeMax]) => {
+    const span = domainMax - domainMin || 1;
+    return (value) => rangeMin + ((value - domainMin) / span) * (rangeMax - rangeMin);
+};
+
+// Function to get the minimum and maximum of the numeric values in a list, ignoring null/undefined
+export const getExtent = (values) => {
+    const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+    if (numbers.length === 0) return null;
+    return [Math.min(...numbers), Math.max(...numbers)];
+};
+
+// Function to pick a "nice" step (1, 2, 2.5 or 5 times a power of ten) for about `count` ticks
+const getNiceStep = (span, count) => {
+    const rough = span / Math.max(1, count);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= rough);
+    return step * magnitude;
+};
+
+/**
+ * Extends an extent to round tick values and returns the ticks.
+ *
+ * @param {[number, number]} extent
+ * @param {number} [count] Approximate number of intervals
+ * @returns {{ domain: [number, number], ticks: number[] }}
+ */
+export const getNiceTicks = ([min, max], count = 4) => {
+    // A flat series still needs some height to be drawn as a line
+    const [low, high] = min === max ? [min - 1, max + 1] : [min, max];
+    const step = getNiceStep(high - low, count);
+    const domain = [Math.floor(low / step) * step, Math.ceil(high / step) * step];
+    const ticks = [];
+    for (let tick = domain[0]; tick <= domain[1] + step / 2; tick += step) {
+        ticks.push(Number(tick.toPrecision(12))); // Avoid floating point noise such as 0.30000000000000004
+    }
+    return { domain, ticks };
+};
+
+/**
+ * Builds an SVG path through the points, leaving gaps where a value is missing.
+ *
+ * @param {Array<{ x: number, y: number|null }>} points
+ * @returns {string}
+ */
+export const buildLinePath = (points) => {
+    let path = '';
+    let drawing = false;
+    points.forEach(({ x, y }) => {
+        if (y === null || y === undefined || isNaN(y)) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`;
+        drawing = true;
+    });
+    return path;
+};
+
+const hourFormatCache = new Map();
+
+// Function to get the hour of day (0-23) of a date in a timezone (the browser's when none is given)
+export const getHourInTimeZone = (date, timeZone) => {
+    const key = timeZone || '';
+    if (!hourFormatCache.has(key)) {
+        hourFormatCache.set(key, new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timeZone || undefined }));
+    }
+    return Number(hourFormatCache.get(key).format(date));
+};
+
+/**
+ * Finds the hours where the axis gets a tick: every `everyHours` hours of local time,
+ * with local midnights flagged so they can be drawn as day boundaries.
+ *
+ * @param {Date[]} times Hourly timestamps, in order
+ * @param {string|null} timeZone IANA timezone of the location
+ * @param {number} [everyHours]
+ * @returns {Array<{ index: number, time: Date, hour: number, isMidnight: boolean }>}
+ */
+export const getTimeTicks = (times, timeZone, everyHours = 6) => {
+    const ticks = [];
+    times.forEach((time, index) => {
+        const hour = getHourInTimeZone(time, timeZone);
+        if (hour % everyHours === 0) {
+            ticks.push({ index, time, hour, isMidnight: hour === 0 });
+        }
+    });
+    return ticks;
+};
+
+// Function to find the index of the hour that contains a time, or null if it is outside the series
+export const getHourIndex = (times, time) => {
+    const index = times.findIndex(start => time >= start.getTime() && time < start.getTime() + HOUR_MS);
+    return index === -1 ? null : index;
+};
@@ -0,0 +1,142 @@
+import { addDays, countDays, getSameDateInYear } from './history';
+
+// Number of previous years the climate statistics are built from
+export const CLIMATE_YEARS = 10;
+
+// Days with at least this much precipitation (mm) count as wet, following the WMO convention
+export const WET_DAY_THRESHOLD = 1;
+
+// Percentile ranks at or beyond these bounds are "much below/above" normal, within the inner ones "normal"
+const OUTER_PERCENTILE = 10;
+const INNER_PERCENTILE = 33;
+
+// Function to check whether a value is a usable number
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Function to average the numbers in a list, or null when there are none
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Gets the same calendar period in each of the previous years, e.g. the coming week in the last ten years.
+ *
+ * @param {string} startKey First day of the period ('YYYY-MM-DD')
+ * @param {number} dayCount Length of the period in days
+ * @param {number} [years] Number of previous years
+ * @returns {Array<{ year: number, start: string, end: string }>} Most recent year first; `end` is inclusive
+ */
+export const getClimatePeriods = (startKey, dayCount, years = CLIMATE_YEARS) => {
+    const currentYear = Number(startKey.slice(0, 4));
+    return Array.from({ length: years }, (_, index) => {
+        const year = currentYear - index - 1;
+        const start = getSameDateInYear(startKey, year);
+        return { year, start, end: addDays(start, dayCount - 1) };
+    });
+};
+
+/**
+ * Percentile rank of a value within a sample: the share of the sample below it, ties counting half.
+ *
+ * @param {number[]} sample
+ * @param {number} value
+ * @returns {number|null} 0–100, or null for an empty sample
+ */
+export const getPercentileRank = (sample, value) => {
+    if (sample.length === 0 || !isNumber(value)) return null;
+    const below = sample.filter(entry => entry < value).length;
+    const equal = sample.filter(entry => entry === value).length;
+    return ((below + equal / 2) / sample.length) * 100;
+};
+
+// Function to classify a percentile rank as 'muchBelow', 'below', 'normal', 'above' or 'muchAbove'
+export const getPercentileClass = (rank) => {
+    if (rank === null) return null;
+    if (rank <= OUTER_PERCENTILE) return 'muchBelow';
+    if (rank < INNER_PERCENTILE) return 'below';
+    if (rank >= 100 - OUTER_PERCENTILE) return 'muchAbove';
+    if (rank > 100 - INNER_PERCENTILE) return 'above';
+    return 'normal';
+};
+
+// Function to find the day with the highest (direction 1) or lowest (direction -1) value of a field
+const findRecord = (days, field, direction) => days.reduce((record, day) => {
+    if (!isNumber(day[field])) return record;
+    if (record === null || (day[field] - record.value) * direction > 0) {
+        return { value: day[field], dateKey: day.dateKey };
+    }
+    return record;
+}, null);
+
+/**
+ * Climate normals for a calendar period, with the forecast placed within them.
+ * All archived days of the period are pooled into one sample, which keeps the statistics stable
+ * with only a few years of data. Temperatures are in Kelvin, precipitation in mm.
+ *
+ * @typedef {object} ClimateSummary
+ * @property {number} yearCount Years with archived data
+ * @property {number} dayCount Archived days in the sample
+ * @property {number|null} meanHigh
+ * @property {number|null} meanLow
+ * @property {number|null} meanPrecipitation Mean precipitation per day
+ * @property {number|null} wetDayFrequency Share of wet days (0–1)
+ * @property {{ value: number, dateKey: string }|null} recordHigh
+ * @property {{ value: number, dateKey: string }|null} recordLow
+ * @property {number|null} weekHighRank Percentile rank of the forecast's mean high among the years' mean highs
+ * @property {number|null} weekHighAnomaly Forecast mean high minus the normal mean high
+ * @property {number|null} forecastWetDays
+ * @property {Array<{ dateKey: string, maxTemp: number|null, minTemp: number|null, highRank: number|null,
+ *   lowRank: number|null, isRecordHigh: boolean, isRecordLow: boolean }>} days
+ */
+
+/**
+ * Builds the climate summary for the forecast days from the archived days of previous years.
+ *
+ * @param {import('./dailyForecast').DailyForecast[]} forecastDays
+ * @param {Array<{ year: number, days: import('./archiveCache').ArchiveDay[] }>} pastYears
+ * @returns {ClimateSummary|null} null when no archived data is available
+ */
+export const getClimateSummary = (forecastDays, pastYears) => {
+    const yearsWithData = pastYears.filter(entry => entry.days.length > 0);
+    const pastDays = yearsWithData.flatMap(entry => entry.days);
+    if (pastDays.length === 0) return null;
+
+    const highs = pastDays.map(day => day.maxTemp).filter(isNumber);
+    const lows = pastDays.map(day => day.minTemp).filter(isNumber);
+    const precipitation = pastDays.map(day => day.totalPrecipitation).filter(isNumber);
+    const recordHigh = findRecord(pastDays, 'maxTemp', 1);
+    const recordLow = findRecord(pastDays, 'minTemp', -1);
+    const meanHigh = average(highs);
+
+    // "Is this week unusually warm?" compares the forecast period with the same period of each year as a whole
+    const yearMeanHighs = yearsWithData.map(entry => average(entry.days.map(day => day.maxTemp).filter(isNumber))).filter(isNumber);
+    const forecastMeanHigh = average(forecastDays.map(day => day.maxTemp).filter(isNumber));
+
+    return {
+        yearCount: yearsWithData.length,
+        dayCount: pastDays.length,
+        meanHigh,
+        meanLow: average(lows),
+        meanPrecipitation: average(precipitation),
+        wetDayFrequency: precipitation.length > 0
+            ? precipitation.filter(value => value >= WET_DAY_THRESHOLD).length / precipitation.length
+            : null,
+        recordHigh,
+        recordLow,
+        weekHighRank: forecastMeanHigh === null ? null : getPercentileRank(yearMeanHighs, forecastMeanHigh),
+        weekHighAnomaly: forecastMeanHigh === null || meanHigh === null ? null : forecastMeanHigh - meanHigh,
+        forecastWetDays: forecastDays.filter(day => day.totalPrecipitation >= WET_DAY_THRESHOLD).length,
+        days: forecastDays.map(day => ({
+            dateKey: day.dateKey,
+            maxTemp: day.maxTemp,
+            minTemp: day.minTemp,
+            highRank: getPercentileRank(highs, day.maxTemp),
+            lowRank: getPercentileRank(lows, day.minTemp),
+            isRecordHigh: recordHigh !== null && isNumber(day.maxTemp) && day.maxTemp > recordHigh.value,
+            isRecordLow: recordLow !== null && isNumber(day.minTemp) && day.minTemp < recordLow.value
+        }))
+    };
+};
+
+// Function to get the number of days between the first and last forecast day, both included
+export const getPeriodLength = (forecastDays) => (
+    forecastDays.length > 0 ? countDays(forecastDays[0].dateKey, forecastDays[forecastDays.length - 1].dateKey) : 0
+);
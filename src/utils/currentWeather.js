@@ -0,0 +1,79 @@
+// Function to find the weather data for the current hour (the record closest to `now`)
+export const getCurrentHourWeather = (hourlyData, now = new Date()) => {
+    if (!hourlyData || hourlyData.length === 0) return null;
+
+    let closestHourData = null;
+    let minDiff = Infinity;
+
+    hourlyData.forEach(hour => {
+        const hourTime = new Date(hour.timestamp);
+        const diff = Math.abs(hourTime.getTime() - now.getTime());
+
+        if (diff < minDiff) {
+            minDiff = diff;
+            closestHourData = hour;
+        }
+    });
+    return closestHourData;
+};
+
+// Fields of an hourly record that can be taken over from the forecast when the station does not report them
+const FALLBACK_FIELDS = [
+    'temperature',
+    'dew_point',
+    'humidity',
+    'pressure_msl',
+    'cloud_cover',
+    'visibility',
+    'wind_speed',
+    'wind_direction',
+    'wind_gust_speed',
+    'solar',
+    'icon',
+    'condition'
+];
+
+// Function to map a /current_weather record onto the hourly record shape used throughout the app.
+// Wind uses the 10-minute means, precipitation and solar radiation the last hour's sums.
+export const normalizeObservation = (observation) => ({
+    ...observation,
+    humidity: observation.relative_humidity,
+    wind_speed: observation.wind_speed_10,
+    wind_direction: observation.wind_direction_10,
+    wind_gust_speed: observation.wind_gust_speed_10,
+    precipitation: observation.precipitation_60,
+    solar: observation.solar_60
+});
+
+/**
+ * Combines the latest observation with the forecast hour closest to now.
+ * Observed values win; fields the station does not measure (often cloud cover
+ * or visibility) fall back to the forecast so the Details grid stays complete.
+ *
+ * @param {object|null} currentWeather Response of brightSky.getCurrentWeather
+ * @param {object|null} forecastHour Hourly record closest to now
+ * @returns {{ weather: object, station: object|null, observedAt: Date|null, isObservation: boolean }|null}
+ */
+export const getCurrentConditions = (currentWeather, forecastHour) => {
+    if (!currentWeather || !currentWeather.weather) {
+        return forecastHour ? { weather: forecastHour, station: null, observedAt: null, isObservation: false } : null;
+    }
+
+    const observed = normalizeObservation(currentWeather.weather);
+    const weather = { ...observed };
+    if (forecastHour) {
+        FALLBACK_FIELDS.forEach(field => {
+            if (weather[field] === null || weather[field] === undefined) {
+                weather[field] = forecastHour[field];
+            }
+        });
+    }
+
+    const station = currentWeather.sources.find(source => source.id === observed.source_id) || null;
+    return { weather, station, observedAt: new Date(observed.timestamp), isObservation: true };
+};
+
+// Function to get how many minutes ago an observation was made
+export const getObservationAgeMinutes = (observedAt, now = new Date()) => {
+    return Math.max(0, Math.round((now.getTime() - observedAt.getTime()) / 60000));
+};
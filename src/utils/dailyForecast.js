@@ -0,0 +1,156 @@
+import { calculateRelativeHumidity } from './apparentTemperature';
+import { addDays } from './history';
+import { getDayStart } from './timeZone';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAYS_SHOWN = 7;
+// Days requested after today; Bright Sky's last_date is exclusive, so this covers today plus seven full days
+const FORECAST_REQUEST_DAYS = 7;
+
+const dateKeyFormatCache = new Map();
+
+// Function to get the calendar date of a time in a timezone as 'YYYY-MM-DD' (the browser's timezone when none is given).
+// Keys in this format sort chronologically as plain strings.
+export const getDateKey = (date, timeZone) => {
+    const cacheKey = timeZone || '';
+    if (!dateKeyFormatCache.has(cacheKey)) {
+        // en-CA formats dates as YYYY-MM-DD
+        dateKeyFormatCache.set(cacheKey, new Intl.DateTimeFormat('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: timeZone || undefined }));
+    }
+    return dateKeyFormatCache.get(cacheKey).format(date);
+};
+
+// Function to get the date range requested for a forecast, as used by Bright Sky's date and last_date.
+// The dates are calendar dates of the location, which Bright Sky reads in the timezone sent as `tz`.
+export const getForecastRequestDates = (now = new Date(), timeZone = null) => {
+    const todayKey = getDateKey(now, timeZone);
+    return { date: todayKey, lastDate: addDays(todayKey, FORECAST_REQUEST_DAYS) };
+};
+
+// Function to check whether a value is a usable number
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Function to get an hour's relative humidity, calculated from the dew point when the record has none
+const getHumidity = (hour) => {
+    if (isNumber(hour.relative_humidity)) return hour.relative_humidity;
+    return calculateRelativeHumidity(hour.temperature, hour.dew_point);
+};
+
+/**
+ * Averages wind directions as vectors weighted by wind speed, so that e.g. 350° and 10° average to 0°
+ * and calm hours barely count.
+ *
+ * @param {Array<{ wind_direction?: number|null, wind_speed?: number|null }>} hours
+ * @returns {number|null} Direction in degrees, or null when there is no wind data
+ */
+export const getDominantWindDirection = (hours) => {
+    let x = 0;
+    let y = 0;
+    hours.forEach(hour => {
+        if (!isNumber(hour.wind_direction)) return;
+        const weight = isNumber(hour.wind_speed) ? hour.wind_speed : 1;
+        const radians = (hour.wind_direction * Math.PI) / 180;
+        x += Math.sin(radians) * weight;
+        y += Math.cos(radians) * weight;
+    });
+    if (x === 0 && y === 0) return null;
+    return ((Math.atan2(x, y) * 180) / Math.PI + 360) % 360;
+};
+
+/**
+ * One day of the daily forecast. Temperatures, wind speeds and precipitation are in the raw
+ * Bright Sky units (Kelvin, m/s, mm), sunshine in seconds.
+ *
+ * @typedef {object} DailyForecast
+ * @property {string} dateKey Calendar date in the location's timezone ('YYYY-MM-DD')
+ * @property {Date} date Start of the first hour of the day
+ * @property {Date} endDate End of the last hour of the day, used for time range checks
+ * @property {Date} dayStart Local midnight starting the calendar day
+ * @property {Date} dayEnd Local midnight ending it; 23 or 25 hours after `dayStart` on DST changes
+ * @property {number|null} minTemp
+ * @property {number|null} maxTemp
+ * @property {string|null} dominantIcon Most frequent icon, night icons counted as day icons
+ * @property {number} totalPrecipitation
+ * @property {number|null} maxWindSpeed
+ * @property {number|null} maxWindGust
+ * @property {number|null} windDirection Speed-weighted mean wind direction in degrees
+ * @property {number|null} minHumidity
+ * @property {number|null} maxHumidity
+ * @property {number|null} sunshine Total sunshine in seconds, null when not forecast
+ * @property {number|null} averageCloudCover
+ * @property {Array<object>} hours The day's hourly records
+ */
+
+// Function to aggregate the hours of one day
+const summarizeDay = (dateKey, hours, timeZone) => {
+    const temperatures = hours.map(hour => hour.temperature).filter(isNumber);
+    const windSpeeds = hours.map(hour => hour.wind_speed).filter(isNumber);
+    const windGusts = hours.map(hour => hour.wind_gust_speed).filter(isNumber);
+    const humidities = hours.map(getHumidity).filter(isNumber);
+    const sunshine = hours.map(hour => hour.sunshine).filter(isNumber);
+    const cloudCover = hours.map(hour => hour.cloud_cover).filter(isNumber);
+
+    // Count icon occurrences, converting night icons to day icons for the daily summary
+    const iconCounts = {};
+    hours.forEach(hour => {
+        if (!hour.icon) return;
+        const icon = hour.icon.endsWith('-night') ? hour.icon.replace('-night', '-day') : hour.icon;
+        iconCounts[icon] = (iconCounts[icon] || 0) + 1;
+    });
+    let dominantIcon = null;
+    Object.keys(iconCounts).forEach(icon => {
+        if (dominantIcon === null || iconCounts[icon] > iconCounts[dominantIcon]) {
+            dominantIcon = icon;
+        }
+    });
+
+    const lastHour = new Date(hours[hours.length - 1].timestamp);
+    return {
+        dateKey,
+        date: new Date(hours[0].timestamp),
+        endDate: new Date(lastHour.getTime() + HOUR_MS),
+        dayStart: getDayStart(dateKey, timeZone),
+        dayEnd: getDayStart(addDays(dateKey, 1), timeZone),
+        minTemp: temperatures.length > 0 ? Math.min(...temperatures) : null,
+        maxTemp: temperatures.length > 0 ? Math.max(...temperatures) : null,
+        dominantIcon,
+        totalPrecipitation: hours.reduce((sum, hour) => sum + (hour.precipitation || 0), 0),
+        maxWindSpeed: windSpeeds.length > 0 ? Math.max(...windSpeeds) : null,
+        maxWindGust: windGusts.length > 0 ? Math.max(...windGusts) : null,
+        windDirection: getDominantWindDirection(hours),
+        minHumidity: humidities.length > 0 ? Math.min(...humidities) : null,
+        maxHumidity: humidities.length > 0 ? Math.max(...humidities) : null,
+        sunshine: sunshine.length > 0 ? sunshine.reduce((sum, value) => sum + value, 0) : null,
+        averageCloudCover: cloudCover.length > 0 ? cloudCover.reduce((sum, value) => sum + value, 0) / cloudCover.length : null,
+        hours
+    };
+};
+
+/**
+ * Groups hourly records into calendar days of the location's timezone.
+ * By default only today and the following days are kept, as needed for the forecast;
+ * archive lookups pass `includePast` to keep every day of the data.
+ *
+ * @param {Array<object>} hourlyData Hourly records from Bright Sky /weather
+ * @param {string|null} timeZone IANA timezone of the location
+ * @param {{ now?: Date, includePast?: boolean, maxDays?: number|null }} [options]
+ * @returns {DailyForecast[]} Up to `maxDays` days (seven by default, all when null)
+ */
+export const getDailyForecast = (hourlyData, timeZone, { now = new Date(), includePast = false, maxDays = DAYS_SHOWN } = {}) => {
+    const hoursByDay = new Map();
+    hourlyData.forEach(hour => {
+        const dateKey = getDateKey(new Date(hour.timestamp), timeZone);
+        if (!hoursByDay.has(dateKey)) {
+            hoursByDay.set(dateKey, []);
+        }
+        hoursByDay.get(dateKey).push(hour);
+    });
+
+    // Days strictly before today in the location's timezone are dropped from forecasts
+    const todayKey = getDateKey(now, timeZone);
+    const dateKeys = [...hoursByDay.keys()]
+        .sort()
+        .filter(dateKey => includePast || dateKey >= todayKey);
+    return (maxDays === null ? dateKeys : dateKeys.slice(0, maxDays))
+        .map(dateKey => summarizeDay(dateKey, hoursByDay.get(dateKey), timeZone));
+};
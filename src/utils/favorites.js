@@ -0,0 +1,71 @@
+const FAVORITES_STORAGE_KEY = 'skycast.favorites';
+
+/**
+ * A saved location.
+ *
+ * @typedef {object} Favorite
+ * @property {string} id Stable id derived from the coordinates
+ * @property {string} name User-chosen name
+ * @property {string} displayName Full name as returned by the geocoder
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string|null} timezone IANA timezone of the location
+ */
+
+// Function to derive a favorite id from coordinates, so the same place cannot be saved twice
+export const getFavoriteId = (lat, lon) => `${lat.toFixed(4)},${lon.toFixed(4)}`;
+
+// Function to check that a stored entry has everything a favorite needs
+const isValidFavorite = (entry) => entry
+    && typeof entry.name === 'string'
+    && typeof entry.lat === 'number'
+    && typeof entry.lon === 'number';
+
+// Function to read saved favorites from localStorage, ignoring corrupt data
+export const loadFavorites = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY));
+        if (!Array.isArray(stored)) return [];
+        return stored.filter(isValidFavorite).map(entry => ({
+            id: getFavoriteId(entry.lat, entry.lon),
+            name: entry.name,
+            displayName: entry.displayName || entry.name,
+            lat: entry.lat,
+            lon: entry.lon,
+            timezone: entry.timezone || null
+        }));
+    } catch (err) {
+        console.error("Error reading saved locations:", err);
+        return [];
+    }
+};
+
+// Function to write favorites to localStorage
+export const saveFavorites = (favorites) => {
+    try {
+        localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+    } catch (err) {
+        console.error("Error saving locations:", err);
+    }
+};
+
+// Function to add a favorite, replacing an existing entry for the same coordinates in place
+export const addFavorite = (favorites, { name, displayName, lat, lon, timezone = null }) => {
+    const favorite = { id: getFavoriteId(lat, lon), name, displayName, lat, lon, timezone };
+    const existingIndex = favorites.findIndex(entry => entry.id === favorite.id);
+    if (existingIndex === -1) return [...favorites, favorite];
+    return favorites.map((entry, index) => (index === existingIndex ? favorite : entry));
+};
+
+// Function to remove a favorite by id
+export const removeFavorite = (favorites, id) => favorites.filter(entry => entry.id !== id);
+
+// Function to move a favorite up (offset -1) or down (offset 1) in the list
+export const moveFavorite = (favorites, id, offset) => {
+    const index = favorites.findIndex(entry => entry.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= favorites.length) return favorites;
+    const reordered = [...favorites];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    return reordered;
+};
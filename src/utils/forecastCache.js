@@ -0,0 +1,56 @@
+import { getFavoriteId, loadFavorites } from './favorites';
+
+const FORECAST_CACHE_STORAGE_KEY = 'skycast.forecasts';
+
+// Locations beyond this are dropped, oldest first, unless they are saved locations
+export const MAX_CACHED_FORECASTS = 5;
+
+/**
+ * The last successful forecast of a location, kept for offline use.
+ *
+ * @typedef {object} CachedForecast
+ * @property {number} fetchedAt Time of the successful request (ms since epoch)
+ * @property {import('../api/brightSky').WeatherRecord[]} weather
+ * @property {import('../api/brightSky').WeatherSource[]} sources
+ * @property {string} [provider] Id of the weather provider, missing for forecasts cached before there was a choice
+ */
+
+// Function to read all cached forecasts from localStorage, ignoring corrupt data
+const loadForecasts = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FORECAST_CACHE_STORAGE_KEY));
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (err) {
+        console.error("Error reading cached forecasts:", err);
+        return {};
+    }
+};
+
+// Function to get the cached forecast of a location, or null when there is none
+export const readCachedForecast = (lat, lon) => {
+    const entry = loadForecasts()[getFavoriteId(lat, lon)];
+    return entry && Array.isArray(entry.weather) && typeof entry.fetchedAt === 'number' ? entry : null;
+};
+
+/**
+ * Caches the forecast of a location, replacing the previous one.
+ * Saved locations are always kept; other locations are limited to MAX_CACHED_FORECASTS.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {{ weather: object[], sources: object[], provider?: string }} data
+ * @param {{ fetchedAt?: number }} [options]
+ */
+export const writeCachedForecast = (lat, lon, { weather, sources, provider }, { fetchedAt = Date.now() } = {}) => {
+    const forecasts = { ...loadForecasts(), [getFavoriteId(lat, lon)]: { fetchedAt, weather, sources, provider } };
+    const keepIds = loadFavorites().map(favorite => favorite.id);
+    const removable = Object.keys(forecasts)
+        .filter(id => !keepIds.includes(id))
+        .sort((a, b) => forecasts[b].fetchedAt - forecasts[a].fetchedAt);
+    removable.slice(MAX_CACHED_FORECASTS).forEach(id => delete forecasts[id]);
+    try {
+        localStorage.setItem(FORECAST_CACHE_STORAGE_KEY, JSON.stringify(forecasts));
+    } catch (err) {
+        console.error("Error caching forecast:", err);
+    }
+};
@@ -0,0 +1,85 @@
+const DB_NAME = 'skycast.geocode';
+const DB_VERSION = 1;
+const STORE_NAME = 'results';
+
+// Place names and coordinates rarely change, but results should not be kept forever
+export const GEOCODE_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+let databasePromise = null;
+
+// Function to wrap an IndexedDB request in a promise
+const toPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Function to delete every entry that has expired
+const pruneExpired = (db) => {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const request = store.index('expires').openCursor(IDBKeyRange.upperBound(Date.now()));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+    };
+    request.onerror = () => console.error("Error pruning the geocoding cache:", request.error);
+};
+
+// Function to open the database once, resolving null where IndexedDB is unavailable (e.g. some private windows)
+const openDatabase = () => {
+    if (!databasePromise) {
+        if (typeof indexedDB === 'undefined') {
+            databasePromise = Promise.resolve(null);
+        } else {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                store.createIndex('expires', 'expires');
+            };
+            databasePromise = toPromise(request)
+                .then(db => {
+                    pruneExpired(db);
+                    return db;
+                })
+                .catch(err => {
+                    console.error("Error opening the geocoding cache:", err);
+                    return null;
+                });
+        }
+    }
+    return databasePromise;
+};
+
+/**
+ * Creates a geocoding result cache in IndexedDB for createGeocoder. Entries expire after `ttl`;
+ * expired ones are ignored and deleted the next time the app starts. Failures are logged and
+ * treated as cache misses, so geocoding keeps working without the cache.
+ *
+ * @param {{ ttl?: number }} [options] Milliseconds
+ */
+export const createGeocodeCache = ({ ttl = GEOCODE_CACHE_TTL } = {}) => {
+    const get = async (key) => {
+        try {
+            const db = await openDatabase();
+            if (!db) return undefined;
+            const entry = await toPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key));
+            return entry && entry.expires > Date.now() ? entry.value : undefined;
+        } catch (err) {
+            console.error("Error reading the geocoding cache:", err);
+            return undefined;
+        }
+    };
+
+    const set = async (key, value) => {
+        try {
+            const db = await openDatabase();
+            if (!db) return;
+            await toPromise(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put({ key, value, expires: Date.now() + ttl }));
+        } catch (err) {
+            console.error("Error saving to the geocoding cache:", err);
+        }
+    };
+
+    return { get, set };
+};
@@ -0,0 +1,83 @@
+// Error codes for locating the device
+export const GeolocationErrorCode = {
+    UNSUPPORTED: 'unsupported', // The browser has no Geolocation API (or the page is not served over HTTPS)
+    DENIED: 'denied', // The user or a browser policy refused the permission
+    UNAVAILABLE: 'unavailable', // The position could not be determined
+    TIMEOUT: 'timeout' // No position within the time limit
+};
+
+/**
+ * Structured error thrown when the device could not be located.
+ *
+ * @property {string} code One of GeolocationErrorCode
+ */
+export class GeolocationError extends Error {
+    constructor(message, { code, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'GeolocationError';
+        this.code = code;
+    }
+}
+
+// Function to check whether a value is a GeolocationError, optionally with a given code
+export const isGeolocationError = (err, code = null) => {
+    return err instanceof GeolocationError && (code === null || err.code === code);
+};
+
+// GeolocationPositionError codes (1-3) mapped to our codes
+const POSITION_ERROR_CODES = {
+    1: GeolocationErrorCode.DENIED,
+    2: GeolocationErrorCode.UNAVAILABLE,
+    3: GeolocationErrorCode.TIMEOUT
+};
+
+// Positions are rounded to about 100 m, so jitter between fixes maps to the same saved location and cache entries
+const POSITION_DECIMALS = 3;
+const roundCoordinate = (value) => Number(value.toFixed(POSITION_DECIMALS));
+
+// Function to check whether the browser can locate the device at all
+export const isGeolocationSupported = () => typeof navigator !== 'undefined' && 'geolocation' in navigator;
+
+/**
+ * Asks the browser for the device's position. City-level accuracy is enough for a forecast,
+ * so a recent cached position is accepted and high accuracy (GPS) is not requested.
+ *
+ * @param {{ timeout?: number, maximumAge?: number }} [options] Milliseconds
+ * @returns {Promise<{ lat: number, lon: number, accuracy: number }>} Rounded coordinates; `accuracy` in meters as reported
+ * @throws {GeolocationError}
+ */
+export const getCurrentPosition = ({ timeout = 10000, maximumAge = 10 * 60 * 1000 } = {}) => new Promise((resolve, reject) => {
+    if (!isGeolocationSupported()) {
+        reject(new GeolocationError('Geolocation is not supported', { code: GeolocationErrorCode.UNSUPPORTED }));
+        return;
+    }
+    navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+            lat: roundCoordinate(position.coords.latitude),
+            lon: roundCoordinate(position.coords.longitude),
+            accuracy: position.coords.accuracy
+        }),
+        (err) => reject(new GeolocationError(err.message || 'Position unavailable', {
+            code: POSITION_ERROR_CODES[err.code] || GeolocationErrorCode.UNAVAILABLE,
+            cause: err
+        })),
+        { enableHighAccuracy: false, timeout, maximumAge }
+    );
+});
+
+/**
+ * Reads the geolocation permission without prompting the user.
+ *
+ * @returns {Promise<'granted'|'denied'|'prompt'|'unknown'>} 'unknown' when the Permissions API is missing
+ */
+export const getGeolocationPermission = async () => {
+    if (!isGeolocationSupported()) return 'denied';
+    if (!navigator.permissions || !navigator.permissions.query) return 'unknown';
+    try {
+        const status = await navigator.permissions.query({ name: 'geolocation' });
+        return status.state;
+    } catch {
+        return 'unknown';
+    }
+};
+
@@ -0,0 +1,75 @@
+// Longest date range that can be looked up at once, to keep archive requests reasonably small
+export const MAX_HISTORY_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Function to turn a 'YYYY-MM-DD' key into a Date at UTC midnight, for calendar arithmetic only
+const keyToUtcDate = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Function to format a UTC calendar date as 'YYYY-MM-DD'
+const utcDateToKey = (date) => date.toISOString().slice(0, 10);
+
+// Function to move a 'YYYY-MM-DD' key by a number of days
+export const addDays = (dateKey, days) => utcDateToKey(new Date(keyToUtcDate(dateKey).getTime() + days * DAY_MS));
+
+// Function to count the days from one 'YYYY-MM-DD' key to another, both included
+export const countDays = (startKey, endKey) => Math.round((keyToUtcDate(endKey) - keyToUtcDate(startKey)) / DAY_MS) + 1;
+
+// Function to get the same calendar date in another year. February 29 becomes February 28 in common years.
+export const getSameDateInYear = (dateKey, year) => {
+    const [, month, day] = dateKey.split('-').map(Number);
+    const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    const adjustedDay = month === 2 && day === 29 && !isLeapYear ? 28 : day;
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(adjustedDay).padStart(2, '0')}`;
+};
+
+/**
+ * Checks a history date range picked by the user.
+ *
+ * @param {{ start: string, end: string }} range 'YYYY-MM-DD' keys
+ * @param {string} todayKey Today in the location's timezone
+ * @returns {string|null} i18n key of the problem, or null when the range is valid
+ */
+export const validateHistoryRange = ({ start, end }, todayKey) => {
+    if (!start || !end) return 'history.invalid.missing';
+    if (end < start) return 'history.invalid.order';
+    if (end >= todayKey) return 'history.invalid.future';
+    if (countDays(start, end) > MAX_HISTORY_DAYS) return 'history.invalid.tooLong';
+    return null;
+};
+
+// Function to average the numbers in a list, ignoring missing values
+const average = (values) => {
+    const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+};
+
+/**
+ * Compares a forecast day with the same date in previous years.
+ * Anomalies are forecast minus the average of the previous years (Kelvin differences for
+ * temperatures, mm for precipitation); null when either side is missing.
+ *
+ * @param {import('./dailyForecast').DailyForecast} forecastDay
+ * @param {Array<{ year: number, day: import('./dailyForecast').DailyForecast|null }>} pastDays
+ * @returns {{ averageMax: number|null, averageMin: number|null, averagePrecipitation: number|null,
+ *   maxTempAnomaly: number|null, minTempAnomaly: number|null, precipitationAnomaly: number|null }}
+ */
+export const compareWithPastYears = (forecastDay, pastDays) => {
+    const days = pastDays.map(past => past.day).filter(Boolean);
+    const averageMax = average(days.map(day => day.maxTemp));
+    const averageMin = average(days.map(day => day.minTemp));
+    const averagePrecipitation = average(days.map(day => day.totalPrecipitation));
+    const difference = (value, reference) => (value === null || reference === null ? null : value - reference);
+
+    return {
+        averageMax,
+        averageMin,
+        averagePrecipitation,
+        maxTempAnomaly: difference(forecastDay.maxTemp, averageMax),
+        minTempAnomaly: difference(forecastDay.minTemp, averageMin),
+        precipitationAnomaly: difference(forecastDay.totalPrecipitation, averagePrecipitation)
+    };
+};
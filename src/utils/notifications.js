@@ -0,0 +1,233 @@
+import { getHourInTimeZone } from './charts';
+import { getDateKey } from './dailyForecast';
+import { addDays } from './history';
+import { convertValue } from './units';
+
+const RULES_STORAGE_KEY = 'skycast.notificationRules';
+const NOTIFICATIONS_STORAGE_KEY = 'skycast.notifications';
+const NOTIFIED_STORAGE_KEY = 'skycast.notified';
+
+// Notifications kept in the in-app center, newest first
+export const MAX_NOTIFICATIONS = 50;
+// Events older than this are forgotten by the de-duplication, long after their forecast period has passed
+const NOTIFIED_RETENTION_MS = 8 * 24 * 60 * 60 * 1000;
+
+// Night hours for the 'tonight' period: from this hour of today until NIGHT_END_HOUR of the next day
+const NIGHT_START_HOUR = 18;
+const NIGHT_END_HOUR = 8;
+
+/**
+ * Forecast quantities a rule can watch. `quantity` is the unit type the threshold is entered in;
+ * precipitation is summed over the period, the others use the extreme hour.
+ */
+export const RULE_METRICS = {
+    temperature: { field: 'temperature', quantity: 'temperature', aggregate: 'extreme', defaults: { comparison: 'below', value: 273.15 } },
+    precipitation: { field: 'precipitation', quantity: 'precipitation', aggregate: 'sum', defaults: { comparison: 'above', value: 5 } },
+    wind_gust_speed: { field: 'wind_gust_speed', quantity: 'wind_speed', aggregate: 'extreme', defaults: { comparison: 'above', value: 60 / 3.6 } },
+    wind_speed: { field: 'wind_speed', quantity: 'wind_speed', aggregate: 'extreme', defaults: { comparison: 'above', value: 40 / 3.6 } }
+};
+
+export const RULE_COMPARISONS = ['above', 'below'];
+export const RULE_PERIODS = ['tonight', 'today', 'tomorrow', 'next24h'];
+
+/**
+ * A user-defined notification rule, e.g. "gusts above 60 km/h tomorrow".
+ * The threshold is stored in the unit it was entered in, so changing the display units later
+ * does not change its meaning.
+ *
+ * @typedef {object} NotificationRule
+ * @property {string} id
+ * @property {string} metric Key of RULE_METRICS
+ * @property {'above'|'below'} comparison
+ * @property {number} threshold In `unit`
+ * @property {string} unit Display unit key of the metric's quantity
+ * @property {string} period One of RULE_PERIODS
+ * @property {string|null} locationId Saved location id, or null for all saved locations
+ * @property {boolean} enabled
+ */
+
+/**
+ * A notification produced by a rule, as listed in the notification center.
+ *
+ * @typedef {object} NotificationEntry
+ * @property {string} id De-duplication key: rule, location and period occurrence
+ * @property {string} ruleId
+ * @property {string} locationName
+ * @property {string} metric
+ * @property {'above'|'below'} comparison
+ * @property {number} threshold
+ * @property {string} unit
+ * @property {string} period
+ * @property {number} value Forecast value in `unit` (period sum or extreme hour)
+ * @property {string} time Timestamp of the first hour that meets the rule
+ * @property {number} createdAt
+ * @property {string|null} timeZone Timezone of the location, for showing `createdAt` in its local time
+ * @property {boolean} read
+ */
+
+// Function to read a JSON value from localStorage, falling back when it is missing or corrupt
+const loadStored = (key, isValid, fallback) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key));
+        return isValid(stored) ? stored : fallback;
+    } catch (err) {
+        console.error(`Error reading ${key}:`, err);
+        return fallback;
+    }
+};
+
+// Function to write a JSON value to localStorage
+const saveStored = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.error(`Error saving ${key}:`, err);
+    }
+};
+
+// Function to check that a stored rule has everything evaluation needs
+const isValidRule = (rule) => rule
+    && typeof rule.id === 'string'
+    && RULE_METRICS[rule.metric]
+    && RULE_COMPARISONS.includes(rule.comparison)
+    && typeof rule.threshold === 'number'
+    && typeof rule.unit === 'string'
+    && RULE_PERIODS.includes(rule.period);
+
+// Function to check that a stored notification has everything the notification center shows
+const isValidNotification = (entry) => entry
+    && typeof entry.id === 'string'
+    && RULE_METRICS[entry.metric]
+    && RULE_COMPARISONS.includes(entry.comparison)
+    && typeof entry.threshold === 'number'
+    && typeof entry.value === 'number'
+    && typeof entry.unit === 'string'
+    && RULE_PERIODS.includes(entry.period)
+    && typeof entry.createdAt === 'number';
+
+export const loadRules = () => loadStored(RULES_STORAGE_KEY, Array.isArray, []).filter(isValidRule);
+export const saveRules = (rules) => saveStored(RULES_STORAGE_KEY, rules);
+export const loadNotifications = () => loadStored(NOTIFICATIONS_STORAGE_KEY, Array.isArray, []).filter(isValidNotification);
+export const saveNotifications = (entries) => saveStored(NOTIFICATIONS_STORAGE_KEY, entries.slice(0, MAX_NOTIFICATIONS));
+
+// Function to create a rule id that is unique enough for one browser's rule list
+export const createRuleId = () => `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Selects the hours of a rule period that are still ahead (the current hour included).
+ *
+ * @param {Array<{ timestamp: string }>} hours Hourly records in time order
+ * @param {string} period One of RULE_PERIODS
+ * @param {{ now: Date, timeZone: string|null }} context
+ * @returns {{ hours: object[], occurrence: string }} `occurrence` names this period's instance, e.g. 'tomorrow:2024-05-02'
+ */
+export const getPeriodHours = (hours, period, { now, timeZone }) => {
+    const todayKey = getDateKey(now, timeZone);
+    const tomorrowKey = addDays(todayKey, 1);
+    const currentHourStart = now.getTime() - 60 * 60 * 1000;
+    const upcoming = hours.filter(hour => new Date(hour.timestamp).getTime() > currentHourStart);
+
+    switch (period) {
+        case 'today':
+            return { hours: upcoming.filter(hour => getDateKey(new Date(hour.timestamp), timeZone) === todayKey), occurrence: `today:${todayKey}` };
+        case 'tomorrow':
+            return { hours: upcoming.filter(hour => getDateKey(new Date(hour.timestamp), timeZone) === tomorrowKey), occurrence: `tomorrow:${tomorrowKey}` };
+        case 'tonight': {
+            // Before the night ends, "tonight" is the night that started yesterday evening
+            const nightStartKey = getHourInTimeZone(now, timeZone) < NIGHT_END_HOUR ? addDays(todayKey, -1) : todayKey;
+            const nightEndKey = addDays(nightStartKey, 1);
+            return {
+                hours: upcoming.filter(hour => {
+                    const time = new Date(hour.timestamp);
+                    const dateKey = getDateKey(time, timeZone);
+                    const localHour = getHourInTimeZone(time, timeZone);
+                    return (dateKey === nightStartKey && localHour >= NIGHT_START_HOUR) || (dateKey === nightEndKey && localHour < NIGHT_END_HOUR);
+                }),
+                occurrence: `tonight:${nightStartKey}`
+            };
+        }
+        default: {
+            // A rolling window has no fixed occurrence; it is identified by the day its first hour falls on
+            const end = now.getTime() + 24 * 60 * 60 * 1000;
+            return { hours: upcoming.filter(hour => new Date(hour.timestamp).getTime() < end), occurrence: `next24h:${todayKey}` };
+        }
+    }
+};
+
+/**
+ * Checks one rule against a forecast.
+ *
+ * @param {NotificationRule} rule
+ * @param {object[]} hours Hourly records (raw Bright Sky units)
+ * @param {{ now: Date, timeZone: string|null }} context
+ * @returns {{ value: number, time: string, occurrence: string }|null} The value in the rule's unit and the
+ *   first hour meeting the rule, or null when the forecast does not meet it
+ */
+export const evaluateRule = (rule, hours, context) => {
+    const metric = RULE_METRICS[rule.metric];
+    const { hours: periodHours, occurrence } = getPeriodHours(hours, rule.period, context);
+    const units = { [metric.quantity]: rule.unit };
+    const values = periodHours
+        .filter(hour => typeof hour[metric.field] === 'number' && !isNaN(hour[metric.field]))
+        .map(hour => ({ time: hour.timestamp, value: convertValue(hour[metric.field], metric.quantity, units).value }));
+    if (values.length === 0) return null;
+
+    const meets = (value) => (rule.comparison === 'above' ? value > rule.threshold : value < rule.threshold);
+    if (metric.aggregate === 'sum') {
+        const total = values.reduce((sum, entry) => sum + entry.value, 0);
+        return meets(total) ? { value: total, time: values[0].time, occurrence } : null;
+    }
+    const matching = values.filter(entry => meets(entry.value));
+    if (matching.length === 0) return null;
+    const extreme = matching.reduce((best, entry) => (
+        (rule.comparison === 'above' ? entry.value > best.value : entry.value < best.value) ? entry : best
+    ));
+    return { value: extreme.value, time: matching[0].time, occurrence };
+};
+
+// Function to mark event keys as notified, returning the keys that had not been notified before.
+// Checking and marking in one step keeps two fetches of the same location from notifying twice.
+const claimEvents = (keys, now) => {
+    const notified = loadStored(NOTIFIED_STORAGE_KEY, value => value && typeof value === 'object' && !Array.isArray(value), {});
+    Object.keys(notified).forEach(key => {
+        if (now - notified[key] > NOTIFIED_RETENTION_MS) delete notified[key];
+    });
+    const fresh = keys.filter(key => !(key in notified));
+    fresh.forEach(key => { notified[key] = now; });
+    saveStored(NOTIFIED_STORAGE_KEY, notified);
+    return fresh;
+};
+
+/**
+ * Evaluates every enabled rule that applies to a saved location against its new forecast and
+ * returns notifications for the events that have not been notified yet.
+ *
+ * @param {NotificationRule[]} rules
+ * @param {{ id: string, name: string }} location Saved location
+ * @param {object[]} hours Hourly records of the forecast
+ * @param {{ now?: Date, timeZone: string|null }} context
+ * @returns {NotificationEntry[]}
+ */
+export const getNewNotifications = (rules, location, hours, { now = new Date(), timeZone }) => {
+    const candidates = rules
+        .filter(rule => rule.enabled && (rule.locationId === null || rule.locationId === location.id))
+        .map(rule => ({ rule, match: evaluateRule(rule, hours, { now, timeZone }) }))
+        .filter(({ match }) => match !== null)
+        .map(({ rule, match }) => ({
+            id: `${rule.id}|${location.id}|${match.occurrence}`,
+            ruleId: rule.id,
+            locationName: location.name,
+            metric: rule.metric,
+            comparison: rule.comparison,
+            threshold: rule.threshold,
+            unit: rule.unit,
+            period: rule.period,
+            value: match.value,
+            time: match.time,
+            createdAt: now.getTime(),
+            timeZone,
+            read: false
+        }));
+    const fresh = claimEvents(candidates.map(entry => entry.id), now.getTime());
+    return candidates.filter(entry => fresh.includes(entry.id));
+};
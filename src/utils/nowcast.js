@@ -0,0 +1,77 @@
+import { sampleGrid } from './radar';
+
+export const NOWCAST_WINDOW_MS = 2 * 60 * 60 * 1000; // Two hours ahead
+export const RAIN_THRESHOLD_MM_H = 0.1; // Below this the radar signal is treated as dry
+
+// Function to classify a rain rate (mm/h) into 'light', 'moderate' or 'heavy'
+export const getRainIntensity = (mmPerHour) => {
+    if (mmPerHour < RAIN_THRESHOLD_MM_H) return null;
+    if (mmPerHour < 2.5) return 'light';
+    if (mmPerHour < 10) return 'moderate';
+    return 'heavy';
+};
+
+/**
+ * Samples the radar frames at the location for the next two hours.
+ * The series starts with the latest frame at or before `now`, so it always
+ * begins with the current observation.
+ *
+ * @param {Array<{ time: number, grid: object }>} frames Sorted radar frames
+ * @param {{ x: number, y: number }|null} position Location within the grid
+ * @param {Date} [now]
+ * @returns {Array<{ time: number, minutes: number, rate: number }>}
+ */
+export const getNowcastSeries = (frames, position, now = new Date()) => {
+    if (!frames || frames.length === 0 || !position) return [];
+    const nowMs = now.getTime();
+
+    let startIndex = 0;
+    frames.forEach((frame, index) => {
+        if (frame.time <= nowMs) startIndex = index;
+    });
+
+    return frames
+        .slice(startIndex)
+        .filter(frame => frame.time <= nowMs + NOWCAST_WINDOW_MS)
+        .map(frame => ({
+            time: frame.time,
+            minutes: Math.max(0, Math.round((frame.time - nowMs) / 60000)),
+            rate: sampleGrid(frame.grid, position.x, position.y)
+        }));
+};
+
+/**
+ * Reduces a nowcast series to when rain starts and ends, e.g. for
+ * "Light rain starting in 15 min, ending in 40 min".
+ * `startsIn`/`endsIn` are minutes from now; `endsIn` is null when the rain
+ * lasts beyond the end of the series (`horizon` minutes).
+ *
+ * @param {Array<{ minutes: number, rate: number }>} series
+ * @returns {{ raining: boolean, intensity: string|null, startsIn: number|null, endsIn: number|null, horizon: number, peakRate: number }|null}
+ */
+export const summarizeNowcast = (series) => {
+    if (!series || series.length === 0) return null;
+
+    const isWet = (point) => point.rate >= RAIN_THRESHOLD_MM_H;
+    const horizon = series[series.length - 1].minutes;
+    const raining = isWet(series[0]);
+    const startIndex = series.findIndex(isWet);
+
+    if (startIndex === -1) {
+        return { raining: false, intensity: null, startsIn: null, endsIn: null, horizon, peakRate: 0 };
+    }
+
+    const endOffset = series.slice(startIndex).findIndex(point => !isWet(point));
+    const endIndex = endOffset === -1 ? -1 : startIndex + endOffset;
+    const wetPoints = series.slice(startIndex, endIndex === -1 ? undefined : endIndex);
+    const peakRate = Math.max(...wetPoints.map(point => point.rate));
+
+    return {
+        raining,
+        intensity: getRainIntensity(peakRate),
+        startsIn: raining ? 0 : series[startIndex].minutes,
+        endsIn: endIndex === -1 ? null : series[endIndex].minutes,
+        horizon,
+        peakRate
+    };
+};
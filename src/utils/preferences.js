@@ -0,0 +1,89 @@
+import { LANGUAGES } from '../i18n';
+import { DEFAULT_REFRESH_INTERVAL, REFRESH_INTERVALS } from './refresh';
+import { DEFAULT_UNITS, sanitizeUnits } from './units';
+import { getWeatherProvider } from '../weatherProviders';
+
+const PREFERENCES_STORAGE_KEY = 'skycast.preferences';
+
+// Bump this and add a migration to sanitizePreferences whenever the stored shape changes incompatibly.
+// Fields added later need none: they are filled in from the defaults.
+export const PREFERENCES_VERSION = 1;
+
+/**
+ * User preferences persisted across sessions.
+ *
+ * @typedef {object} Preferences
+ * @property {number} version
+ * @property {Object<string, string>} units Selected display unit per quantity (see UNIT_OPTIONS)
+ * @property {{ displayName: string, lat: number, lon: number, timezone: string|null }|null} lastLocation
+ * @property {string|null} language UI language code, or null to follow the browser
+ * @property {Object<string, import('./sources').PinnedStation>} pinnedStations Station pinned per location, keyed by getFavoriteId
+ * @property {number} refreshInterval Auto-refresh interval in minutes (one of REFRESH_INTERVALS, 0 for off)
+ * @property {boolean} locateOnStartup Open the device's current position instead of the last location on startup
+ * @property {string|null} weatherProvider Forecast provider id (see WEATHER_PROVIDERS), or null to pick one by location
+ */
+
+/** @type {Preferences} */
+export const DEFAULT_PREFERENCES = {
+    version: PREFERENCES_VERSION,
+    units: { ...DEFAULT_UNITS },
+    lastLocation: null,
+    language: null,
+    pinnedStations: {},
+    refreshInterval: DEFAULT_REFRESH_INTERVAL,
+    locateOnStartup: false,
+    weatherProvider: null
+};
+
+// Function to drop pinned stations without a station id
+const sanitizePinnedStations = (pinnedStations) => {
+    if (!pinnedStations || typeof pinnedStations !== 'object' || Array.isArray(pinnedStations)) return {};
+    return Object.fromEntries(Object.entries(pinnedStations).filter(([, station]) => (
+        station && (typeof station.dwdStationId === 'string' || typeof station.wmoStationId === 'string')
+    )));
+};
+
+// Function to complete stored data with the defaults and replace values that are no longer valid
+export const sanitizePreferences = (stored) => {
+    const data = stored && typeof stored === 'object' ? stored : {};
+
+    // Data from a newer app version cannot be understood, start over rather than guess
+    if (typeof data.version === 'number' && data.version > PREFERENCES_VERSION) {
+        return { ...DEFAULT_PREFERENCES };
+    }
+
+    const sanitized = { ...DEFAULT_PREFERENCES, ...data, version: PREFERENCES_VERSION };
+    sanitized.units = sanitizeUnits(sanitized.units);
+    if (sanitized.language !== null && !LANGUAGES[sanitized.language]) {
+        sanitized.language = null;
+    }
+    sanitized.pinnedStations = sanitizePinnedStations(sanitized.pinnedStations);
+    if (!REFRESH_INTERVALS.includes(sanitized.refreshInterval)) {
+        sanitized.refreshInterval = DEFAULT_REFRESH_INTERVAL;
+    }
+    sanitized.locateOnStartup = sanitized.locateOnStartup === true;
+    if (sanitized.weatherProvider !== null && !getWeatherProvider(sanitized.weatherProvider)) {
+        sanitized.weatherProvider = null;
+    }
+    return sanitized;
+};
+
+// Function to read preferences from localStorage, falling back to the defaults
+export const loadPreferences = () => {
+    try {
+        const raw = localStorage.getItem(PREFERENCES_STORAGE_KEY);
+        return raw ? sanitizePreferences(JSON.parse(raw)) : { ...DEFAULT_PREFERENCES };
+    } catch (err) {
+        console.error("Error reading preferences:", err);
+        return { ...DEFAULT_PREFERENCES };
+    }
+};
+
+// Function to write preferences to localStorage
+export const savePreferences = (preferences) => {
+    try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (err) {
+        console.error("Error saving preferences:", err);
+    }
+};
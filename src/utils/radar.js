@@ -0,0 +1,103 @@
+// Radar frames are 5-minute precipitation sums in units of 0.01 mm
+const RADAR_VALUE_TO_MM = 0.01;
+const FRAMES_PER_HOUR = 12;
+
+// Function to convert a raw radar value (0.01 mm / 5 min) to a rain rate in mm/h
+export const radarValueToMmPerHour = (value) => value * RADAR_VALUE_TO_MM * FRAMES_PER_HOUR;
+
+// Color scale for the overlay, lower bound of each band in mm/h with an RGBA color
+export const RADAR_COLOR_SCALE = [
+    { min: 0.1, color: [166, 216, 255, 160] },
+    { min: 0.5, color: [94, 170, 240, 190] },
+    { min: 1, color: [37, 99, 235, 210] },
+    { min: 2, color: [34, 197, 94, 220] },
+    { min: 5, color: [250, 204, 21, 230] },
+    { min: 10, color: [249, 115, 22, 235] },
+    { min: 20, color: [220, 38, 38, 240] },
+    { min: 50, color: [192, 38, 211, 245] }
+];
+
+// Function to find the overlay color for a rain rate (null when below the lowest band)
+export const getRadarColor = (mmPerHour) => {
+    let color = null;
+    for (const band of RADAR_COLOR_SCALE) {
+        if (mmPerHour >= band.min) color = band.color;
+    }
+    return color;
+};
+
+// Function to decode base64 into bytes
+const base64ToBytes = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+// Function to inflate zlib compressed bytes with the browser's native DecompressionStream
+const inflate = async (bytes) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Whether this browser can decode the compressed radar format
+export const canDecodeCompressedRadar = () => typeof DecompressionStream !== 'undefined';
+
+/**
+ * Decodes the `precipitation_5` field of a radar record into a flat grid.
+ *
+ * @param {string|number[][]} precipitation Raw field, compressed base64 string or nested rows
+ * @param {number[]|null} bbox [top, left, bottom, right] as returned by Bright Sky
+ * @returns {Promise<{ width: number, height: number, values: Uint16Array }>}
+ */
+export const decodeRadarGrid = async (precipitation, bbox) => {
+    if (Array.isArray(precipitation)) {
+        const height = precipitation.length;
+        const width = height > 0 ? precipitation[0].length : 0;
+        const values = new Uint16Array(width * height);
+        precipitation.forEach((row, y) => values.set(row, y * width));
+        return { width, height, values };
+    }
+
+    const bytes = await inflate(base64ToBytes(precipitation));
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const values = new Uint16Array(bytes.byteLength / 2);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = view.getUint16(i * 2, true); // Little-endian
+    }
+    const width = bbox ? bbox[3] - bbox[1] : Math.round(Math.sqrt(values.length));
+    return { width, height: Math.floor(values.length / width), values };
+};
+
+// Function to turn a decoded grid into RGBA pixel data for an ImageData
+export const gridToPixels = ({ width, height, values }) => {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < values.length; i++) {
+        const color = getRadarColor(radarValueToMmPerHour(values[i]));
+        if (color) {
+            pixels.set(color, i * 4);
+        }
+    }
+    return pixels;
+};
+
+// Function to sample the rain rate (mm/h) at a grid position, using the maximum of the surrounding pixels.
+// Rain a pixel or two off still counts for the location, which errs towards warning: any single pixel
+// in the window, a noisy one included, can decide the result.
+export const sampleGrid = ({ width, height, values }, x, y, radius = 1) => {
+    const cx = Math.round(x);
+    const cy = Math.round(y);
+    let max = 0;
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const px = cx + dx;
+            const py = cy + dy;
+            if (px >= 0 && px < width && py >= 0 && py < height) {
+                max = Math.max(max, values[py * width + px]);
+            }
+        }
+    }
+    return radarValueToMmPerHour(max);
+};
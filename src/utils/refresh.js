@@ -0,0 +1,33 @@
+// Auto-refresh intervals offered in the settings, in minutes. 0 turns auto-refresh off.
+export const REFRESH_INTERVALS = [0, 5, 15, 30, 60];
+export const DEFAULT_REFRESH_INTERVAL = 15;
+
+const MINUTE_MS = 60 * 1000;
+// Data older than this is refreshed when the tab becomes visible again, whatever the interval
+export const RETURN_REFRESH_AGE_MS = 5 * MINUTE_MS;
+// First retry after a failed refresh, doubled on every further failure up to the maximum
+const RETRY_BASE_MS = MINUTE_MS;
+const MAX_RETRY_MS = 60 * MINUTE_MS;
+
+// Function to get the wait before retrying after a number of failed refreshes in a row
+export const getRetryDelay = (failures) => Math.min(RETRY_BASE_MS * 2 ** (failures - 1), MAX_RETRY_MS);
+
+/**
+ * Time the next refresh is due: one interval after the last update, right away for data shown
+ * from the offline cache, or after a failure the exponential backoff counted from the last attempt.
+ *
+ * @param {object} state
+ * @param {number} state.lastUpdated Time of the last successful update (ms since epoch)
+ * @param {number|null} state.lastAttempt Time of the last failed attempt
+ * @param {number} state.failures Failed attempts since the last success
+ * @param {number} state.intervalMinutes 0 when auto-refresh is off
+ * @param {boolean} [state.stale] Whether the shown data came from the offline cache
+ * @returns {number} ms since epoch, Infinity when no refresh is scheduled
+ */
+export const getNextRefreshTime = ({ lastUpdated, lastAttempt, failures, intervalMinutes, stale = false }) => {
+    if (failures > 0 && lastAttempt !== null) {
+        return lastAttempt + getRetryDelay(failures);
+    }
+    if (stale) return lastUpdated;
+    return intervalMinutes > 0 ? lastUpdated + intervalMinutes * MINUTE_MS : Infinity;
+};
@@ -0,0 +1,107 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A station pinned by the user for a location, used instead of the nearest sources.
+ *
+ * @typedef {object} PinnedStation
+ * @property {string|null} dwdStationId
+ * @property {string|null} wmoStationId
+ * @property {string|null} name
+ */
+
+/**
+ * A run of consecutive hourly records that came from the same source.
+ *
+ * @typedef {object} SourceSegment
+ * @property {number} sourceId
+ * @property {Date} start Start of the first hour
+ * @property {Date} end End of the last hour
+ * @property {number} count Number of hourly records
+ */
+
+// Function to split hourly records into runs of the same source_id, in time order
+export const getSourceSegments = (hours) => {
+    const segments = [];
+    hours.forEach(hour => {
+        const start = new Date(hour.timestamp);
+        const end = new Date(start.getTime() + HOUR_MS);
+        const last = segments[segments.length - 1];
+        if (last && last.sourceId === hour.source_id) {
+            last.end = end;
+            last.count += 1;
+        } else {
+            segments.push({ sourceId: hour.source_id, start, end, count: 1 });
+        }
+    });
+    return segments;
+};
+
+/**
+ * Lists the sources a response actually used, in the order they first appear in the hourly records.
+ * Sources that only fill gaps (e.g. fallback stations of /current_weather) are included with no segments.
+ *
+ * @param {Array<{ timestamp: string, source_id: number }>} hours
+ * @param {import('../api/brightSky').WeatherSource[]} sources
+ * @returns {Array<{ source: import('../api/brightSky').WeatherSource, count: number, segments: SourceSegment[] }>}
+ */
+export const getSourceUsage = (hours, sources) => {
+    const segments = getSourceSegments(hours);
+    const usage = sources.map(source => {
+        const own = segments.filter(segment => segment.sourceId === source.id);
+        return { source, count: own.reduce((sum, segment) => sum + segment.count, 0), segments: own };
+    });
+    // Sources without records go last, nearest first
+    const firstUse = (entry) => (entry.segments.length > 0 ? entry.segments[0].start.getTime() : Infinity);
+    return usage.sort((a, b) => firstUse(a) - firstUse(b) || a.source.distance - b.source.distance);
+};
+
+// Function to get the key identifying the station of a source; observation and forecast sources of one station share it
+export const getStationKey = (source) => source.dwd_station_id || source.wmo_station_id || `source-${source.id}`;
+
+/**
+ * Groups sources by station, e.g. for picking a station to pin.
+ *
+ * @param {import('../api/brightSky').WeatherSource[]} sources
+ * @returns {Array<{ key: string, dwdStationId: string|null, wmoStationId: string|null, name: string|null,
+ *   distance: number, height: number|null, observationTypes: string[] }>} Nearest station first
+ */
+export const groupSourcesByStation = (sources) => {
+    const stations = new Map();
+    sources.forEach(source => {
+        const key = getStationKey(source);
+        const station = stations.get(key);
+        if (!station) {
+            stations.set(key, {
+                key,
+                dwdStationId: source.dwd_station_id || null,
+                wmoStationId: source.wmo_station_id || null,
+                name: source.station_name || null,
+                distance: source.distance,
+                height: source.height,
+                observationTypes: [source.observation_type]
+            });
+            return;
+        }
+        station.dwdStationId = station.dwdStationId || source.dwd_station_id || null;
+        station.wmoStationId = station.wmoStationId || source.wmo_station_id || null;
+        station.name = station.name || source.station_name || null;
+        station.distance = Math.min(station.distance, source.distance);
+        if (!station.observationTypes.includes(source.observation_type)) {
+            station.observationTypes.push(source.observation_type);
+        }
+    });
+    return [...stations.values()].sort((a, b) => a.distance - b.distance);
+};
+
+// Function to check whether a pinned station is the station of a grouped entry or source
+export const isPinnedStation = (pinned, station) => Boolean(pinned) && (
+    (pinned.dwdStationId && pinned.dwdStationId === (station.dwdStationId || station.dwd_station_id))
+    || (pinned.wmoStationId && pinned.wmoStationId === (station.wmoStationId || station.wmo_station_id))
+);
+
+// Function to turn a grouped station into what is stored when it is pinned
+export const toPinnedStation = (station) => ({
+    dwdStationId: station.dwdStationId,
+    wmoStationId: station.wmoStationId,
+    name: station.name
+});
@@ -0,0 +1,59 @@
+import tzlookup from '@photostructure/tz-lookup';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Finds the IANA timezone at a coordinate from the timezone boundaries bundled with the app,
+ * so it works offline and for every geocoding result. Open sea resolves to the nautical
+ * 'Etc/GMT±N' zones.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string|null} e.g. 'Asia/Tokyo', null for invalid coordinates
+ */
+export const getTimeZoneAt = (lat, lon) => {
+    try {
+        return tzlookup(lat, lon);
+    } catch (err) {
+        console.error(`Error resolving the timezone at ${lat},${lon}:`, err);
+        return null;
+    }
+};
+
+const offsetFormatCache = new Map();
+
+// Function to get a timezone's offset from UTC in minutes at a given time (the browser's timezone when none is given).
+// Positive east of Greenwich, e.g. 540 for Asia/Tokyo.
+export const getTimeZoneOffset = (date, timeZone) => {
+    const cacheKey = timeZone || '';
+    if (!offsetFormatCache.has(cacheKey)) {
+        offsetFormatCache.set(cacheKey, new Intl.DateTimeFormat('en-US', {
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+            hourCycle: 'h23', timeZone: timeZone || undefined
+        }));
+    }
+    const parts = Object.fromEntries(offsetFormatCache.get(cacheKey).formatToParts(date).map(part => [part.type, Number(part.value)]));
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((localAsUtc - wholeSeconds) / MINUTE_MS);
+};
+
+/**
+ * Finds the moment a calendar day starts in a timezone. Days around a DST change are 23 or 25 hours
+ * long, so the end of a day is the start of the next one rather than 24 hours later.
+ * Where a DST change skips midnight itself, the day starts at the first time that exists.
+ *
+ * @param {string} dateKey 'YYYY-MM-DD'
+ * @param {string|null} timeZone
+ * @returns {Date}
+ */
+export const getDayStart = (dateKey, timeZone) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const midnightUtc = Date.UTC(year, month - 1, day);
+    // The offset at UTC midnight is a first guess; the offset at the resulting time is the one that applies
+    const guess = midnightUtc - getTimeZoneOffset(new Date(midnightUtc), timeZone) * MINUTE_MS;
+    const start = midnightUtc - getTimeZoneOffset(new Date(guess), timeZone) * MINUTE_MS;
+    // When midnight is skipped, `start` falls on the previous day and the first guess is the first time of the day
+    const startIsInDay = start + getTimeZoneOffset(new Date(start), timeZone) * MINUTE_MS >= midnightUtc;
+    return new Date(startIsInDay ? start : guess);
+};
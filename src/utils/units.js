@@ -0,0 +1,277 @@
+// Upper bounds (m/s) of Beaufort forces 0-11, anything above is force 12
+const BEAUFORT_LIMITS = [0.5, 1.5, 3.3, 5.5, 7.9, 10.7, 13.8, 17.1, 20.7, 24.4, 28.4, 32.6];
+
+// Function to convert a wind speed in m/s to the Beaufort scale
+export const convertMsToBeaufort = (ms) => {
+    const force = BEAUFORT_LIMITS.findIndex(limit => ms < limit);
+    return force === -1 ? 12 : force;
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Function to get the 8-point compass direction ('N', 'NE', ...) of a bearing in degrees,
+// or null when there is none. Labels live in the i18n catalogs ('directions.*').
+export const getCompassPoint = (degrees) => {
+    if (degrees === null || degrees === undefined) return null;
+    const index = Math.round((((degrees % 360) + 360) % 360) / 45);
+    return COMPASS_POINTS[index % 8];
+};
+
+/**
+ * Display units per quantity. Every `convert` takes the value in the app's base unit:
+ * Kelvin for temperature, m/s for wind speed, hPa for pressure, mm for precipitation
+ * and meters for distances. Labels live in the i18n catalogs ('units.quantity.*', 'units.unit.*').
+ */
+export const UNIT_OPTIONS = {
+    temperature: {
+        units: {
+            celsius: { symbol: '°C', convert: k => k - 273.15 },
+            fahrenheit: { symbol: '°F', convert: k => ((k - 273.15) * 9 / 5) + 32 },
+            kelvin: { symbol: 'K', convert: k => k }
+        }
+    },
+    wind_speed: {
+        units: {
+            kmh: { symbol: 'km/h', convert: ms => ms * 3.6 },
+            ms: { symbol: 'm/s', convert: ms => ms },
+            mph: { symbol: 'mph', convert: ms => ms * 2.23694 },
+            kn: { symbol: 'kn', convert: ms => ms * 1.943844 },
+            bft: { symbol: 'Bft', convert: convertMsToBeaufort }
+        }
+    },
+    pressure: {
+        units: {
+            hPa: { symbol: 'hPa', convert: hPa => hPa },
+            inHg: { symbol: 'inHg', convert: hPa => hPa * 0.02953 },
+            mmHg: { symbol: 'mmHg', convert: hPa => hPa * 0.750062 }
+        }
+    },
+    precipitation: {
+        units: {
+            mm: { symbol: 'mm', convert: mm => mm },
+            in: { symbol: 'in', convert: mm => mm / 25.4 }
+        }
+    },
+    distance: {
+        units: {
+            km: { symbol: 'km', convert: m => m / 1000 },
+            mi: { symbol: 'mi', convert: m => (m / 1000) * 0.621371 }
+        }
+    }
+};
+
+// Quantity types that are displayed in the unit of another, configurable quantity
+const QUANTITY_ALIASES = {
+    visibility: 'distance',
+    precipitation_rate: 'precipitation'
+};
+
+// Presets for the units settings panel (labels under 'units.preset.*')
+export const UNIT_PRESETS = {
+    metric: {
+        units: { temperature: 'celsius', wind_speed: 'kmh', pressure: 'hPa', precipitation: 'mm', distance: 'km' }
+    },
+    imperial: {
+        units: { temperature: 'fahrenheit', wind_speed: 'mph', pressure: 'inHg', precipitation: 'in', distance: 'mi' }
+    },
+    uk: {
+        units: { temperature: 'celsius', wind_speed: 'mph', pressure: 'hPa', precipitation: 'mm', distance: 'mi' }
+    }
+};
+
+export const DEFAULT_UNITS = UNIT_PRESETS.metric.units;
+
+// Function to find the preset matching a unit selection, or null for a custom mix
+export const getMatchingPreset = (units) => {
+    const match = Object.entries(UNIT_PRESETS).find(([, preset]) => (
+        Object.keys(UNIT_OPTIONS).every(quantity => preset.units[quantity] === units[quantity])
+    ));
+    return match ? match[0] : null;
+};
+
+// Function to fill in missing or unknown selections with the metric defaults
+export const sanitizeUnits = (units) => {
+    const sanitized = {};
+    Object.keys(UNIT_OPTIONS).forEach(quantity => {
+        const selected = units ? units[quantity] : undefined;
+        sanitized[quantity] = UNIT_OPTIONS[quantity].units[selected] ? selected : DEFAULT_UNITS[quantity];
+    });
+    return sanitized;
+};
+
+// Function to bring raw Bright Sky values into the base units listed above
+const toBaseUnit = (value, type) => {
+    // Bright Sky returns pressure in Pascals with units=si. Values that are clearly
+    // already in hPa (e.g. from other sources) are left as they are.
+    if (type === 'pressure') {
+        return value > 2000 ? value / 100 : value;
+    }
+    return value;
+};
+
+/**
+ * Converts a raw value into the selected display unit.
+ * Quantities without a configurable unit (humidity, cloud cover, sunshine, solar radiation) have fixed units.
+ * Station elevations follow the distance unit.
+ *
+ * @param {number} value Raw value as returned by Bright Sky with units=si
+ * @param {string} type Quantity type ('temperature', 'wind_speed', 'visibility', ...)
+ * @param {Object<string, string>} units Selected unit per quantity
+ * @returns {{ value: number, symbol: string, unit: string }}
+ */
+export const convertValue = (value, type, units) => {
+    const base = toBaseUnit(value, type);
+    switch (type) {
+        case 'humidity':
+        case 'cloud_cover':
+            return { value: base, symbol: '%', unit: 'percent' };
+        case 'sunshine':
+            return { value: base / 60, symbol: 'min', unit: 'minute' }; // seconds to minutes
+        case 'solar':
+            // Bright Sky reports the energy received over the hour (J/m²), shown as the hour's mean irradiance
+            return { value: base / 3600, symbol: 'W/m²', unit: 'W/m2' };
+        case 'elevation':
+            // Station heights follow the distance unit: meters with kilometers, feet with miles
+            return units.distance === 'mi'
+                ? { value: base * 3.28084, symbol: 'ft', unit: 'foot' }
+                : { value: base, symbol: 'm', unit: 'meter' };
+        default:
+            break;
+    }
+
+    const quantity = QUANTITY_ALIASES[type] || type;
+    const options = UNIT_OPTIONS[quantity];
+    if (!options) {
+        return { value: base, symbol: '', unit: '' };
+    }
+    const unit = options.units[units[quantity]] ? units[quantity] : DEFAULT_UNITS[quantity];
+    const definition = options.units[unit];
+    const converted = definition.convert(base);
+
+    if (type === 'precipitation_rate') {
+        return { value: converted, symbol: `${definition.symbol}/h`, unit: `${unit}/h` };
+    }
+    return { value: converted, symbol: definition.symbol, unit };
+};
+
+// Decimal places per display unit. Units not listed are shown as whole numbers.
+// `minimumFractionDigits` keeps columns of values aligned ("0.0 mm", "29.92 inHg").
+export const UNIT_PRECISION = {
+    kelvin: { minimumFractionDigits: 1, maximumFractionDigits: 1 },
+    ms: { minimumFractionDigits: 1, maximumFractionDigits: 1 },
+    inHg: { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+    mm: { minimumFractionDigits: 1, maximumFractionDigits: 1 },
+    in: { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+    'mm/h': { minimumFractionDigits: 1, maximumFractionDigits: 1 },
+    'in/h': { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+    km: { minimumFractionDigits: 0, maximumFractionDigits: 1 },
+    mi: { minimumFractionDigits: 0, maximumFractionDigits: 1 }
+};
+
+// Whole numbers by default; measurements are never grouped ("1013 hPa", not "1,013 hPa")
+const MEASUREMENT_FORMAT = { minimumFractionDigits: 0, maximumFractionDigits: 0, useGrouping: false };
+
+// Display units that Intl.NumberFormat can render natively with `style: 'unit'`, which gives
+// locale-correct spacing and symbols (e.g. "20°C" in English, "20 °C" in German, "80 %" in German)
+const INTL_UNITS = {
+    celsius: 'celsius',
+    fahrenheit: 'fahrenheit',
+    kmh: 'kilometer-per-hour',
+    ms: 'meter-per-second',
+    mph: 'mile-per-hour',
+    mm: 'millimeter',
+    in: 'inch',
+    km: 'kilometer',
+    mi: 'mile',
+    meter: 'meter',
+    foot: 'foot',
+    percent: 'percent',
+    minute: 'minute'
+};
+
+const numberFormatCache = new Map();
+
+// Function to get a cached Intl.NumberFormat, creating it on first use
+const getNumberFormat = (locale, options) => {
+    const key = `${locale || ''}|${JSON.stringify(options)}`;
+    if (!numberFormatCache.has(key)) {
+        let format;
+        try {
+            format = new Intl.NumberFormat(locale, options);
+        } catch {
+            // Unknown locale or unit in this browser, fall back to the default locale without unit styling
+            const { style, unit, unitDisplay, ...numberOptions } = options;
+            format = new Intl.NumberFormat(undefined, numberOptions);
+        }
+        numberFormatCache.set(key, format);
+    }
+    return numberFormatCache.get(key);
+};
+
+// Function to check whether a formatter actually rendered a unit (style 'unit' may have been dropped above)
+const hasUnitStyle = (format) => format.resolvedOptions().style === 'unit';
+
+// Function to format a value that is already in its display unit, with the unit's precision rule
+// and the locale's number format and unit spacing
+const formatConverted = ({ value: converted, symbol, unit }, { locale, ...options }) => {
+    const precision = { ...MEASUREMENT_FORMAT, ...UNIT_PRECISION[unit], ...options };
+    const rounded = Number(converted.toFixed(precision.maximumFractionDigits)) || 0;
+
+    if (INTL_UNITS[unit]) {
+        // Intl's percent unit expects the plain number (80 -> "80%"), unlike style 'percent'
+        const format = getNumberFormat(locale, { ...precision, style: 'unit', unit: INTL_UNITS[unit], unitDisplay: 'short' });
+        if (hasUnitStyle(format)) {
+            return format.format(rounded);
+        }
+    }
+    // Units Intl does not know (hPa, inHg, kn, Bft, ...) are separated from the number by a space,
+    // following the SI convention
+    const number = getNumberFormat(locale, precision).format(rounded);
+    return symbol ? `${number} ${symbol}` : number;
+};
+
+/**
+ * Formats a raw value with its display unit, using the unit's precision rule
+ * and the locale's number format and unit spacing.
+ *
+ * @param {number} value Raw value as returned by Bright Sky with units=si
+ * @param {string} type Quantity type
+ * @param {Object<string, string>} units Selected unit per quantity
+ * @param {{ locale?: string, minimumFractionDigits?: number, maximumFractionDigits?: number }} [options]
+ *   Locale (defaults to the browser's) and optional precision overrides
+ * @returns {string}
+ */
+export const formatQuantity = (value, type, units, options = {}) => formatConverted(convertValue(value, type, units), options);
+
+/**
+ * Formats the difference between two raw values (e.g. an anomaly) in the display unit, with an
+ * explicit sign. Temperature differences are scaled, not offset: +1 K is +1.8 °F, not -457.87 °F.
+ *
+ * @param {number} difference Difference of raw values (Kelvin, mm, ...)
+ * @param {string} type Quantity type
+ * @param {Object<string, string>} units Selected unit per quantity
+ * @param {{ locale?: string, minimumFractionDigits?: number, maximumFractionDigits?: number }} [options]
+ * @returns {string}
+ */
+export const formatQuantityDifference = (difference, type, units, options = {}) => {
+    // All units except Beaufort are linear, so the difference converts as the distance from a reference point
+    const reference = type === 'temperature' ? 273.15 : 0;
+    const converted = convertValue(reference + difference, type, units);
+    const delta = converted.value - convertValue(reference, type, units).value;
+    return formatConverted({ ...converted, value: delta }, { signDisplay: 'exceptZero', ...options });
+};
+
+/**
+ * Formats a value that is already in a given display unit, e.g. a user-entered threshold.
+ *
+ * @param {number} value Value in `unit`
+ * @param {string} type Quantity type
+ * @param {string} unit Display unit key (see UNIT_OPTIONS)
+ * @param {{ locale?: string, minimumFractionDigits?: number, maximumFractionDigits?: number }} [options]
+ * @returns {string}
+ */
+export const formatInUnit = (value, type, unit, options = {}) => {
+    const quantity = QUANTITY_ALIASES[type] || type;
+    const definition = UNIT_OPTIONS[quantity].units[unit];
+    return formatConverted({ value, symbol: definition.symbol, unit }, options);
+};
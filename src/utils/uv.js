@@ -0,0 +1,84 @@
+import { getSunPosition } from './astronomy';
+
+// WHO UV index exposure categories with the lowest (rounded) index of each.
+// Labels and protection advice live in the i18n catalogs ('uv.category.*', 'uv.advice.*').
+export const UV_CATEGORIES = [
+    { key: 'low', min: 0 },
+    { key: 'moderate', min: 3 },
+    { key: 'high', min: 6 },
+    { key: 'veryHigh', min: 8 },
+    { key: 'extreme', min: 11 }
+];
+
+// Tailwind classes per category, following the WHO color code (green, yellow, orange, red, violet)
+export const uvCategoryStyles = {
+    low: { badge: 'bg-green-600 text-white', fill: 'fill-green-600' },
+    moderate: { badge: 'bg-yellow-400 text-gray-900', fill: 'fill-yellow-400' },
+    high: { badge: 'bg-orange-500 text-white', fill: 'fill-orange-500' },
+    veryHigh: { badge: 'bg-red-600 text-white', fill: 'fill-red-600' },
+    extreme: { badge: 'bg-violet-700 text-white', fill: 'fill-violet-700' }
+};
+
+// Function to get the WHO category key of a UV index
+export const getUvCategory = (index) => {
+    const rounded = Math.round(index);
+    let category = UV_CATEGORIES[0];
+    UV_CATEGORIES.forEach(candidate => {
+        if (rounded >= candidate.min) category = candidate;
+    });
+    return category.key;
+};
+
+/**
+ * Estimates the clear-sky UV index from the sun's elevation, using the empirical fit
+ * UVI = 12.5 * cos(zenith)^2.42 (Madronich) for a typical ozone column.
+ *
+ * @param {number} elevation Sun elevation above the horizon in degrees
+ * @returns {number}
+ */
+export const estimateClearSkyUv = (elevation) => {
+    if (elevation <= 0) return 0;
+    const cosZenith = Math.sin((elevation * Math.PI) / 180);
+    return 12.5 * Math.pow(cosZenith, 2.42);
+};
+
+// Function to reduce a clear-sky value for cloud cover (percent), following Kasten and Czeplak's
+// cloud modification factor 1 - 0.75 * (cover / 100)^3.4
+export const applyCloudCover = (clearSkyValue, cloudCover) => {
+    if (typeof cloudCover !== 'number' || isNaN(cloudCover)) return clearSkyValue;
+    return clearSkyValue * (1 - 0.75 * Math.pow(Math.min(100, Math.max(0, cloudCover)) / 100, 3.4));
+};
+
+/**
+ * Gets the UV index of an hourly record: the record's own `uv_index` when the data source provides one,
+ * otherwise an estimate from the sun's elevation at that time and the hour's cloud cover.
+ *
+ * @param {object} hour Hourly weather record
+ * @param {{ lat: number, lon: number }} coords
+ * @returns {{ value: number, estimated: boolean }}
+ */
+export const getUvIndex = (hour, coords) => {
+    if (typeof hour.uv_index === 'number' && !isNaN(hour.uv_index)) {
+        return { value: hour.uv_index, estimated: false };
+    }
+    const { altitude } = getSunPosition(new Date(hour.timestamp), coords.lat, coords.lon);
+    return { value: applyCloudCover(estimateClearSkyUv(altitude), hour.cloud_cover), estimated: true };
+};
+
+/**
+ * Finds the highest UV index among the hours, e.g. for one day.
+ *
+ * @param {object[]} hours Hourly weather records
+ * @param {{ lat: number, lon: number }} coords
+ * @returns {{ value: number, time: Date, estimated: boolean }|null}
+ */
+export const getUvPeak = (hours, coords) => {
+    let peak = null;
+    hours.forEach(hour => {
+        const uv = getUvIndex(hour, coords);
+        if (peak === null || uv.value > peak.value) {
+            peak = { ...uv, time: new Date(hour.timestamp) };
+        }
+    });
+    return peak;
+};
@@ -0,0 +1,131 @@
+import { brightSky, formatApiDate } from './api/brightSky';
+import { ApiError, ApiErrorCode, isApiError } from './api/errors';
+import { metNorway } from './api/metNorway';
+import { openMeteo } from './api/openMeteo';
+import { getDayStart } from './utils/timeZone';
+
+/**
+ * A forecast backend. Every provider resolves with Bright Sky's response shape ({ weather, sources },
+ * SI units), so the rest of the app does not need to know where a forecast came from.
+ *
+ * @typedef {object} WeatherProvider
+ * @property {string} id Stored in the preferences and with cached forecasts
+ * @property {string} name
+ * @property {string} url Credited in the footer
+ * @property {{ south: number, west: number, north: number, east: number }|null} coverage
+ *   Area where automatic selection prefers the provider, null for worldwide
+ * @property {boolean} stations Whether a pinned DWD station can be used
+ * @property {(request: import('./api/brightSky').WeatherRequest, options?: { signal?: AbortSignal }) => Promise<import('./api/brightSky').WeatherResponse>} getWeather
+ */
+
+/**
+ * The providers in the order automatic selection tries them: the first one covering a location is used,
+ * and the next one takes over if it has no data there.
+ *
+ * @type {WeatherProvider[]}
+ */
+export const WEATHER_PROVIDERS = [
+    {
+        id: 'brightsky',
+        name: 'Bright Sky',
+        url: 'https://brightsky.dev',
+        // Germany, where the DWD's stations and MOSMIX forecast points are dense
+        coverage: { south: 47, west: 5.5, north: 55.5, east: 15.5 },
+        stations: true,
+        getWeather: brightSky.getWeather
+    },
+    {
+        id: 'metno',
+        name: 'MET Norway',
+        url: 'https://api.met.no',
+        // The Nordic countries, where MET Norway runs its high-resolution model
+        coverage: { south: 54, west: 4, north: 72, east: 32 },
+        stations: false,
+        getWeather: metNorway.getWeather
+    },
+    {
+        id: 'openmeteo',
+        name: 'Open-Meteo',
+        url: 'https://open-meteo.com',
+        coverage: null,
+        stations: false,
+        getWeather: openMeteo.getWeather
+    }
+];
+
+// Provider of forecasts cached before there was a choice
+export const DEFAULT_WEATHER_PROVIDER = 'brightsky';
+
+// Function to find a provider by id, or null for unknown ids (and null, which stands for automatic selection)
+export const getWeatherProvider = (id) => WEATHER_PROVIDERS.find(provider => provider.id === id) || null;
+
+// Function to check whether a location lies within a provider's coverage
+const covers = (provider, lat, lon) => (
+    provider.coverage === null
+    || (lat >= provider.coverage.south && lat <= provider.coverage.north && lon >= provider.coverage.west && lon <= provider.coverage.east)
+);
+
+// Function to check whether Bright Sky has data for a location: inside its coverage, or from a pinned DWD station.
+// Its observations and DWD warnings are only requested there; elsewhere they would not exist or not match the forecast.
+export const isCoveredByBrightSky = (lat, lon, station = null) => (
+    Boolean(station) || covers(getWeatherProvider('brightsky'), lat, lon)
+);
+
+/**
+ * Lists the providers to try for a location, best first: only the chosen one when the user picked one,
+ * otherwise every provider covering the location. A pinned station is a Bright Sky station, so it
+ * brings Bright Sky in anywhere.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string|null} choice Provider id, or null for automatic selection
+ * @param {import('./utils/sources').PinnedStation|null} [station]
+ * @returns {WeatherProvider[]}
+ */
+export const getWeatherProviderCandidates = (lat, lon, choice, station = null) => {
+    const chosen = getWeatherProvider(choice);
+    if (chosen) return [chosen];
+    return WEATHER_PROVIDERS.filter(provider => (station && provider.stations) || covers(provider, lat, lon));
+};
+
+// Function to drop records outside the requested days. Providers without a date range (MET Norway) return more.
+const trimToRange = (weather, date, lastDate, timeZone) => {
+    const start = getDayStart(formatApiDate(date), timeZone).getTime();
+    const end = getDayStart(formatApiDate(lastDate), timeZone).getTime();
+    return weather.filter(hour => {
+        const time = new Date(hour.timestamp).getTime();
+        return time >= start && time < end;
+    });
+};
+
+/**
+ * Fetches the hourly forecast from the chosen provider, or from the best one for the location.
+ * With automatic selection a provider without data for the location (ApiErrorCode.NO_SOURCES or
+ * no records) hands over to the next one; other failures, such as being offline, are thrown at once.
+ *
+ * @param {import('./api/brightSky').WeatherRequest} request
+ * @param {{ provider?: string|null, signal?: AbortSignal }} [options] `provider` is the user's choice, null for automatic
+ * @returns {Promise<import('./api/brightSky').WeatherResponse & { provider: string }>} `provider` is the id of the provider used
+ */
+export const getForecast = async ({ lat, lon, station = null, date, lastDate, tz = null }, { provider = null, signal } = {}) => {
+    let lastError = null;
+    for (const candidate of getWeatherProviderCandidates(lat, lon, provider, station)) {
+        try {
+            const data = await candidate.getWeather(
+                { lat, lon, station: candidate.stations ? station : null, date, lastDate, tz },
+                { signal }
+            );
+            const weather = trimToRange(data.weather, date, lastDate, tz);
+            if (weather.length > 0) {
+                return { weather, sources: data.sources, provider: candidate.id };
+            }
+            lastError = new ApiError(`${candidate.name} has no forecast for this location`, {
+                code: ApiErrorCode.NO_SOURCES, service: candidate.name
+            });
+        } catch (err) {
+            if (!isApiError(err, ApiErrorCode.NO_SOURCES)) throw err;
+            lastError = err;
+        }
+    }
+    throw lastError;
+};